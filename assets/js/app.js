@@ -1,22 +1,73 @@
 // assets/js/app.js
 // Loads items from Cloudflare Worker /items (D1) and renders cards.
-// Provides search + type filter.
-// Sorts globally by sortYear (DESC), fallback by title (ASC).
+// Provides search + type filter (chips show counts per type).
+// Search, filters, counts and order come from the API (netlify/lib/query.js):
+// the list state is sent as q, type, tag, match, yearFrom, yearTo and sort, and
+// the cards show one page at a time ("More" follows nextCursor). Search is
+// ranked: query words match title > tags > summary > meta, by prefix and with
+// typos; operators type:, tag:, year:1950..1980 and -word.
+// Sorts by sortYear (DESC), fallback by title (ASC), unless a search ranks the
+// results.
+// Images with imageAttribution (Wikimedia Commons) get a credit line.
+// URL state: ?q=&type=&tag=&yearFrom=&yearTo=&sort= for the list, plus
+// item=<id> for one item's detail view; pushed to history so links can be
+// shared and back/forward work.
+// view=timeline shows the same results on a year axis instead of cards,
+// view=graph their relations (authored, founded, …) as a force-directed graph;
+// both need every result, so they load all pages of the query.
+// Tags are facets: tag may repeat, match=any switches from "all tags" to
+// "any tag", and the tag panel counts the current results like the chips do.
+// Language toggle: shows translations.{lang} title/summary/tags/href where an
+// item has them, English otherwise; the choice is kept in localStorage.
 
 const WORKER_BASE =
   "https://damp-sun-7c39spacesettlement-api.tinoschuldt100.workers.dev";
 
 const ITEMS_URL = `${WORKER_BASE}/items`;
+const PAGE_SIZE = 60; // cards per "More"
+const ALL_PAGE_SIZE = 500; // pages for timeline, graph and relations
+const SEARCH_DELAY = 250; // ms after the last keystroke
+
+const LANGUAGES = ["en", "de"];
+const DEFAULT_LANG = "en";
+const LANG_STORAGE_KEY = "spacesettlement.lang";
+
+// best match (newest first without search words), newest, oldest, A–Z
+const SORTS = ["relevance", "year", "-year", "title"];
+const DEFAULT_SORT = "relevance";
+const MAX_FACETS = 24;
+const VIEWS = ["cards", "timeline", "graph"];
+const DEFAULT_VIEW = "cards";
+const BASE_TITLE = document.title;
 
 const els = {
   q: document.getElementById("q"),
   cards: document.getElementById("cards"),
   year: document.getElementById("year"),
   chips: Array.from(document.querySelectorAll(".chip[data-filter]")),
+  langs: Array.from(document.querySelectorAll(".chip[data-lang]")),
+  views: Array.from(document.querySelectorAll(".chip[data-view]")),
+  sort: document.getElementById("sort"),
+  facets: document.getElementById("tagFacets"),
 };
 
-let allItems = [];
-let activeFilter = "all";
+// The list as loaded for `key` (listParams): one or more pages for cards,
+// every page (complete) for timeline and graph.
+let list = null; // { key, items, total, counts, tagCounts, nextCursor, complete }
+let loadSeq = 0; // only the latest applyAndRender() renders
+let activeLang = DEFAULT_LANG;
+let state = {
+  q: "",
+  filter: "all",
+  tags: [],
+  match: "all",
+  sort: DEFAULT_SORT,
+  view: DEFAULT_VIEW,
+  yearFrom: "",
+  yearTo: "",
+  item: "",
+};
+let activeWords = []; // searchWords(state.q), for highlighting
 
 function escapeHtml(s) {
   return String(s ?? "").replace(/[&<>"']/g, (m) => ({
@@ -35,6 +86,29 @@ function normalizeText(s) {
     .replace(/\p{Diacritic}/gu, "");
 }
 
+// Singular and plural type spellings are both in use (editor vs. chips).
+const TYPE_ALIASES = {
+  person: "person",
+  people: "person",
+  project: "project",
+  projects: "project",
+  org: "org",
+  orgs: "org",
+  topic: "topic",
+  topics: "topic",
+  concept: "concept",
+  concepts: "concept",
+  book: "book",
+  books: "book",
+  movie: "movie",
+  movies: "movie",
+};
+
+function canonicalType(type) {
+  const t = String(type ?? "").trim().toLowerCase();
+  return TYPE_ALIASES[t] || t;
+}
+
 function isLikelyUrlOrPath(s) {
   const v = String(s || "").trim();
   if (!v) return false;
@@ -74,6 +148,11 @@ function safeJsonParse(value) {
   }
 }
 
+// Tags compare case- and accent-insensitively ("Habitats" = "habitats").
+function tagKey(tag) {
+  return normalizeText(tag).trim();
+}
+
 function normalizeItem(raw) {
   const it = { ...(raw || {}) };
 
@@ -89,6 +168,22 @@ function normalizeItem(raw) {
   // Normalize meta (worker returns object; older rows may have null/string)
   it.meta = safeJsonParse(it.meta);
 
+  // Normalize image credit ({ file, author, license, licenseUrl, sourceUrl })
+  const attribution = safeJsonParse(it.imageAttribution);
+  it.imageAttribution = attribution && attribution.license ? attribution : null;
+
+  // Normalize translations ({ de: { title, summary, tags, href } })
+  const translations = safeJsonParse(it.translations);
+  it.translations = {};
+  if (translations && typeof translations === "object") {
+    Object.entries(translations).forEach(([lang, t]) => {
+      if (t && typeof t === "object") it.translations[lang] = { ...t, tags: normalizeTags(t.tags) };
+    });
+  }
+
+  // Typed links to other items ([{ type, target }])
+  it.relations = normalizeRelations(it.relations);
+
   // Normalize sortYear
   if (typeof it.sortYear === "string") {
     const n = parseInt(it.sortYear, 10);
@@ -100,6 +195,85 @@ function normalizeItem(raw) {
   return it;
 }
 
+/**
+ * Relations
+ * relations: [{ type, target }] read "<item> <type> <target>"; the target's
+ * detail view shows the reverse ("authored by").
+ */
+const RELATION_LABELS = {
+  authored: ["authored", "authored by"],
+  founded: ["founded", "founded by"],
+  member_of: ["member of", "members"],
+  inspired: ["inspired", "inspired by"],
+  part_of: ["part of", "includes"],
+};
+
+function normalizeRelations(value) {
+  const list = safeJsonParse(value);
+  if (!Array.isArray(list)) return [];
+  return list
+    .filter((r) => r && typeof r.type === "string" && typeof r.target === "string")
+    .map((r) => ({ type: r.type, target: r.target }));
+}
+
+function relationLabel(type, reverse) {
+  return RELATION_LABELS[type]?.[reverse ? 1 : 0] || type.replace(/_/g, " ");
+}
+
+// Item as shown in `lang`: translated fields where present, English otherwise.
+// contentLang is the language of the summary actually shown.
+function localizeItem(item, lang) {
+  const t = lang !== DEFAULT_LANG ? item.translations?.[lang] : null;
+  if (!t) return { ...item, contentLang: DEFAULT_LANG };
+
+  const title = String(t.title || "").trim();
+  const summary = String(t.summary || "").trim();
+  const href = String(t.href || "").trim();
+  return {
+    ...item,
+    title: title || item.title,
+    summary: summary || item.summary,
+    tags: t.tags.length ? t.tags : item.tags,
+    href: href || item.href,
+    contentLang: summary ? lang : DEFAULT_LANG,
+  };
+}
+
+function readStoredLang() {
+  try {
+    const stored = localStorage.getItem(LANG_STORAGE_KEY);
+    if (LANGUAGES.includes(stored)) return stored;
+  } catch {}
+  const browser = String(navigator.language || "").slice(0, 2).toLowerCase();
+  return LANGUAGES.includes(browser) ? browser : DEFAULT_LANG;
+}
+
+function setActiveLang(lang) {
+  activeLang = LANGUAGES.includes(lang) ? lang : DEFAULT_LANG;
+  try {
+    localStorage.setItem(LANG_STORAGE_KEY, activeLang);
+  } catch {}
+  document.documentElement.lang = activeLang;
+  els.langs.forEach((b) => b.classList.toggle("is-active", b.dataset.lang === activeLang));
+}
+
+// "Image: Author · CC BY-SA 4.0 · Wikimedia Commons", linked where URLs exist.
+function renderCredit(attribution) {
+  if (!attribution) return "";
+  const link = (url, label) => {
+    const u = String(url || "").trim();
+    return /^https?:\/\//.test(u)
+      ? `<a href="${escapeHtml(u)}" target="_blank" rel="noopener">${escapeHtml(label)}</a>`
+      : escapeHtml(label);
+  };
+  const parts = [
+    attribution.author ? `Image: ${escapeHtml(attribution.author)}` : "Image",
+    link(attribution.licenseUrl, attribution.license),
+    link(attribution.sourceUrl, "Wikimedia Commons"),
+  ];
+  return `<div class="card__credit">${parts.join(" · ")}</div>`;
+}
+
 function resolveImagePath(item) {
   // Prefer remote imageUrl (new model)
   const imageUrl = String(item?.imageUrl ?? "").trim();
@@ -136,47 +310,190 @@ function resolveImagePath(item) {
   return folder ? `assets/img/cards/${folder}/${img}` : `assets/img/cards/${img}`;
 }
 
-async function loadItems() {
-  const res = await fetch(ITEMS_URL, { cache: "no-store" });
-  const data = await res.json();
+/**
+ * Loading
+ * Every view asks the API; the browser only localizes and renders.
+ */
+async function fetchJson(url) {
+  const res = await fetch(url, { cache: "no-store" });
+  const data = await res.json().catch(() => null);
+  if (!res.ok || !data || typeof data !== "object") {
+    throw new Error(data?.error || `${res.status} ${res.statusText}`);
+  }
+  return data;
+}
+
+// The API query for a list state; lang picks the language of the tag counts.
+function listParams(s) {
+  const p = new URLSearchParams({ sort: s.sort, lang: activeLang });
+  if (s.q.trim()) p.set("q", s.q.trim());
+  if (s.filter !== "all") p.set("type", s.filter);
+  if (s.tags.length) p.set("tag", s.tags.join(","));
+  if (s.match === "any" && s.tags.length > 1) p.set("match", "any");
+  if (s.yearFrom) p.set("yearFrom", s.yearFrom);
+  if (s.yearTo) p.set("yearTo", s.yearTo);
+  return p;
+}
+
+// One page of `params`; cursor continues a previous page.
+async function fetchPage(params, cursor, limit) {
+  const p = new URLSearchParams(params);
+  p.set("limit", String(limit));
+  if (cursor) p.set("cursor", cursor);
 
-  if (data && typeof data === "object" && Array.isArray(data.items)) {
-    return data.items.map(normalizeItem);
+  const data = await fetchJson(`${ITEMS_URL}?${p}`);
+  if (!Array.isArray(data.items)) throw new Error("Unexpected response from /items");
+  return {
+    items: data.items.map(normalizeItem),
+    total: typeof data.total === "number" ? data.total : data.items.length,
+    counts: data.counts && typeof data.counts === "object" ? data.counts : null,
+    tagCounts: Array.isArray(data.tagCounts) ? data.tagCounts : [],
+    nextCursor: typeof data.nextCursor === "string" && data.nextCursor ? data.nextCursor : null,
+  };
+}
+
+// The list for `key`, reusing what is loaded; complete: follow every cursor.
+async function loadList(key, { complete = false } = {}) {
+  if (list?.key === key && (list.complete || !complete)) return list;
+
+  const limit = complete ? ALL_PAGE_SIZE : PAGE_SIZE;
+  const loaded = { key, ...(await fetchPage(key, null, limit)) };
+  while (complete && loaded.nextCursor) {
+    const page = await fetchPage(key, loaded.nextCursor, limit);
+    loaded.items.push(...page.items);
+    loaded.nextCursor = page.nextCursor;
   }
+  loaded.complete = !loaded.nextCursor;
+  return loaded;
+}
 
-  return [];
+async function loadMore(button) {
+  if (!list?.nextCursor) return;
+  const { key, nextCursor } = list;
+  button.disabled = true;
+  try {
+    const page = await fetchPage(key, nextCursor, PAGE_SIZE);
+    if (list?.key !== key || list.nextCursor !== nextCursor) return;
+    list = {
+      ...list,
+      items: [...list.items, ...page.items],
+      nextCursor: page.nextCursor,
+      complete: !page.nextCursor,
+    };
+    renderList();
+  } catch (e) {
+    console.error(e);
+    button.disabled = false;
+  }
+}
+
+// -> the item, or null when it does not exist or is not published
+async function fetchItem(id) {
+  const res = await fetch(`${ITEMS_URL}?${new URLSearchParams({ id })}`, { cache: "no-store" });
+  if (res.status === 400 || res.status === 404) return null;
+  const data = await res.json();
+  if (!res.ok) throw new Error(data?.error || `${res.status} ${res.statusText}`);
+  return data?.item ? normalizeItem(data.item) : null;
+}
+
+// The item with the items it links to (linked) and the items linking to it
+// (linking), as far as the library shows them.
+async function loadDetail(id) {
+  const item = await fetchItem(id);
+  if (!item) return null;
+
+  const targets = [...new Set(item.relations.map((r) => r.target))].filter((t) => t !== id);
+  const [linked, linking] = await Promise.all([
+    Promise.all(targets.map((t) => fetchItem(t).catch(() => null))),
+    fetchPage(new URLSearchParams({ relatedTo: id, sort: "title" }), null, ALL_PAGE_SIZE),
+  ]);
+  return { item, linked: linked.filter(Boolean), linking: linking.items };
+}
+
+function renderChipCounts(counts) {
+  els.chips.forEach((b) => {
+    const filter = b.dataset.filter || "all";
+    if (!b.dataset.label) b.dataset.label = b.textContent.trim();
+    const n = counts?.[filter === "all" ? "all" : canonicalType(filter)];
+    b.textContent = typeof n === "number" ? `${b.dataset.label} ${n}` : b.dataset.label;
+  });
 }
 
 function setActiveChip(filter) {
-  activeFilter = filter;
   els.chips.forEach((b) => {
     const isActive = b.dataset.filter === filter;
     b.classList.toggle("is-active", isActive);
   });
 }
 
-function passesFilter(item, q, filter) {
-  const type = String(item.type ?? "").toLowerCase();
+/**
+ * Search
+ * Runs on the server (lib/query.js); the browser reads the query's words the
+ * same way to highlight them: exact, as a prefix or within a small edit
+ * distance. Operators and -excluded words are not highlighted.
+ */
+const SEARCH_OPERATORS = ["type", "tag", "year"];
 
-  if (filter !== "all" && type !== filter) return false;
-  if (!q) return true;
+function tokenize(s) {
+  return normalizeText(s).replace(/['’]/g, "").match(/[\p{L}\p{N}]+/gu) || [];
+}
 
-  const meta = item.meta && typeof item.meta === "object" ? item.meta : null;
+// Optimal string alignment distance, giving up once it exceeds `max`.
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev2 = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        row[j] = Math.min(row[j], prev2[j - 2] + 1);
+      }
+      best = Math.min(best, row[j]);
+    }
+    if (best > max) return max + 1;
+    prev2 = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
 
-  const hay = [
-    item.title,
-    item.summary,
-    item.href,
-    ...(Array.isArray(item.tags) ? item.tags : []),
-    item.type,
+// 1 exact, .75 prefix ("habit" → habitats), .5 typo ("oneil" → oneill), 0 none.
+function termQuality(term, token) {
+  if (token === term) return 1;
+  if (term.length >= 2 && token.startsWith(term)) return 0.75;
+  const max = term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+  return max && editDistance(term, token, max) <= max ? 0.5 : 0;
+}
 
-    // include meta values for search (strings + numbers + arrays)
-    meta ? JSON.stringify(meta) : "",
-  ]
-    .map(normalizeText)
-    .join(" ");
+function searchWords(raw) {
+  const words = [];
+  const re = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+  let m;
+  while ((m = re.exec(String(raw || "")))) {
+    if (m[1] === "-" || SEARCH_OPERATORS.includes(m[2]?.toLowerCase())) continue;
+    const value = m[3] != null ? m[3] : m[4];
+    words.push(...tokenize(m[2] ? `${m[2]} ${value}` : value)); // "re:entry" is just text
+  }
+  return words;
+}
 
-  return hay.includes(q);
+// Marks the words of `text` that match the active query; returns HTML.
+function highlight(text) {
+  if (!activeWords.length) return escapeHtml(text);
+  return String(text ?? "")
+    .split(/([\p{L}\p{N}'’]+)/u)
+    .map((part, i) => {
+      if (i % 2 === 0) return escapeHtml(part);
+      const token = tokenize(part).join("");
+      return activeWords.some((w) => termQuality(w, token) > 0)
+        ? `<mark>${escapeHtml(part)}</mark>`
+        : escapeHtml(part);
+    })
+    .join("");
 }
 
 function formatPersonTitle(title, birthYear, deathYear) {
@@ -215,23 +532,808 @@ function getPeopleYears(item) {
   };
 }
 
-function sortItemsByYear(items) {
-  return [...items].sort((a, b) => {
-    const ay = typeof a.sortYear === "number" ? a.sortYear : null;
-    const by = typeof b.sortYear === "number" ? b.sortYear : null;
+/**
+ * URL state
+ */
+function readUrlState(search = location.search) {
+  const p = new URLSearchParams(search);
+  const filter = p.get("type") || "all";
+  const sort = p.get("sort") || DEFAULT_SORT;
+  const view = p.get("view") || DEFAULT_VIEW;
+  const year = (name) => (/^-?\d{1,4}$/.test(p.get(name) || "") ? p.get(name) : "");
+  const tags = [];
+  p.getAll("tag").forEach((t) => {
+    if (t.trim() && !tags.some((x) => tagKey(x) === tagKey(t))) tags.push(t.trim());
+  });
+  return {
+    q: p.get("q") || "",
+    filter: els.chips.some((b) => b.dataset.filter === filter) ? filter : "all",
+    tags,
+    match: p.get("match") === "any" ? "any" : "all",
+    sort: SORTS.includes(sort) ? sort : DEFAULT_SORT,
+    view: VIEWS.includes(view) ? view : DEFAULT_VIEW,
+    yearFrom: year("yearFrom"),
+    yearTo: year("yearTo"),
+    item: p.get("item") || "",
+  };
+}
+
+// Defaults are left out, so the plain index stays "library.html".
+function urlFor(s) {
+  const p = new URLSearchParams();
+  if (s.q) p.set("q", s.q);
+  if (s.filter && s.filter !== "all") p.set("type", s.filter);
+  (s.tags || []).forEach((t) => p.append("tag", t));
+  if (s.match === "any" && s.tags?.length > 1) p.set("match", "any");
+  if (s.yearFrom) p.set("yearFrom", s.yearFrom);
+  if (s.yearTo) p.set("yearTo", s.yearTo);
+  if (s.sort && s.sort !== DEFAULT_SORT) p.set("sort", s.sort);
+  if (s.view && s.view !== DEFAULT_VIEW) p.set("view", s.view);
+  if (s.item) p.set("item", s.item);
+  const qs = p.toString();
+  return `${location.pathname}${qs ? `?${qs}` : ""}`;
+}
+
+function syncControls() {
+  if (els.q && els.q.value !== state.q) els.q.value = state.q;
+  if (els.sort) {
+    els.sort.value = state.sort;
+    els.sort.hidden = state.view !== "cards"; // timeline and graph order themselves
+  }
+  setActiveChip(state.filter);
+  els.views.forEach((b) => b.classList.toggle("is-active", b.dataset.view === state.view));
+}
+
+// Typing replaces the history entry; everything else adds one.
+function commitState(next, { replace = false } = {}) {
+  const opensItem = !!next.item && next.item !== state.item;
+  state = { ...state, ...next };
+  const url = urlFor(state);
+  if (url !== location.pathname + location.search) {
+    history[replace ? "replaceState" : "pushState"](null, "", url);
+  }
+  syncControls();
+  applyAndRender();
+  if (opensItem) window.scrollTo(0, 0);
+}
+
+// Same-page links carry data-nav; plain clicks stay in the page.
+function onNavClick(e) {
+  const a = e.target.closest("a[data-nav]");
+  if (!a || e.defaultPrevented || e.button !== 0) return;
+  if (e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+  e.preventDefault();
+  commitState(readUrlState(new URL(a.href, location.href).search));
+}
+
+function linkLabel(href) {
+  try {
+    const host = new URL(href).hostname.replace(/^www\./, "");
+    return host.endsWith("wikipedia.org") ? "Wikipedia" : host;
+  } catch {
+    return "link";
+  }
+}
+
+function isActiveTag(tag) {
+  return state.tags.some((t) => tagKey(t) === tagKey(tag));
+}
+
+// Active tags without `tag`, or with it added.
+function toggledTags(tag) {
+  return isActiveTag(tag)
+    ? state.tags.filter((t) => tagKey(t) !== tagKey(tag))
+    : [...state.tags, tag];
+}
+
+function tagLink(tag, label) {
+  const active = isActiveTag(tag);
+  return (
+    `<a class="tag${active ? " is-active" : ""}" data-nav aria-pressed="${active}" ` +
+    `href="${escapeHtml(urlFor({ ...state, tags: toggledTags(tag), item: "" }))}">${label}</a>`
+  );
+}
+
+function renderTags(tags) {
+  return tags.length
+    ? `<div class="card__meta" aria-label="tags">
+        ${tags.map((t) => tagLink(t, highlight(t))).join("")}
+       </div>`
+    : ``;
+}
+
+/**
+ * Tag facets
+ * The API's tagCounts (shown language, most frequent first); active tags are
+ * always listed so they can be switched off again.
+ */
+function renderTagFacets(tagCounts) {
+  if (!els.facets) return;
+
+  const counts = new Map(tagCounts.map(({ tag, n }) => [tagKey(tag), { label: tag, n }]));
+  const top = [...counts.entries()].slice(0, MAX_FACETS);
+
+  const listed = new Set(top.map(([key]) => key));
+  const active = state.tags
+    .filter((t) => !listed.has(tagKey(t)))
+    .map((t) => [tagKey(t), counts.get(tagKey(t)) || { label: t, n: null }]);
+
+  const facets = [...active, ...top]
+    .map(([, { label, n }]) =>
+      tagLink(label, `${escapeHtml(label)}${n != null ? ` <span class="tag__count">${n}</span>` : ""}`)
+    )
+    .join("");
+
+  const modes =
+    state.tags.length > 1
+      ? ["all", "any"]
+          .map(
+            (m) =>
+              `<a class="chip${state.match === m ? " is-active" : ""}" data-nav href="${escapeHtml(
+                urlFor({ ...state, match: m, item: "" })
+              )}">${m === "all" ? "all tags" : "any tag"}</a>`
+          )
+          .join("")
+      : "";
+
+  const clear = state.tags.length
+    ? `<a class="chip" data-nav href="${escapeHtml(urlFor({ ...state, tags: [], item: "" }))}">clear tags</a>`
+    : "";
+
+  els.facets.innerHTML = facets ? `${modes}${clear}${facets}` : "";
+}
+
+/**
+ * Detail view (?item=<id>)
+ */
+const META_LABELS = {
+  birthYear: "Born",
+  deathYear: "Died",
+  nationality: "Nationality",
+  affiliations: "Affiliations",
+  roles: "Roles",
+  fields: "Fields",
+  activeStartYear: "Active from",
+  activeEndYear: "Active until",
+  authors: "Authors",
+  publishedYear: "Published",
+  publisher: "Publisher",
+  isbn: "ISBN",
+  language: "Language",
+  releaseYear: "Released",
+  directors: "Directors",
+  startYear: "Start",
+  endYear: "End",
+  operator: "Operator",
+  foundedYear: "Founded",
+  dissolvedYear: "Dissolved",
+  headquarters: "Headquarters",
+  openLibraryId: "Open Library",
+  wikidataId: "Wikidata",
+  wikipediaUrl: "Wikipedia",
+};
+
+const META_LINKS = {
+  wikidataId: (v) => `https://www.wikidata.org/wiki/${encodeURIComponent(v)}`,
+  wikipediaUrl: (v) => v,
+  openLibraryId: (v) =>
+    `https://openlibrary.org/${/M$/i.test(v) ? "books" : "works"}/${encodeURIComponent(v)}`,
+};
+
+function metaLabel(key) {
+  return META_LABELS[key] || key.replace(/([a-z])([A-Z])/g, "$1 $2").replace(/^./, (c) => c.toUpperCase());
+}
+
+function renderMetaValue(key, value) {
+  const text = Array.isArray(value) ? value.join(", ") : String(value);
+  const link = META_LINKS[key]?.(String(value));
+  if (!link || !/^https?:\/\//.test(link)) return escapeHtml(text);
+  const label = key === "wikipediaUrl" ? linkLabel(link) : text;
+  return `<a href="${escapeHtml(link)}" target="_blank" rel="noopener">${escapeHtml(label)}</a>`;
+}
+
+function renderMeta(item) {
+  const meta = { ...(item.meta && typeof item.meta === "object" ? item.meta : {}) };
+  if (canonicalType(item.type) === "person") {
+    const { birthYear, deathYear } = getPeopleYears(item);
+    if (birthYear != null) meta.birthYear = birthYear;
+    if (deathYear != null) meta.deathYear = deathYear;
+  }
+
+  const known = Object.keys(META_LABELS).filter((k) => k in meta);
+  const rest = Object.keys(meta).filter((k) => !(k in META_LABELS)).sort();
+  const rows = [...known, ...rest]
+    .filter((k) => meta[k] != null && meta[k] !== "" && !(Array.isArray(meta[k]) && !meta[k].length))
+    .map((k) => `<dt>${escapeHtml(metaLabel(k))}</dt><dd>${renderMetaValue(k, meta[k])}</dd>`);
+
+  return rows.length ? `<dl class="detail__meta">${rows.join("")}</dl>` : "";
+}
+
+// Related items (both directions) as label -> links; loadDetail() fetched
+// only items the library shows.
+function renderRelations(item, linked, linking) {
+  const byId = new Map(linked.map((it) => [it.id, localizeItem(it, activeLang)]));
+  const groups = new Map();
+  const add = (label, other) => {
+    if (!other || other.id === item.id) return;
+    if (!groups.has(label)) groups.set(label, []);
+    if (!groups.get(label).includes(other)) groups.get(label).push(other);
+  };
+
+  (item.relations || []).forEach((r) => add(relationLabel(r.type, false), byId.get(r.target)));
+  linking.forEach((raw) => {
+    const other = localizeItem(raw, activeLang);
+    (other.relations || []).forEach((r) => {
+      if (r.target === item.id) add(relationLabel(r.type, true), other);
+    });
+  });
+
+  const rows = [...groups].map(
+    ([label, items]) =>
+      `<dt>${escapeHtml(label)}</dt><dd>${items
+        .map(
+          (it) =>
+            `<a data-nav href="${escapeHtml(urlFor({ ...state, item: it.id }))}">${escapeHtml(it.title)}</a>`
+        )
+        .join(", ")}</dd>`
+  );
+  return rows.length ? `<dl class="detail__meta">${rows.join("")}</dl>` : "";
+}
+
+// detail: loadDetail()'s result, or null when there is no such item
+function renderDetail(detail) {
+  if (els.facets) els.facets.innerHTML = "";
+  if (!els.cards) return;
+  const back = `<a class="chip" data-nav href="${escapeHtml(urlFor({ ...state, item: "" }))}">← Index</a>`;
+
+  if (!detail) {
+    document.title = BASE_TITLE;
+    els.cards.innerHTML = `
+      <div>${back}</div>
+      <div class="card">
+        <div class="card__row" style="grid-template-columns:1fr">
+          <div class="card__content">
+            <div class="card__kicker">Not found</div>
+            <p class="page__lead">This item does not exist or is not published.</p>
+          </div>
+        </div>
+      </div>
+    `;
+    return;
+  }
+
+  const item = localizeItem(detail.item, activeLang);
+  const type = String(item.type || "").toLowerCase();
+  let title = item.title || "";
+  if (canonicalType(type) === "person") {
+    const { birthYear, deathYear } = getPeopleYears(item);
+    title = formatPersonTitle(title, birthYear, deathYear);
+  }
+  document.title = `${item.title} — ${BASE_TITLE}`;
+
+  const imagePath = escapeHtml(resolveImagePath(item));
+  const href = String(item.href || "");
+  const tags = Array.isArray(item.tags) ? item.tags : [];
+
+  els.cards.innerHTML = `
+    <div>${back}</div>
+    <article class="card card--detail" lang="${escapeHtml(item.contentLang || DEFAULT_LANG)}">
+      <div class="card__row">
+        <div class="card__media">
+          ${imagePath ? `<img class="card__img" src="${imagePath}" alt="${escapeHtml(title)}">` : ``}
+          <div class="card__fade" aria-hidden="true"></div>
+        </div>
+
+        <div class="card__content">
+          <div class="card__kicker">${escapeHtml(type)}</div>
+          <h2 class="card__title">${escapeHtml(title)}</h2>
+          ${item.summary ? `<p class="card__summary">${escapeHtml(item.summary)}</p>` : ""}
+          ${renderMeta(item)}
+          ${renderRelations(item, detail.linked, detail.linking)}
+          ${
+            /^https?:\/\//.test(href)
+              ? `<div class="card__meta"><a href="${escapeHtml(href)}" target="_blank" rel="noopener">${escapeHtml(linkLabel(href))} ↗</a></div>`
+              : ""
+          }
+          ${renderTags(tags)}
+          ${imagePath ? renderCredit(item.imageAttribution) : ""}
+        </div>
+      </div>
+    </article>
+  `;
+}
+
+/**
+ * Timeline (?view=timeline)
+ * The same results on a horizontal year axis with decade bands: one lane per
+ * type, people as lifespan bars from getPeopleYears, everything else as a
+ * point at sortYear. Entries are packed into rows so labels do not overlap;
+ * items without a year are listed in an "undated" lane.
+ */
+const TIMELINE_ZOOMS = [2, 4, 8, 16, 32]; // px per year
+const TIMELINE_ROW = 26; // px per row in a lane
+const TIMELINE_CHAR = 7.2; // px per label character (12px monospace)
+const TIMELINE_LANES = {
+  person: "people",
+  project: "projects",
+  concept: "concepts",
+  org: "orgs",
+  topic: "topics",
+  book: "books",
+  movie: "movies",
+};
+
+let timelineZoom = 8;
 
-    if (ay != null && by != null && ay !== by) {
-      return by - ay; // DESC
+// -> { start, end, open } for a lifespan bar, { start, end: null } for a
+// point, or null when the item has no year. open: no death year known.
+function timelineSpan(item) {
+  if (canonicalType(item.type) === "person") {
+    const { birthYear, deathYear } = getPeopleYears(item);
+    if (birthYear != null) {
+      const end = deathYear ?? new Date().getFullYear();
+      return { start: birthYear, end: Math.max(end, birthYear), open: deathYear == null };
     }
-    if (ay != null && by == null) return -1;
-    if (ay == null && by != null) return 1;
+  }
+  return typeof item.sortYear === "number" ? { start: item.sortYear, end: null, open: false } : null;
+}
+
+function laneOrder(type) {
+  const i = Object.keys(TIMELINE_LANES).indexOf(type);
+  return i < 0 ? Infinity : i;
+}
+
+// First row whose last entry ends before this one starts (entries sorted by start).
+function packRows(entries) {
+  const rowEnds = [];
+  return entries.map((e) => {
+    let row = rowEnds.findIndex((end) => end + 8 <= e.left);
+    if (row < 0) row = rowEnds.push(0) - 1;
+    rowEnds[row] = e.right;
+    return { ...e, row };
+  });
+}
+
+function renderTimelineEntry(e) {
+  const { item, start, end, open } = e;
+  const years = end != null ? `${start}–${open ? "" : end}` : String(start);
+  const cls =
+    end != null ? `tl__item tl__item--bar${open ? " is-open" : ""}` : "tl__item tl__item--point";
+  const style =
+    `left:${e.left}px; top:${e.row * TIMELINE_ROW}px;` +
+    (end != null ? ` width:${Math.max(e.barWidth, 2)}px;` : "");
+  const attrs = `class="${cls}" style="${style}" title="${escapeHtml(`${item.title} · ${years}`)}"`;
+  const label = `<span class="tl__label">${highlight(item.title)}</span>`;
+
+  return item.id
+    ? `<a ${attrs} data-nav href="${escapeHtml(urlFor({ ...state, item: item.id }))}">${label}</a>`
+    : `<span ${attrs}>${label}</span>`;
+}
+
+function renderTimeline(items) {
+  if (!els.cards) return;
+  if (!items.length) {
+    render(items);
+    return;
+  }
+
+  const px = timelineZoom;
+  const dated = [];
+  const undated = [];
+  items.forEach((item) => {
+    const span = timelineSpan(item);
+    if (span) dated.push({ item, ...span });
+    else undated.push(item);
+  });
+
+  const years = dated.flatMap((d) => [d.start, d.end ?? d.start]);
+  const from = years.length ? Math.floor(Math.min(...years) / 10) * 10 : 0;
+  const to = years.length ? Math.floor(Math.max(...years) / 10) * 10 + 10 : 0;
+  const x = (year) => Math.round((year - from) * px);
+
+  const byType = new Map();
+  dated
+    .sort((a, b) => a.start - b.start || (b.end ?? b.start) - (a.end ?? a.start))
+    .forEach((d) => {
+      const type = canonicalType(d.item.type);
+      if (!byType.has(type)) byType.set(type, []);
+      const left = x(d.start);
+      const barWidth = d.end != null ? x(d.end) - left : 0;
+      const labelWidth = String(d.item.title || "").length * TIMELINE_CHAR + 18;
+      byType.get(type).push({ ...d, left, barWidth, right: left + Math.max(barWidth, labelWidth) });
+    });
+
+  let canvasWidth = x(to);
+  const lanes = [...byType.keys()]
+    .sort((a, b) => laneOrder(a) - laneOrder(b) || a.localeCompare(b))
+    .map((type) => {
+      const entries = packRows(byType.get(type));
+      const rows = Math.max(...entries.map((e) => e.row)) + 1;
+      entries.forEach((e) => (canvasWidth = Math.max(canvasWidth, Math.ceil(e.right))));
+      return `
+        <section class="tl__lane">
+          <h3 class="tl__laneTitle">${escapeHtml(TIMELINE_LANES[type] || type)} <span>${entries.length}</span></h3>
+          <div class="tl__rows" style="height:${rows * TIMELINE_ROW}px">
+            ${entries.map(renderTimelineEntry).join("")}
+          </div>
+        </section>
+      `;
+    })
+    .join("");
+
+  // label every decade, or every 2nd/5th… when zoomed out
+  const labelStep = Math.ceil(48 / (10 * px));
+  const decades = [];
+  for (let y = from, i = 0; y < to; y += 10, i++) {
+    decades.push(
+      `<div class="tl__decade${i % 2 ? " is-odd" : ""}" style="left:${x(y)}px; width:${10 * px}px">` +
+        (i % labelStep === 0 ? `<span>${y}s</span>` : "") +
+        `</div>`
+    );
+  }
+
+  const zoomAt = TIMELINE_ZOOMS.indexOf(timelineZoom);
+  const undatedLane = undated.length
+    ? `
+      <section class="tl__lane tl__lane--undated">
+        <h3 class="tl__laneTitle">undated <span>${undated.length}</span></h3>
+        <div class="card__meta">
+          ${undated
+            .map((it) =>
+              it.id
+                ? `<a class="tag" data-nav href="${escapeHtml(urlFor({ ...state, item: it.id }))}">${highlight(it.title)}</a>`
+                : `<span class="tag">${highlight(it.title)}</span>`
+            )
+            .join("")}
+        </div>
+      </section>
+    `
+    : "";
+
+  els.cards.innerHTML = `
+    <div class="tl">
+      <div class="tl__toolbar">
+        <button class="chip" type="button" data-zoom="-1" aria-label="Zoom out"${zoomAt <= 0 ? " disabled" : ""}>−</button>
+        <button class="chip" type="button" data-zoom="1" aria-label="Zoom in"${zoomAt >= TIMELINE_ZOOMS.length - 1 ? " disabled" : ""}>+</button>
+        <span>${dated.length} dated${dated.length ? ` · ${from}–${to}` : ""}</span>
+      </div>
+      ${
+        dated.length
+          ? `<div class="tl__scroll">
+              <div class="tl__canvas" style="width:${canvasWidth + 16}px">
+                <div class="tl__decades" aria-hidden="true">${decades.join("")}</div>
+                ${lanes}
+              </div>
+            </div>`
+          : ""
+      }
+      ${undatedLane}
+    </div>
+  `;
+}
+
+// Zoom keeps the year in the middle of the visible axis in place.
+function onTimelineClick(e) {
+  const btn = e.target.closest("[data-zoom]");
+  if (!btn) return;
+  const i = TIMELINE_ZOOMS.indexOf(timelineZoom) + Number(btn.dataset.zoom);
+  if (i < 0 || i >= TIMELINE_ZOOMS.length) return;
+
+  const scroller = els.cards.querySelector(".tl__scroll");
+  const center = scroller ? (scroller.scrollLeft + scroller.clientWidth / 2) / timelineZoom : 0;
+  timelineZoom = TIMELINE_ZOOMS[i];
+  renderList();
+
+  const next = els.cards.querySelector(".tl__scroll");
+  if (next) next.scrollLeft = center * timelineZoom - next.clientWidth / 2;
+}
+
+/**
+ * Graph (?view=graph)
+ * Results that are related to each other, laid out by a small force
+ * simulation on a canvas in art.js's near-white-on-black. Drag a node to move
+ * it, click it to open the item. The simulation sleeps once it settles.
+ */
+const GRAPH_MAX_HEIGHT = 620;
+const GRAPH_LINK_LENGTH = 70;
+const GRAPH_REPULSION = 1200;
+const GRAPH_FONT = '11px ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, monospace';
+
+// { canvas, ctx, nodes, links, neighbors, alpha, w, h, view, hover, drag, raf }
+let graph = null;
+
+// small deterministic pseudo-random (as in art.js)
+function hash(n) {
+  const x = Math.sin(n) * 10000;
+  return x - Math.floor(x);
+}
 
-    const at = String(a.title || "").toLowerCase();
-    const bt = String(b.title || "").toLowerCase();
-    return at.localeCompare(bt);
+function stopGraph() {
+  if (!graph) return;
+  if (graph.raf) cancelAnimationFrame(graph.raf);
+  graph = null;
+}
+
+function nodeRadius(node) {
+  return 3 + Math.sqrt(node.degree) * 1.6;
+}
+
+function renderGraph(items) {
+  stopGraph();
+  if (!els.cards) return;
+
+  const byId = new Map(items.filter((it) => it.id).map((it) => [it.id, it]));
+  const edges = [];
+  byId.forEach((it) =>
+    it.relations.forEach((r) => {
+      if (r.target !== it.id && byId.has(r.target)) edges.push({ ...r, source: it.id });
+    })
+  );
+
+  if (!edges.length) {
+    els.cards.innerHTML = `
+      <div class="card">
+        <div class="card__row" style="grid-template-columns:1fr">
+          <div class="card__content">
+            <div class="card__kicker">No relations</div>
+            <p class="page__lead">None of these items are related to each other yet.</p>
+          </div>
+        </div>
+      </div>
+    `;
+    return;
+  }
+
+  const linked = new Set(edges.flatMap((e) => [e.source, e.target]));
+  const nodes = [...byId.values()]
+    .filter((it) => linked.has(it.id))
+    .map((item, i) => {
+      const angle = hash(i * 13.37) * Math.PI * 2;
+      const radius = 40 + hash(i * 91.17) * 160;
+      return { item, x: Math.cos(angle) * radius, y: Math.sin(angle) * radius, vx: 0, vy: 0, degree: 0 };
+    });
+  const hidden = byId.size - nodes.length;
+
+  const index = new Map(nodes.map((n) => [n.item.id, n]));
+  const neighbors = new Map(nodes.map((n) => [n, new Set()]));
+  const links = edges.map((e) => {
+    const a = index.get(e.source);
+    const b = index.get(e.target);
+    a.degree++;
+    b.degree++;
+    neighbors.get(a).add(b);
+    neighbors.get(b).add(a);
+    return { a, b, type: e.type };
+  });
+
+  els.cards.innerHTML = `
+    <div class="graph">
+      <canvas class="graph__canvas" aria-label="Relations between ${nodes.length} items"></canvas>
+      <div class="graph__hint">
+        ${nodes.length} items · ${links.length} relation${links.length === 1 ? "" : "s"}${
+          hidden ? ` · ${hidden} without relations not shown` : ""
+        }
+        · drag to move, click to open
+      </div>
+    </div>
+  `;
+
+  const canvas = els.cards.querySelector(".graph__canvas");
+  graph = {
+    canvas,
+    ctx: canvas.getContext("2d"),
+    nodes,
+    links,
+    neighbors,
+    alpha: 1,
+    w: 0,
+    h: 0,
+    view: { scale: 1, ox: 0, oy: 0 },
+    hover: null,
+    drag: null,
+    raf: 0,
+  };
+  bindGraphPointer(canvas);
+  resizeGraph();
+  wakeGraph(1);
+}
+
+function resizeGraph() {
+  if (!graph) return;
+  const { canvas, ctx } = graph;
+  const dpr = Math.min(2, window.devicePixelRatio || 1);
+  const w = canvas.parentElement?.clientWidth || 800;
+  const h = Math.round(Math.min(GRAPH_MAX_HEIGHT, Math.max(360, window.innerHeight * 0.7)));
+  graph.w = w;
+  graph.h = h;
+  canvas.width = Math.floor(w * dpr);
+  canvas.height = Math.floor(h * dpr);
+  canvas.style.width = w + "px";
+  canvas.style.height = h + "px";
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  drawGraph();
+}
+
+function tickGraph() {
+  const { nodes, links, alpha } = graph;
+
+  // every pair repels, links pull towards their rest length
+  for (let i = 0; i < nodes.length; i++) {
+    const a = nodes[i];
+    for (let j = i + 1; j < nodes.length; j++) {
+      const b = nodes[j];
+      const dx = b.x - a.x || 0.01;
+      const dy = b.y - a.y || 0.01;
+      const d2 = Math.max(dx * dx + dy * dy, 25);
+      const f = (GRAPH_REPULSION * alpha) / d2 / Math.sqrt(d2);
+      a.vx -= dx * f;
+      a.vy -= dy * f;
+      b.vx += dx * f;
+      b.vy += dy * f;
+    }
+  }
+  links.forEach(({ a, b }) => {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const d = Math.sqrt(dx * dx + dy * dy) || 1;
+    const f = ((d - GRAPH_LINK_LENGTH) / d) * 0.05 * alpha;
+    a.vx += dx * f;
+    a.vy += dy * f;
+    b.vx -= dx * f;
+    b.vy -= dy * f;
+  });
+
+  nodes.forEach((n) => {
+    if (graph.drag?.node === n) return;
+    n.vx = (n.vx - n.x * 0.015 * alpha) * 0.6; // gravity, friction
+    n.vy = (n.vy - n.y * 0.015 * alpha) * 0.6;
+    n.x += n.vx;
+    n.y += n.vy;
   });
+
+  graph.alpha *= 0.985;
+}
+
+// Fits the layout into the canvas; frozen while dragging so the node stays put.
+function fitGraphView() {
+  if (graph.drag) return;
+  const xs = graph.nodes.map((n) => n.x);
+  const ys = graph.nodes.map((n) => n.y);
+  const [minX, maxX, minY, maxY] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)];
+  const pad = 60;
+  const scale = Math.min(
+    1.6,
+    (graph.w - 2 * pad) / Math.max(maxX - minX, 1),
+    (graph.h - 2 * pad) / Math.max(maxY - minY, 1)
+  );
+  graph.view = {
+    scale,
+    ox: graph.w / 2 - ((minX + maxX) / 2) * scale,
+    oy: graph.h / 2 - ((minY + maxY) / 2) * scale,
+  };
 }
 
+function drawGraph() {
+  if (!graph || !graph.w) return;
+  const { ctx, w, h, nodes, links, hover, neighbors } = graph;
+  fitGraphView();
+  const { scale, ox, oy } = graph.view;
+  const sx = (n) => ox + n.x * scale;
+  const sy = (n) => oy + n.y * scale;
+  const near = hover ? neighbors.get(hover) : null;
+
+  ctx.clearRect(0, 0, w, h);
+
+  ctx.lineWidth = 1;
+  links.forEach(({ a, b }) => {
+    const lit = hover && (a === hover || b === hover);
+    ctx.strokeStyle = lit ? "rgba(255,255,255,0.55)" : "rgba(255,255,255,0.14)";
+    ctx.beginPath();
+    ctx.moveTo(sx(a), sy(a));
+    ctx.lineTo(sx(b), sy(b));
+    ctx.stroke();
+  });
+
+  nodes.forEach((n) => {
+    const lit = !hover || n === hover || near.has(n);
+    ctx.fillStyle = lit ? "rgba(240,240,240,0.92)" : "rgba(240,240,240,0.3)";
+    ctx.beginPath();
+    ctx.arc(sx(n), sy(n), nodeRadius(n), 0, Math.PI * 2);
+    ctx.fill();
+  });
+
+  ctx.font = GRAPH_FONT;
+  ctx.textBaseline = "middle";
+  if (hover) {
+    // relation names on the hovered node's links
+    ctx.fillStyle = "rgba(255,255,255,0.5)";
+    links.forEach(({ a, b, type }) => {
+      if (a !== hover && b !== hover) return;
+      ctx.fillText(relationLabel(type, false), (sx(a) + sx(b)) / 2 + 4, (sy(a) + sy(b)) / 2);
+    });
+  }
+  nodes.forEach((n) => {
+    const show = hover ? n === hover || near.has(n) : n.degree >= 3 || nodes.length <= 24;
+    if (!show) return;
+    ctx.fillStyle = n === hover ? "rgba(255,255,255,0.98)" : "rgba(255,255,255,0.72)";
+    ctx.fillText(n.item.title || "", sx(n) + nodeRadius(n) + 5, sy(n));
+  });
+}
+
+function stepGraph() {
+  if (!graph) return;
+  graph.raf = 0;
+  tickGraph();
+  drawGraph();
+  if (graph.alpha > 0.01 || graph.drag) graph.raf = requestAnimationFrame(stepGraph);
+}
+
+function wakeGraph(alpha) {
+  graph.alpha = Math.max(graph.alpha, alpha);
+  if (!graph.raf) graph.raf = requestAnimationFrame(stepGraph);
+}
+
+function bindGraphPointer(canvas) {
+  const current = () => (graph && graph.canvas === canvas ? graph : null);
+  const toGraph = (e) => {
+    const r = canvas.getBoundingClientRect();
+    const { scale, ox, oy } = graph.view;
+    return { x: (e.clientX - r.left - ox) / scale, y: (e.clientY - r.top - oy) / scale };
+  };
+  const nodeAt = (p) => {
+    let best = null;
+    let bestD = Infinity;
+    graph.nodes.forEach((n) => {
+      const d = Math.hypot(n.x - p.x, n.y - p.y);
+      if (d <= nodeRadius(n) + 6 / graph.view.scale && d < bestD) {
+        best = n;
+        bestD = d;
+      }
+    });
+    return best;
+  };
+
+  canvas.addEventListener("pointerdown", (e) => {
+    if (!current() || e.button !== 0) return;
+    const node = nodeAt(toGraph(e));
+    if (!node) return;
+    graph.drag = { node, x: e.clientX, y: e.clientY, moved: false };
+    canvas.setPointerCapture?.(e.pointerId);
+  });
+
+  canvas.addEventListener("pointermove", (e) => {
+    if (!current()) return;
+    const p = toGraph(e);
+    const drag = graph.drag;
+    if (drag) {
+      if (Math.hypot(e.clientX - drag.x, e.clientY - drag.y) > 4) drag.moved = true;
+      Object.assign(drag.node, { x: p.x, y: p.y, vx: 0, vy: 0 });
+      wakeGraph(0.3);
+      return;
+    }
+    const node = nodeAt(p);
+    if (node === graph.hover) return;
+    graph.hover = node;
+    canvas.style.cursor = node ? "pointer" : "default";
+    if (!graph.raf) drawGraph();
+  });
+
+  canvas.addEventListener("pointerup", () => {
+    if (!current() || !graph.drag) return;
+    const { node, moved } = graph.drag;
+    graph.drag = null;
+    if (!moved) commitState({ item: node.item.id });
+  });
+
+  canvas.addEventListener("pointerleave", () => {
+    if (!current() || graph.drag || !graph.hover) return;
+    graph.hover = null;
+    canvas.style.cursor = "default";
+    if (!graph.raf) drawGraph();
+  });
+}
+
+// Cards for `items`, with a "More" button while the list has further pages.
 function render(items) {
   if (!els.cards) return;
 
@@ -251,9 +1353,9 @@ function render(items) {
 
   els.cards.innerHTML = items
     .map((item) => {
-      let title = escapeHtml(item.title || "");
+      let plainTitle = item.title || "";
       const href = escapeHtml(item.href || "");
-      const summary = escapeHtml(item.summary || "");
+      const summary = highlight(item.summary || "");
       const tags = Array.isArray(item.tags) ? item.tags : [];
       const imagePath = escapeHtml(resolveImagePath(item));
       const type = String(item.type || "").toLowerCase();
@@ -261,94 +1363,159 @@ function render(items) {
       // Support new type "people" and legacy "person"
       if (type === "people" || type === "person") {
         const { birthYear, deathYear } = getPeopleYears(item);
-        title = escapeHtml(formatPersonTitle(item.title || "", birthYear, deathYear));
+        plainTitle = formatPersonTitle(item.title || "", birthYear, deathYear);
       }
+      const title = highlight(plainTitle);
 
-      const hasLink = href && href !== "kein Wiki";
+      const hasLink = /^https?:\/\//.test(item.href || "");
+      const detailUrl = escapeHtml(urlFor({ ...state, item: item.id }));
 
       return `
-        <article class="card">
+        <article class="card" lang="${escapeHtml(item.contentLang || DEFAULT_LANG)}">
           <div class="card__row">
             <div class="card__media">
               ${
                 imagePath
-                  ? `<img class="card__img" src="${imagePath}" alt="${title}" loading="lazy">`
+                  ? `<img class="card__img" src="${imagePath}" alt="${escapeHtml(plainTitle)}" loading="lazy">`
                   : ``
               }
               <div class="card__fade" aria-hidden="true"></div>
             </div>
 
             <div class="card__content">
-              <div class="card__kicker">${escapeHtml(type)}</div>
-
-              <h2 class="card__title">
-                ${
+              <div class="card__kicker">
+                ${escapeHtml(type)}${
                   hasLink
-                    ? `<a href="${href}" target="_blank" rel="noopener">${title}</a>`
-                    : `${title}`
+                    ? ` · <a href="${href}" target="_blank" rel="noopener">${escapeHtml(linkLabel(item.href))} ↗</a>`
+                    : ""
                 }
+              </div>
+
+              <h2 class="card__title">
+                ${item.id ? `<a data-nav href="${detailUrl}">${title}</a>` : `${title}`}
               </h2>
 
               ${summary ? `<p class="card__summary">${summary}</p>` : ""}
 
-              ${
-                tags.length
-                  ? `<div class="card__meta" aria-label="tags">
-                      ${tags.map((t) => `<span class="tag">${escapeHtml(t)}</span>`).join("")}
-                     </div>`
-                  : ``
-              }
+              ${renderTags(tags)}
+
+              ${imagePath ? renderCredit(item.imageAttribution) : ""}
             </div>
           </div>
         </article>
       `;
     })
     .join("");
+
+  if (list?.nextCursor) {
+    els.cards.innerHTML += `
+      <div>
+        <button class="chip" type="button" data-more>More · ${items.length} of ${list.total}</button>
+      </div>
+    `;
+  }
 }
 
-function applyAndRender() {
-  const q = normalizeText(els.q?.value || "");
-  const filtered = allItems.filter((it) => passesFilter(it, q, activeFilter));
-  render(filtered);
+function renderError(e) {
+  console.error(e);
+  if (!els.cards) return;
+  els.cards.innerHTML = `
+    <div class="card">
+      <div class="card__row" style="grid-template-columns:1fr">
+        <div class="card__content">
+          <div class="card__kicker">Error</div>
+          <pre class="code" style="white-space:pre-wrap;">${escapeHtml(
+            e?.message || e
+          )}</pre>
+        </div>
+      </div>
+    </div>
+  `;
 }
 
-async function init() {
-  if (els.year) els.year.textContent = String(new Date().getFullYear());
+// The loaded list in the active view; chips count it per type.
+function renderList() {
+  const items = list.items.map((it) => localizeItem(it, activeLang));
+  renderChipCounts(list.counts);
+  renderTagFacets(list.tagCounts);
+
+  document.title = BASE_TITLE;
+  if (state.view === "graph") renderGraph(items);
+  else if (state.view === "timeline") renderTimeline(items);
+  else render(items);
+}
+
+async function applyAndRender() {
+  const seq = ++loadSeq;
+  activeWords = searchWords(state.q);
+  if (state.item || state.view !== "graph") stopGraph();
 
   try {
-    allItems = await loadItems();
-  } catch (e) {
-    console.error(e);
-    if (els.cards) {
-      els.cards.innerHTML = `
-        <div class="card">
-          <div class="card__row" style="grid-template-columns:1fr">
-            <div class="card__content">
-              <div class="card__kicker">Error</div>
-              <pre class="code" style="white-space:pre-wrap;">${escapeHtml(
-                e?.message || e
-              )}</pre>
-            </div>
-          </div>
-        </div>
-      `;
+    if (state.item) {
+      const detail = await loadDetail(state.item);
+      if (seq === loadSeq) renderDetail(detail);
+      return;
     }
-    return;
+    const loaded = await loadList(listParams(state).toString(), {
+      complete: state.view !== "cards",
+    });
+    if (seq !== loadSeq) return;
+    list = loaded;
+    renderList();
+  } catch (e) {
+    if (seq === loadSeq) renderError(e);
   }
+}
 
-  // NEW: Global sort by sortYear (DESC), fallback by title (ASC)
-  allItems = sortItemsByYear(allItems);
+function onMoreClick(e) {
+  const button = e.target.closest("[data-more]");
+  if (button) loadMore(button);
+}
 
-  els.chips.forEach((btn) => {
+function init() {
+  if (els.year) els.year.textContent = String(new Date().getFullYear());
+
+  setActiveLang(readStoredLang());
+
+  els.langs.forEach((btn) => {
     btn.addEventListener("click", () => {
-      setActiveChip(btn.dataset.filter || "all");
+      setActiveLang(btn.dataset.lang);
       applyAndRender();
     });
   });
 
-  els.q?.addEventListener("input", () => applyAndRender());
+  els.chips.forEach((btn) => {
+    btn.addEventListener("click", () => commitState({ filter: btn.dataset.filter || "all", item: "" }));
+  });
+
+  // one request per pause in typing, not per keystroke
+  let searchTimer = 0;
+  els.q?.addEventListener("input", () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(
+      () => commitState({ q: els.q.value, item: "" }, { replace: !!state.q && !state.item }),
+      SEARCH_DELAY
+    );
+  });
+  els.sort?.addEventListener("change", () => commitState({ sort: els.sort.value, item: "" }));
+  els.views.forEach((btn) => {
+    btn.addEventListener("click", () => commitState({ view: btn.dataset.view, item: "" }));
+  });
+  els.cards?.addEventListener("click", onNavClick);
+  els.cards?.addEventListener("click", onTimelineClick);
+  els.cards?.addEventListener("click", onMoreClick);
+  els.facets?.addEventListener("click", onNavClick);
+
+  window.addEventListener("resize", () => resizeGraph(), { passive: true });
+
+  window.addEventListener("popstate", () => {
+    state = readUrlState();
+    syncControls();
+    applyAndRender();
+  });
 
-  setActiveChip("all");
+  state = readUrlState();
+  syncControls();
   applyAndRender();
 }
 
@@ -8,6 +8,8 @@ const WORKER_BASE =
 
 const UPLOAD_URL = `${WORKER_BASE}/upload-image`;
 const ITEMS_URL = `${WORKER_BASE}/items`;
+const AUTOFILL_URL = `${WORKER_BASE}/autofill`;
+const LINKCHECK_URL = `${WORKER_BASE}/linkcheck`;
 
 const BOOK_SUGGEST_URL = `${WORKER_BASE}/books/suggest?q=`;
 const BOOK_AUTOFILL_URL = `${WORKER_BASE}/books/autofill`;
@@ -17,6 +19,50 @@ let latestBookSuggestions = [];
 let lastBookQuery = "";
 let lastBookFacts = null;
 
+// Last Auto-Fill answer (sources, unsupported sentences, Wikidata meta).
+let lastAutofill = null;
+
+// Languages edited next to English (translations.{locale}); inputs are
+// titleDe, summaryDe, tagsDe, hrefDe in admin.html.
+const TRANSLATION_LOCALES = ["de"];
+const TRANSLATION_FIELDS = ["title", "summary", "tags", "href"];
+
+// Translations of the loaded item for languages without form inputs; kept on save.
+let otherTranslations = {};
+
+// Credit for the image in imageUrl: { url, attribution }. Saved as
+// imageAttribution only while imageUrl still is that image.
+let imageCredit = null;
+
+// Relations of the item in the form: [{ type, target }], target = item id.
+let relations = [];
+
+// Items the relation picker offers: [{ id, title, type }]; loaded on first use.
+let relationTargets = null;
+
+// Auto-Fill needs an editor token too; asked once, dropped when rejected.
+let autofillToken = null;
+
+// Item currently loaded into the form: { id, etag, status, item }. Publish saves
+// back to it; item (as loaded or last saved) supplies what the form has no input for.
+let editingItem = null;
+
+// Top-level fields buildItem() takes from the form; everything else (image, …)
+// is carried over from editingItem.item.
+const FORM_FIELDS = [
+  "type", "title", "href", "imageUrl", "imageAttribution", "summary", "tags",
+  "sortYear", "publishAt", "translations", "relations", "meta", "status",
+];
+
+// Set by the server on every write (see SERVER_FIELDS in netlify/functions/items.js).
+const SERVER_FIELDS = ["id", "createdAt", "updatedAt", "deletedAt", "version"];
+
+// Token used for the status-filtered list; kept until the server rejects it.
+let listToken = null;
+
+// Items with link/image problems from the last link check: { [id]: record }.
+let linkHealth = null;
+
 function $(id) {
   return document.getElementById(id);
 }
@@ -86,13 +132,210 @@ function parseIntOrNull(s) {
   return Number.isFinite(n) ? n : null;
 }
 
+// The <select id="type"> uses singular types; stored items may use the plural
+// spelling (imports migrate legacy rows to it).
+const SINGULAR_TYPES = {
+  people: "person",
+  projects: "project",
+  orgs: "org",
+  topics: "topic",
+  concepts: "concept",
+  books: "book",
+  movies: "movie",
+};
+
+function editorType(type) {
+  const t = String(type ?? "").trim().toLowerCase();
+  return SINGULAR_TYPES[t] || t;
+}
+
+// <input type="datetime-local"> works in local time, the API in ISO/UTC.
+function toLocalInput(iso) {
+  const d = new Date(iso);
+  if (!iso || Number.isNaN(d.getTime())) return "";
+  const pad = (n) => String(n).padStart(2, "0");
+  return (
+    `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}` +
+    `T${pad(d.getHours())}:${pad(d.getMinutes())}`
+  );
+}
+
+function publishAtValue() {
+  const v = getValue("publishAt");
+  if (!v) return null;
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? null : d.toISOString();
+}
+
+function translationInputId(field, locale) {
+  return field + locale.charAt(0).toUpperCase() + locale.slice(1);
+}
+
+// Form -> { de: { title?, summary?, tags?, href? } }, empty languages left out.
+function buildTranslations() {
+  const translations = { ...otherTranslations };
+  TRANSLATION_LOCALES.forEach((locale) => {
+    const entry = {};
+    TRANSLATION_FIELDS.forEach((field) => {
+      const id = translationInputId(field, locale);
+      if (!$(id)) return;
+      if (field === "tags") {
+        const list = parseCommaList(getValue(id));
+        if (list.length) entry.tags = list;
+      } else if (getValue(id)) {
+        entry[field] = getValue(id);
+      }
+    });
+    if (Object.keys(entry).length) translations[locale] = entry;
+    else delete translations[locale];
+  });
+  return Object.keys(translations).length ? translations : null;
+}
+
+function fillTranslations(translations) {
+  const all = translations && typeof translations === "object" ? translations : {};
+  otherTranslations = {};
+  Object.entries(all).forEach(([locale, entry]) => {
+    if (!TRANSLATION_LOCALES.includes(locale)) otherTranslations[locale] = entry;
+  });
+  TRANSLATION_LOCALES.forEach((locale) => {
+    TRANSLATION_FIELDS.forEach((field) => {
+      const value = all[locale]?.[field];
+      setValue(translationInputId(field, locale), field === "tags" ? normalizeTags(value) : value ?? "");
+    });
+  });
+}
+
+function setImageCredit(url, attribution) {
+  imageCredit = url && attribution ? { url, attribution } : null;
+  renderImageCredit();
+}
+
+function renderImageCredit() {
+  const el = $("imageCredit");
+  if (!el) return;
+  const a = imageCredit && getValue("imageUrl") === imageCredit.url ? imageCredit.attribution : null;
+  el.textContent = a ? `Bild: ${a.author || "unbekannt"} · ${a.license} · ${a.file || a.sourceUrl}` : "";
+}
+
+// -------------------------
+// Relations (authored, founded, …) with an item picker (datalist of stored items)
+// -------------------------
+const RELATION_LABELS = {
+  authored: "hat verfasst",
+  founded: "hat gegründet",
+  member_of: "ist Mitglied von",
+  inspired: "hat inspiriert",
+  part_of: "ist Teil von",
+};
+
+function normalizeRelations(value) {
+  let list = value;
+  if (typeof list === "string") {
+    try {
+      list = JSON.parse(list);
+    } catch {
+      list = null;
+    }
+  }
+  if (!Array.isArray(list)) return [];
+  return list
+    .filter((r) => r && r.type && r.target)
+    .map((r) => ({ type: String(r.type), target: String(r.target) }));
+}
+
+// With a list token drafts are offered too.
+async function loadRelationTargets() {
+  if (relationTargets) return relationTargets;
+  const res = await fetch(`${ITEMS_URL}?sort=title`, {
+    cache: "no-store",
+    headers: listToken ? { "x-admin-token": listToken } : {},
+  });
+  const parsed = await safeReadJson(res);
+  if (!res.ok || !Array.isArray(parsed?.json?.items)) return [];
+
+  relationTargets = parsed.json.items
+    .filter((it) => it.id)
+    .map((it) => ({ id: it.id, title: it.title || it.id, type: editorType(it.type) }));
+
+  const list = $("relationTargets");
+  if (list) {
+    list.innerHTML = relationTargets
+      .map((t) => `<option value="${escapeHtml(t.id)}">${escapeHtml(`${t.title} · ${t.type}`)}</option>`)
+      .join("");
+  }
+  renderRelations();
+  return relationTargets;
+}
+
+// Picker value -> item id: an id from the list, or a title that is unique.
+function resolveRelationTarget(value) {
+  const v = String(value || "").trim();
+  if (!v) return null;
+  const targets = relationTargets || [];
+  if (targets.some((t) => t.id === v)) return v;
+  const byTitle = targets.filter((t) => t.title.toLowerCase() === v.toLowerCase());
+  return byTitle.length === 1 ? byTitle[0].id : null;
+}
+
+function renderRelations() {
+  const el = $("relations");
+  if (!el) return;
+  if (!relations.length) {
+    el.innerHTML = `<span style="opacity:0.6; font-size:12px;">Keine Beziehungen.</span>`;
+    return;
+  }
+
+  el.innerHTML = relations
+    .map((r, i) => {
+      const target = relationTargets?.find((t) => t.id === r.target);
+      const label = target ? `${target.title} · ${target.type}` : r.target;
+      return `
+        <span class="tag">
+          ${escapeHtml(RELATION_LABELS[r.type] || r.type)} → ${escapeHtml(label)}
+          <button type="button" data-remove-relation="${i}" aria-label="Entfernen"
+            style="background:none; border:0; color:inherit; cursor:pointer; padding:0 0 0 6px;">×</button>
+        </span>
+      `;
+    })
+    .join("");
+
+  el.querySelectorAll("button[data-remove-relation]").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      relations.splice(Number(btn.dataset.removeRelation), 1);
+      renderRelations();
+    });
+  });
+}
+
+async function addRelation() {
+  await loadRelationTargets().catch(console.error);
+
+  const type = getValue("relationType");
+  const value = getValue("relationTarget");
+  const target = resolveRelationTarget(value);
+  if (!target) {
+    return setOutput(`Beziehung: kein Item „${value}“ gefunden (aus der Liste wählen oder genauen Titel eingeben).`);
+  }
+  if (editingItem && target === editingItem.id) {
+    return setOutput("Beziehung: ein Item kann nicht auf sich selbst zeigen.");
+  }
+  if (relations.some((r) => r.type === type && r.target === target)) {
+    return setOutput("Beziehung existiert bereits.");
+  }
+
+  relations.push({ type, target });
+  setValue("relationTarget", "");
+  renderRelations();
+}
+
 function isBookType() {
   const t = getValue("type").toLowerCase();
   return t === "book" || t === "books";
 }
 
 function requireAdminToken(actionLabel) {
-  const token = prompt(`Admin token (x-admin-token) für ${actionLabel}:`);
+  const token = prompt(`Editor-Token (x-admin-token) für ${actionLabel}:`);
   return token && token.trim() ? token.trim() : null;
 }
 
@@ -113,6 +356,33 @@ function buildItem() {
     meta: null,
   };
 
+  // Loaded item: keep fields and meta the form does not show. Meta of another
+  // type is dropped when the type was changed in the form.
+  const loaded = editingItem?.item || null;
+  if (loaded) {
+    Object.entries(loaded).forEach(([key, value]) => {
+      if (FORM_FIELDS.includes(key) || SERVER_FIELDS.includes(key)) return;
+      if (value != null) item[key] = value;
+    });
+  }
+  const loadedMeta = loaded && editorType(loaded.type) === type ? loaded.meta || {} : {};
+
+  // Empty: the server derives it from the type's meta (lib/query.js).
+  const sortYear = parseIntOrNull(getValue("sortYear"));
+  if (sortYear != null) item.sortYear = sortYear;
+
+  const publishAt = publishAtValue();
+  if (publishAt) item.publishAt = publishAt;
+
+  const translations = buildTranslations();
+  if (translations) item.translations = translations;
+
+  if (imageCredit && item.imageUrl === imageCredit.url) {
+    item.imageAttribution = imageCredit.attribution;
+  }
+
+  if (relations.length) item.relations = relations.map((r) => ({ ...r }));
+
   // PERSON meta
   if (type === "person") {
     const meta = {};
@@ -120,6 +390,18 @@ function buildItem() {
     const deathYear = parseIntOrNull(getValue("deathYear"));
     if (birthYear != null) meta.birthYear = birthYear;
     if (deathYear != null) meta.deathYear = deathYear;
+
+    ["nationality", "affiliations", "fields", "roles"].forEach((id) => {
+      if (!$(id)) return;
+      const list = parseCommaList(getValue(id));
+      if (list.length) meta[id] = list;
+    });
+    ["activeStartYear", "activeEndYear"].forEach((id) => {
+      if (!$(id)) return;
+      const y = parseIntOrNull(getValue(id));
+      if (y != null) meta[id] = y;
+    });
+
     item.meta = Object.keys(meta).length ? meta : null;
   }
 
@@ -154,9 +436,83 @@ function buildItem() {
     item.meta = Object.keys(meta).length ? meta : null;
   }
 
+  // Loaded meta without a form input (wikidataId, openLibraryId, org headquarters, …)
+  const keptMeta = Object.entries(loadedMeta).filter(([key, value]) => !$(key) && value != null);
+  if (keptMeta.length) {
+    item.meta = { ...Object.fromEntries(keptMeta), ...(item.meta || {}) };
+  }
+
+  // Auto-Fill meta without a form input, for keys the loaded item lacks
+  if (lastAutofill?.meta && editorType(lastAutofill.type) === type) {
+    const meta = { ...(item.meta || {}) };
+    Object.entries(lastAutofill.meta).forEach(([key, value]) => {
+      if (!$(key) && meta[key] == null && value != null) meta[key] = value;
+    });
+    item.meta = Object.keys(meta).length ? meta : null;
+  }
+
   return item;
 }
 
+// -------------------------
+// Validation errors (422 { errors: [{ field, message }] })
+// -------------------------
+// Server field path -> admin.html input id. meta.* fall back to the key itself.
+const ERROR_FIELD_INPUTS = {
+  type: "type",
+  title: "title",
+  href: "href",
+  image: "image",
+  imageUrl: "imageUrl",
+  imageAttribution: "imageUrl",
+  summary: "summary",
+  tags: "tags",
+  sortYear: "sortYear",
+  publishAt: "publishAt",
+  relations: "relationTarget",
+};
+
+function inputIdForErrorField(field) {
+  const [head, key, sub] = String(field || "").split(".");
+  if (head === "meta") return key && $(key) ? key : "type";
+  if (head === "translations") {
+    const id = key && sub ? translationInputId(sub, key) : "";
+    return $(id) ? id : "title";
+  }
+  return ERROR_FIELD_INPUTS[head] || null;
+}
+
+function clearFieldErrors() {
+  document.querySelectorAll(".field-error").forEach((el) => el.remove());
+  document.querySelectorAll(".input.is-invalid").forEach((el) => el.classList.remove("is-invalid"));
+}
+
+function showFieldErrors(errors) {
+  clearFieldErrors();
+
+  const unmatched = [];
+  errors.forEach((err) => {
+    const input = $(inputIdForErrorField(err.field));
+    if (!input) {
+      unmatched.push(err);
+      return;
+    }
+    input.classList.add("is-invalid");
+
+    let box = input.nextElementSibling;
+    if (!box || !box.classList.contains("field-error")) {
+      box = document.createElement("div");
+      box.className = "field-error";
+      input.insertAdjacentElement("afterend", box);
+    }
+    const line = document.createElement("div");
+    line.textContent = `${err.field}: ${err.message}`;
+    box.appendChild(line);
+  });
+
+  return unmatched;
+}
+
 // -------------------------
 // Upload image (R2 via Worker)
 // -------------------------
@@ -199,6 +555,7 @@ async function uploadImageToR2() {
     if (!data?.imageUrl) return setOutput("Upload ok, aber keine imageUrl in Antwort.");
 
     if (urlInput) urlInput.value = data.imageUrl;
+    renderImageCredit();
     setOutput({ ok: true, upload: data });
   } catch (e) {
     setOutput("Upload Fehler:\n" + (e?.message || e));
@@ -208,34 +565,394 @@ async function uploadImageToR2() {
 }
 
 // -------------------------
-// Publish (POST /items)
+// Editing state (Load → save back to the same item)
 // -------------------------
-async function publishItem() {
-  const token = requireAdminToken("Publish");
-  if (!token) return setOutput("Publish abgebrochen (kein Token).");
+function setEditingItem(next) {
+  editingItem = next;
+  const el = $("editingInfo");
+  if (!el) return;
+  el.textContent = next
+    ? `Bearbeite ${next.id} · ${next.status || "published"} (${next.etag || "?"})`
+    : "Neues Item";
+}
+
+function clearForm() {
+  [
+    "title", "href", "image", "imageUrl", "summary", "tags", "sortYear", "publishAt",
+    "birthYear", "deathYear", "nationality", "affiliations", "fields", "roles",
+    "activeStartYear", "activeEndYear",
+    "authors", "publishedYear", "publisher", "isbn", "language",
+  ].forEach((id) => setValue(id, ""));
+  fillTranslations(null);
+  setImageCredit(null);
+  relations = [];
+  renderRelations();
+  lastBookFacts = null;
+  lastAutofill = null;
+  renderAutofillReport(null);
+  clearFieldErrors();
+  setEditingItem(null);
+  setOutput("");
+}
+
+// -------------------------
+// Auto-Fill (POST /autofill): summary from the Wikipedia lead, facts from Wikidata
+// -------------------------
+function renderAutofillReport(data) {
+  const el = $("autofillReport");
+  if (!el) return;
+  if (!data) {
+    el.style.display = "none";
+    el.innerHTML = "";
+    return;
+  }
+
+  const sources = Array.isArray(data.sources) ? data.sources : [];
+  const unsupported = Array.isArray(data.unsupported) ? data.unsupported : [];
+  const facts = Array.isArray(data.facts) ? data.facts : [];
+  const images = Array.isArray(data.images) ? data.images : [];
+
+  el.innerHTML = `
+    <div class="card__kicker">Quellen</div>
+    ${
+      sources.length
+        ? sources
+            .map(
+              (s) =>
+                `<div style="font-size:12px; word-break:break-all;">${escapeHtml(s.kind || "")}${s.locale ? ` (${escapeHtml(s.locale)})` : ""}: ` +
+                `<a href="${escapeHtml(s.url || "")}" target="_blank" rel="noopener">${escapeHtml(s.title || s.url || "")}</a></div>`
+            )
+            .join("")
+        : `<div style="font-size:12px; opacity:0.7;">Keine Quelle gefunden – Zusammenfassung ist nicht belegt.</div>`
+    }
+    ${
+      unsupported.length
+        ? `<div class="card__kicker" style="margin-top:10px;">Nicht in der Quelle belegt (${unsupported.length})</div>` +
+          unsupported
+            .map(
+              (u) =>
+                `<div class="field-error" style="margin-left:0;">${u.locale ? `[${escapeHtml(u.locale)}] ` : ""}${escapeHtml(u.sentence)} ` +
+                `<span style="opacity:0.6;">(${escapeHtml(u.reason)})</span></div>`
+            )
+            .join("")
+        : ""
+    }
+    ${
+      images.length
+        ? `<div class="card__kicker" style="margin-top:10px;">Bilder (Wikimedia Commons)</div>` +
+          `<div style="display:flex; gap:10px; flex-wrap:wrap; margin-top:6px;">` +
+          images
+            .map(
+              (img, i) => `
+                <div style="width:160px; border:1px solid rgba(255,255,255,0.08); padding:6px; border-radius:14px;">
+                  <img src="${escapeHtml(img.thumbUrl)}" alt="" loading="lazy" style="width:100%; height:110px; object-fit:cover; border-radius:8px;">
+                  <div style="font-size:11px; opacity:0.8; margin-top:4px; word-break:break-word;">
+                    ${escapeHtml(img.author || "unbekannt")} · ${escapeHtml(img.license)}<br>
+                    ${escapeHtml(img.width ?? "?")}×${escapeHtml(img.height ?? "?")} ·
+                    <a href="${escapeHtml(img.sourceUrl || "")}" target="_blank" rel="noopener">Quelle</a>
+                  </div>
+                  <button class="btn btn--ghost" type="button" data-image="${i}" style="margin-top:4px;">Use</button>
+                </div>
+              `
+            )
+            .join("") +
+          `</div>`
+        : ""
+    }
+    ${
+      facts.length
+        ? `<div class="card__kicker" style="margin-top:10px;">Wikidata</div>` +
+          facts
+            .map(
+              (f) =>
+                `<div style="font-size:12px; opacity:0.8;">${escapeHtml(f.field)}: ${escapeHtml(f.value)} ` +
+                `<span style="opacity:0.6;">(${escapeHtml(f.qid)} · ${escapeHtml(f.property)})</span></div>`
+            )
+            .join("")
+        : ""
+    }
+  `;
+  el.style.display = "block";
+
+  el.querySelectorAll("button[data-image]").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      const img = images[Number(btn.getAttribute("data-image"))];
+      if (!img) return;
+      setValue("imageUrl", img.thumbUrl);
+      setImageCredit(img.thumbUrl, {
+        file: img.file,
+        author: img.author || undefined,
+        license: img.license,
+        licenseUrl: img.licenseUrl || undefined,
+        sourceUrl: img.sourceUrl,
+      });
+      setOutput(buildItem());
+    });
+  });
+}
+
+// Flagged sentences that are still in the summary field of their language.
+function unsupportedInSummary() {
+  return (lastAutofill?.unsupported || []).filter((u) => {
+    const id = u.locale ? translationInputId("summary", u.locale) : "summary";
+    return getValue(id).includes(u.sentence);
+  });
+}
+
+// Ambiguous title: let the curator pick the Wikipedia page to fill from.
+function renderCandidatePicker(candidates) {
+  const el = $("autofillReport");
+  if (!el) return;
+
+  el.innerHTML = `
+    <div class="card__kicker">Mehrdeutiger Titel – welche Seite ist gemeint?</div>
+    <div style="display:flex; flex-direction:column; gap:8px; margin-top:6px;">
+      ${candidates
+        .map(
+          (c) => `
+            <div style="display:flex; align-items:center; gap:10px; border:1px solid rgba(255,255,255,0.08); padding:8px; border-radius:14px;">
+              ${
+                c.thumbnail
+                  ? `<img src="${escapeHtml(c.thumbnail)}" alt="" style="width:48px; height:48px; object-fit:cover; border-radius:8px; flex-shrink:0;">`
+                  : ""
+              }
+              <div style="min-width:0; flex:1;">
+                <div style="font-weight:700; letter-spacing:0.04em;">
+                  <a href="${escapeHtml(c.url)}" target="_blank" rel="noopener">${escapeHtml(c.title)}</a>
+                </div>
+                <div style="opacity:0.7; font-size:12px;">${escapeHtml(c.description || "")}${c.qid ? ` · ${escapeHtml(c.qid)}` : ""}</div>
+              </div>
+              <button class="btn btn--ghost" type="button" data-page="${escapeHtml(c.title)}">Use</button>
+            </div>
+          `
+        )
+        .join("")}
+    </div>
+    <div style="margin-top:8px;">
+      <button class="btn btn--ghost" type="button" data-skip-wikipedia>Keine davon (ohne Wikipedia)</button>
+    </div>
+  `;
+  el.style.display = "block";
+
+  el.querySelectorAll("button[data-page]").forEach((btn) => {
+    btn.addEventListener("click", () =>
+      autofillItem({ page: btn.getAttribute("data-page") }).catch((e) => setOutput(e?.message || e))
+    );
+  });
+  el.querySelector("button[data-skip-wikipedia]")?.addEventListener("click", () =>
+    autofillItem({ skipWikipedia: true }).catch((e) => setOutput(e?.message || e))
+  );
+}
+
+// opts.page: Wikipedia page chosen from the candidates; opts.skipWikipedia: fill without one.
+async function autofillItem(opts = {}) {
+  const title = getValue("title");
+  if (!title) return setOutput("Fehler: title fehlt.");
+
+  if (!autofillToken) autofillToken = requireAdminToken("Auto-Fill");
+  if (!autofillToken) return setOutput("Auto-Fill abgebrochen (kein Token).");
+
+  const btn = $("autofill");
+  if (btn) btn.disabled = true;
+
+  try {
+    setOutput(`Autofill läuft…\nPOST ${AUTOFILL_URL}`);
+
+    let res;
+    try {
+      res = await fetch(AUTOFILL_URL, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", "x-admin-token": autofillToken },
+        body: JSON.stringify({
+          type: getValue("type"),
+          title,
+          current: buildItem(),
+          page: opts.page || undefined,
+          skipWikipedia: opts.skipWikipedia || undefined,
+          locales: TRANSLATION_LOCALES,
+        }),
+      });
+    } catch (e) {
+      return setOutput("Autofill Fehler: Failed to fetch\n" + (e?.message || e));
+    }
+
+    const parsed = await safeReadJson(res);
+    if (res.status === 401 || res.status === 403) autofillToken = null;
+    if (res.status === 429) {
+      return setOutput(
+        `Auto-Fill Limit erreicht – bitte in ${res.headers.get("Retry-After") || "?"} s erneut versuchen.`
+      );
+    }
+    if (!res.ok || !parsed.ok) {
+      return setOutput(
+        `Autofill-Fehler (HTTP ${res.status}):\n` +
+          (parsed.ok ? JSON.stringify(parsed.json, null, 2) : parsed.raw)
+      );
+    }
+
+    const data = parsed.json;
+    if (data.ambiguous && Array.isArray(data.candidates)) {
+      lastAutofill = null;
+      renderCandidatePicker(data.candidates);
+      return setOutput(`Mehrdeutig: ${data.candidates.length} Kandidaten – bitte eine Seite wählen.`);
+    }
+
+    if (data.summary) setValue("summary", data.summary);
+    if (Array.isArray(data.tags)) setValue("tags", data.tags);
+    if (!getValue("href") && data.href) setValue("href", data.href);
+    if (!getValue("sortYear") && data.sortYear != null) setValue("sortYear", data.sortYear);
+
+    // Translations: like summary/tags, except title and link stay if already set.
+    TRANSLATION_LOCALES.forEach((locale) => {
+      const t = data.translations?.[locale];
+      if (!t) return;
+      if (t.summary) setValue(translationInputId("summary", locale), t.summary);
+      if (Array.isArray(t.tags)) setValue(translationInputId("tags", locale), t.tags);
+      ["title", "href"].forEach((field) => {
+        const id = translationInputId(field, locale);
+        if (t[field] && !getValue(id)) setValue(id, t[field]);
+      });
+    });
+
+    // Wikidata facts fill empty inputs only; curators' entries win.
+    Object.entries(data.meta || {}).forEach(([key, value]) => {
+      if ($(key) && !getValue(key)) setValue(key, value);
+    });
+
+    lastAutofill = data;
+    renderAutofillReport(data);
+    setOutput(buildItem());
+  } finally {
+    if (btn) btn.disabled = false;
+  }
+}
+
+// -------------------------
+// Workflow transitions (POST /items?action=transition)
+// -------------------------
+// force: publish even if the server reports likely duplicates.
+async function transitionItem(id, to, token, etag, force = false) {
+  const url =
+    `${ITEMS_URL}?action=transition&id=${encodeURIComponent(id)}&to=${encodeURIComponent(to)}` +
+    (force ? "&force=1" : "");
+  const headers = { "x-admin-token": token };
+  if (etag) headers["If-Match"] = etag;
+
+  const res = await fetch(url, { method: "POST", headers });
+  const parsed = await safeReadJson(res);
+  return {
+    ok: res.ok,
+    status: res.status,
+    etag: res.headers.get("ETag"),
+    item: parsed.ok ? parsed.json?.item : null,
+    duplicates: parsed.ok && Array.isArray(parsed.json?.duplicates) ? parsed.json.duplicates : null,
+    error: parsed.ok ? JSON.stringify(parsed.json, null, 2) : parsed.raw,
+  };
+}
+
+function duplicateList(duplicates) {
+  return duplicates
+    .map((d) => `- ${d.item?.title} (${d.item?.type}, ${d.item?.id}) · ${(d.reasons || []).join(", ")}`)
+    .join("\n");
+}
+
+// Transition; on 409 duplicates asks once whether to publish anyway.
+async function transitionConfirmed(id, to, token, etag) {
+  const moved = await transitionItem(id, to, token, etag);
+  if (moved.status !== 409 || !moved.duplicates) return moved;
+  const list = duplicateList(moved.duplicates);
+  setOutput(`Mögliches Duplikat:\n${list}`);
+  if (!confirm(`Mögliches Duplikat gefunden:\n${list}\n\nTrotzdem veröffentlichen?`)) return moved;
+  return transitionItem(id, to, token, etag, true);
+}
+
+// -------------------------
+// Publish (POST /items, or PUT /items?id= when an item is loaded)
+// -------------------------
+const SAVE_LABELS = {
+  draft: "Save draft",
+  in_review: "Submit for review",
+  published: "Publish",
+};
+
+// opts.status: where the item should end up (draft | in_review | published).
+// opts.force: publish even if the server reports likely duplicates.
+async function publishItem(opts = {}) {
+  const target = opts.status || "published";
+  const token = opts.token || requireAdminToken(SAVE_LABELS[target]);
+  if (!token) return setOutput(`${SAVE_LABELS[target]} abgebrochen (kein Token).`);
 
   const item = buildItem();
 
   if (!item.type) return setOutput("Fehler: type fehlt.");
   if (!item.title) return setOutput("Fehler: title fehlt.");
 
-  setOutput(`Publishing…\nPOST ${ITEMS_URL}`);
+  clearFieldErrors();
+
+  const flagged = target === "published" && !opts.force ? unsupportedInSummary() : [];
+  if (
+    flagged.length &&
+    !confirm(
+      `${flagged.length} Satz/Sätze der Zusammenfassung sind nicht in der Quelle belegt:\n\n` +
+        flagged.map((u) => `- ${u.sentence}`).join("\n") +
+        "\n\nTrotzdem veröffentlichen?"
+    )
+  ) {
+    return setOutput("Publish abgebrochen (nicht belegte Sätze).");
+  }
+
+  // New items start as draft unless they go straight to published; loaded
+  // items keep their status here and move via ?action=transition below.
+  const updating = !!editingItem;
+  if (updating) {
+    if (editingItem.status) item.status = editingItem.status;
+  } else {
+    item.status = target === "published" ? "published" : "draft";
+  }
+
+  const url = updating
+    ? `${ITEMS_URL}?id=${encodeURIComponent(editingItem.id)}${opts.force ? "&force=1" : ""}`
+    : `${ITEMS_URL}${opts.force ? "?force=1" : ""}`;
+  const method = updating ? "PUT" : "POST";
+
+  setOutput(`${updating ? "Saving" : "Publishing"}…\n${method} ${url}`);
+
+  const headers = {
+    "Content-Type": "application/json",
+    "x-admin-token": token,
+  };
+  if (updating && editingItem.etag) headers["If-Match"] = editingItem.etag;
 
   let res;
   try {
-    res = await fetch(ITEMS_URL, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "x-admin-token": token,
-      },
-      body: JSON.stringify(item),
-    });
+    res = await fetch(url, { method, headers, body: JSON.stringify(item) });
   } catch (e) {
     return setOutput("Publish Fehler: Failed to fetch\n" + (e?.message || e));
   }
 
   const parsed = await safeReadJson(res);
+  if (res.status === 422 && parsed.ok && Array.isArray(parsed.json?.errors)) {
+    const unmatched = showFieldErrors(parsed.json.errors);
+    return setOutput(
+      `Validierung fehlgeschlagen (${parsed.json.errors.length} Fehler) – siehe markierte Felder.` +
+        (unmatched.length
+          ? "\n\n" + unmatched.map((e) => `${e.field || "item"}: ${e.message}`).join("\n")
+          : "")
+    );
+  }
+  if (res.status === 409 && parsed.ok && Array.isArray(parsed.json?.duplicates)) {
+    const list = duplicateList(parsed.json.duplicates);
+    setOutput(`Mögliches Duplikat:\n${list}`);
+    if (!confirm(`Mögliches Duplikat gefunden:\n${list}\n\nTrotzdem veröffentlichen?`)) return;
+    return publishItem({ ...opts, token, force: true });
+  }
+  if (res.status === 409) {
+    return setOutput(
+      "Konflikt: Das Item wurde inzwischen von jemand anderem geändert.\n" +
+        "Bitte neu laden (Load) und Änderungen erneut eintragen.\n\n" +
+        (parsed.ok ? JSON.stringify(parsed.json?.current ?? parsed.json, null, 2) : parsed.raw)
+    );
+  }
   if (!res.ok) {
     return setOutput(
       `Publish-Fehler (HTTP ${res.status}):\n` +
@@ -243,8 +960,45 @@ async function publishItem() {
     );
   }
 
-  setOutput({ ok: true, published: parsed.json });
-  alert("Item veröffentlicht ✔");
+  const savedId = parsed.json?.id || editingItem?.id;
+  let saved = parsed.json?.item || null;
+  let etag = res.headers.get("ETag");
+  let status = saved?.status || item.status || "published";
+
+  if (savedId && status !== target) {
+    let moved;
+    try {
+      moved = await transitionConfirmed(savedId, target, token, etag);
+    } catch (e) {
+      moved = { ok: false, status: 0, error: e?.message || String(e) };
+    }
+    if (!moved.ok) {
+      setEditingItem({ id: savedId, etag, status, item: saved || item });
+      return setOutput(
+        `Gespeichert, aber Statuswechsel ${status} → ${target} fehlgeschlagen (HTTP ${moved.status}):\n` +
+          moved.error
+      );
+    }
+    saved = moved.item || saved;
+    etag = moved.etag;
+    status = target;
+  }
+
+  setEditingItem(savedId ? { id: savedId, etag, status, item: saved || item } : null);
+
+  setOutput({ ok: true, [updating ? "updated" : "published"]: saved || parsed.json });
+  const scheduled = status === "published" && saved?.publishAt && Date.parse(saved.publishAt) > Date.now();
+  alert(
+    target === "draft"
+      ? "Entwurf gespeichert ✔"
+      : target === "in_review"
+        ? "Zur Prüfung eingereicht ✔"
+        : scheduled
+          ? `Item geplant für ${new Date(saved.publishAt).toLocaleString()} ✔`
+          : updating
+            ? "Item gespeichert ✔"
+            : "Item veröffentlicht ✔"
+  );
 
   latestBookSuggestions = [];
   lastBookQuery = "";
@@ -255,14 +1009,161 @@ async function publishItem() {
 // -------------------------
 // List + Load + Delete
 // -------------------------
+function fillForm(it) {
+  const type = editorType(it.type);
+  lastAutofill = null;
+  renderAutofillReport(null);
+  setValue("type", type);
+  setValue("title", it.title);
+  setValue("href", it.href);
+  setValue("imageUrl", it.imageUrl || "");
+  setImageCredit(it.imageUrl, it.imageAttribution);
+  setValue("summary", it.summary);
+  setValue("tags", normalizeTags(it.tags));
+  setValue("sortYear", it.sortYear ?? "");
+  setValue("publishAt", toLocalInput(it.publishAt));
+  fillTranslations(it.translations);
+  relations = normalizeRelations(it.relations);
+  renderRelations();
+  if (relations.length) loadRelationTargets().catch(console.error);
+
+  const personKeys = [
+    "birthYear", "deathYear", "nationality", "affiliations", "fields", "roles",
+    "activeStartYear", "activeEndYear",
+  ];
+  personKeys.forEach((key) =>
+    setValue(key, type === "person" ? it?.meta?.[key] ?? "" : "")
+  );
+
+  if (type === "book") {
+    if ($("authors")) setValue("authors", it?.meta?.authors ?? []);
+    if ($("publishedYear")) setValue("publishedYear", it?.meta?.publishedYear ?? "");
+    if ($("publisher")) setValue("publisher", it?.meta?.publisher ?? "");
+    if ($("isbn")) setValue("isbn", it?.meta?.isbn ?? "");
+    if ($("language")) setValue("language", it?.meta?.language ?? "");
+  } else {
+    if ($("authors")) setValue("authors", "");
+    if ($("publishedYear")) setValue("publishedYear", "");
+    if ($("publisher")) setValue("publisher", "");
+    if ($("isbn")) setValue("isbn", "");
+    if ($("language")) setValue("language", "");
+  }
+
+  $("type")?.dispatchEvent(new Event("change"));
+}
+
+// -------------------------
+// Link check (GET/POST /linkcheck): badges on items with broken links/images
+// -------------------------
+const PROBLEM_LABELS = {
+  broken_link: "Link kaputt",
+  invalid_link: "Kein Link",
+  redirect: "Weiterleitung",
+  missing_image: "Bild fehlt",
+};
+
+async function loadLinkHealth(token) {
+  try {
+    const res = await fetch(`${LINKCHECK_URL}?problems=1`, {
+      cache: "no-store",
+      headers: { "x-admin-token": token },
+    });
+    const parsed = await safeReadJson(res);
+    if (res.ok && parsed.ok) linkHealth = parsed.json?.report?.items || {};
+  } catch (e) {
+    console.error(e);
+  }
+}
+
+function healthBadge(id) {
+  const record = linkHealth?.[id];
+  if (!record?.problems?.length) return "";
+
+  const details = [
+    record.href?.redirectTo ? `href → ${record.href.redirectTo}` : "",
+    record.href?.status && !record.href.ok ? `href HTTP ${record.href.status}` : "",
+    record.href?.error ? `href: ${record.href.error}` : "",
+    record.image?.status && !record.image.ok ? `Bild HTTP ${record.image.status}` : "",
+    record.image?.error ? `Bild: ${record.image.error}` : "",
+    `geprüft ${record.checkedAt}`,
+  ].filter(Boolean);
+
+  return record.problems
+    .map(
+      (p) =>
+        `<span class="tag" style="color:#f5a623; border-color:rgba(245,166,35,0.5); padding:2px 8px; margin-left:6px;" title="${escapeHtml(details.join("\n"))}">⚠ ${escapeHtml(PROBLEM_LABELS[p] || p)}</span>`
+    )
+    .join("");
+}
+
+async function checkLinks() {
+  const token = listToken || requireAdminToken("Link-Check");
+  if (!token) return setOutput("Link-Check abgebrochen (kein Token).");
+
+  setOutput(`Link-Check läuft…\nPOST ${LINKCHECK_URL}`);
+  let res;
+  try {
+    res = await fetch(LINKCHECK_URL, { method: "POST", headers: { "x-admin-token": token } });
+  } catch (e) {
+    return setOutput("Link-Check Fehler: Failed to fetch\n" + (e?.message || e));
+  }
+
+  const parsed = await safeReadJson(res);
+  if (!res.ok) {
+    return setOutput(
+      `Link-Check Fehler (HTTP ${res.status}):\n` +
+        (parsed.ok ? JSON.stringify(parsed.json, null, 2) : parsed.raw)
+    );
+  }
+
+  const { ranIn, report } = parsed.json || {};
+  if (ranIn === "background") {
+    setOutput("Link-Check läuft im Hintergrund – später „Refresh list“ klicken.");
+    return;
+  }
+  linkHealth = report?.items || {};
+  setOutput({ ok: true, status: report?.status, total: report?.total, counts: report?.counts });
+  await loadPublished();
+}
+
+// Row buttons per workflow status: [target status, label].
+const ROW_TRANSITIONS = {
+  draft: [["in_review", "Submit"]],
+  in_review: [["published", "Approve"], ["draft", "Reject"]],
+  published: [["archived", "Archive"]],
+  archived: [["published", "Republish"]],
+};
+
+function isScheduledItem(it) {
+  return (it.status || "published") === "published" && !!it.publishAt && Date.parse(it.publishAt) > Date.now();
+}
+
+// Anything but the public list (drafts, review queue, …) needs a token.
 async function loadPublished() {
   if (!publishedEl) return;
+  setListView("published");
+
+  const filter = getValue("statusFilter");
+  if (!filter) {
+    listToken = null;
+  } else if (!listToken) {
+    listToken = requireAdminToken("Status-Filter");
+    if (!listToken) {
+      publishedEl.textContent = "Status-Filter abgebrochen (kein Token).";
+      return;
+    }
+  }
 
-  publishedEl.textContent = `Loading…\nGET ${ITEMS_URL}`;
+  const url =
+    filter && filter !== "all" ? `${ITEMS_URL}?status=${encodeURIComponent(filter)}` : ITEMS_URL;
+  publishedEl.textContent = `Loading…\nGET ${url}`;
 
   let res;
   try {
-    res = await fetch(ITEMS_URL, { cache: "no-store" });
+    res = await fetch(url, {
+      cache: "no-store",
+      headers: listToken ? { "x-admin-token": listToken } : {},
+    });
   } catch (e) {
     publishedEl.innerHTML =
       `<pre class="code" style="white-space:pre-wrap;">` +
@@ -272,6 +1173,7 @@ async function loadPublished() {
   }
 
   const parsed = await safeReadJson(res);
+  if (res.status === 401) listToken = null;
   if (!res.ok) {
     publishedEl.innerHTML =
       `<pre class="code" style="white-space:pre-wrap;">` +
@@ -285,10 +1187,12 @@ async function loadPublished() {
 
   const items = Array.isArray(parsed?.json?.items) ? parsed.json.items : [];
   if (!items.length) {
-    publishedEl.textContent = "No published items yet.";
+    publishedEl.textContent = filter ? "No items with this status." : "No published items yet.";
     return;
   }
 
+  if (listToken) await loadLinkHealth(listToken);
+
   publishedEl.innerHTML = `
     <div style="display:flex; flex-direction:column; gap:10px;">
       ${items
@@ -297,15 +1201,26 @@ async function loadPublished() {
           const type = escapeHtml(it.type || "");
           const createdAt = escapeHtml(it.createdAt || "");
           const id = escapeHtml(it.id || "");
+          const status = it.status || "published";
+          const statusLabel = escapeHtml(
+            isScheduledItem(it) ? `scheduled ${it.publishAt}` : status
+          );
+          const moves = (ROW_TRANSITIONS[status] || [])
+            .map(
+              ([to, label]) =>
+                `<button class="btn btn--ghost" data-transition-id="${id}" data-to="${escapeHtml(to)}">${escapeHtml(label)}</button>`
+            )
+            .join("");
 
           return `
             <div style="display:flex; align-items:center; gap:10px; justify-content:space-between; border:1px solid rgba(255,255,255,0.08); padding:10px; border-radius:14px;">
               <div style="min-width:0;">
-                <div style="opacity:0.7; font-size:12px;">${type} · ${createdAt}</div>
-                <div style="font-weight:700; letter-spacing:0.04em;">${title}</div>
+                <div style="opacity:0.7; font-size:12px;">${type} · ${statusLabel} · ${createdAt}</div>
+                <div style="font-weight:700; letter-spacing:0.04em;">${title}${healthBadge(it.id)}</div>
                 <div style="opacity:0.6; font-size:12px; word-break:break-all;">${id}</div>
               </div>
               <div style="display:flex; gap:8px; flex-shrink:0;">
+                ${moves}
                 <button class="btn btn--ghost" data-load='${escapeHtml(
                   JSON.stringify(it)
                 ).replace(/'/g, "&#039;")}'>Load</button>
@@ -319,43 +1234,61 @@ async function loadPublished() {
   `;
 
   publishedEl.querySelectorAll("button[data-load]").forEach((btn) => {
-    btn.addEventListener("click", () => {
+    btn.addEventListener("click", async () => {
+      let it;
       try {
-        const it = JSON.parse(btn.getAttribute("data-load"));
-
-        setValue("type", it.type);
-        setValue("title", it.title);
-        setValue("href", it.href);
-        setValue("imageUrl", it.imageUrl || "");
-        setValue("summary", it.summary);
-        setValue("tags", normalizeTags(it.tags));
-
-        if (it.type === "person") {
-          setValue("birthYear", it?.meta?.birthYear ?? "");
-          setValue("deathYear", it?.meta?.deathYear ?? "");
-        } else {
-          setValue("birthYear", "");
-          setValue("deathYear", "");
-        }
+        it = JSON.parse(btn.getAttribute("data-load"));
+      } catch (e) {
+        console.error(e);
+        return;
+      }
 
-        if ((it.type || "").toLowerCase() === "book" || (it.type || "").toLowerCase() === "books") {
-          if ($("authors")) setValue("authors", it?.meta?.authors ?? []);
-          if ($("publishedYear")) setValue("publishedYear", it?.meta?.publishedYear ?? "");
-          if ($("publisher")) setValue("publisher", it?.meta?.publisher ?? "");
-          if ($("isbn")) setValue("isbn", it?.meta?.isbn ?? "");
-          if ($("language")) setValue("language", it?.meta?.language ?? "");
-        } else {
-          if ($("authors")) setValue("authors", "");
-          if ($("publishedYear")) setValue("publishedYear", "");
-          if ($("publisher")) setValue("publisher", "");
-          if ($("isbn")) setValue("isbn", "");
-          if ($("language")) setValue("language", "");
+      // Fetch the current version so the ETag matches what is stored.
+      let etag = null;
+      if (it.id) {
+        try {
+          const res = await fetch(`${ITEMS_URL}?id=${encodeURIComponent(it.id)}`, {
+            cache: "no-store",
+            headers: listToken ? { "x-admin-token": listToken } : {},
+          });
+          const parsed = await safeReadJson(res);
+          if (res.ok && parsed.ok && parsed.json?.item) {
+            it = parsed.json.item;
+            etag = res.headers.get("ETag");
+          }
+        } catch (e) {
+          console.error(e);
         }
+      }
+
+      fillForm(it);
+      setEditingItem(it.id ? { id: it.id, etag, status: it.status || "published", item: it } : null);
+      setOutput(buildItem());
+    });
+  });
 
-        setOutput(buildItem());
+  publishedEl.querySelectorAll("button[data-transition-id]").forEach((btn) => {
+    btn.addEventListener("click", async () => {
+      const id = btn.getAttribute("data-transition-id");
+      const to = btn.getAttribute("data-to");
+      if (!id || !to) return;
+
+      const token = listToken || requireAdminToken(btn.textContent);
+      if (!token) return alert("Statuswechsel abgebrochen (kein Token).");
+
+      let moved;
+      try {
+        moved = await transitionConfirmed(id, to, token);
       } catch (e) {
-        console.error(e);
+        return alert("Statuswechsel failed: Failed to fetch\n" + (e?.message || e));
       }
+      if (!moved.ok) return alert(`Statuswechsel failed (HTTP ${moved.status}): ${moved.error}`);
+
+      if (editingItem?.id === id) {
+        setEditingItem({ ...editingItem, etag: moved.etag, status: to, item: moved.item || editingItem.item });
+      }
+      setOutput({ ok: true, transitioned: { id, to } });
+      await loadPublished();
     });
   });
 
@@ -363,7 +1296,7 @@ async function loadPublished() {
     btn.addEventListener("click", async () => {
       const id = btn.getAttribute("data-del-id");
       if (!id) return;
-      if (!confirm("Delete this item?")) return;
+      if (!confirm("Move this item to trash?")) return;
 
       const token = requireAdminToken("Delete");
       if (!token) return alert("Delete abgebrochen (kein Token).");
@@ -383,6 +1316,8 @@ async function loadPublished() {
         return alert("Delete failed: " + t);
       }
 
+      if (editingItem?.id === id) setEditingItem(null);
+
       latestBookSuggestions = [];
       lastBookQuery = "";
       await loadPublished();
@@ -390,6 +1325,170 @@ async function loadPublished() {
   });
 }
 
+// -------------------------
+// Trash (soft-deleted items) + restore
+// -------------------------
+function setListView(view) {
+  $("showPublished")?.classList.toggle("is-active", view === "published");
+  $("showTrash")?.classList.toggle("is-active", view === "trash");
+  $("showDuplicates")?.classList.toggle("is-active", view === "duplicates");
+}
+
+async function loadTrash() {
+  if (!publishedEl) return;
+  setListView("trash");
+
+  const token = requireAdminToken("Trash");
+  if (!token) {
+    publishedEl.textContent = "Trash abgebrochen (kein Token).";
+    return;
+  }
+
+  const url = `${ITEMS_URL}?action=trash`;
+  publishedEl.textContent = `Loading…\nGET ${url}`;
+
+  let res;
+  try {
+    res = await fetch(url, { cache: "no-store", headers: { "x-admin-token": token } });
+  } catch (e) {
+    publishedEl.textContent = "Netzwerkfehler (trash): Failed to fetch\n" + (e?.message || e);
+    return;
+  }
+
+  const parsed = await safeReadJson(res);
+  if (!res.ok) {
+    publishedEl.textContent =
+      `Trash-Fehler (HTTP ${res.status}):\n` +
+      (parsed.ok ? JSON.stringify(parsed.json, null, 2) : parsed.raw);
+    return;
+  }
+
+  const items = Array.isArray(parsed?.json?.items) ? parsed.json.items : [];
+  const retention = parsed?.json?.retentionDays;
+  if (!items.length) {
+    publishedEl.textContent = "Trash is empty.";
+    return;
+  }
+
+  publishedEl.innerHTML = `
+    <div style="opacity:0.7; font-size:12px; margin-bottom:10px;">
+      Items are purged ${escapeHtml(retention ?? "?")} days after deletion.
+    </div>
+    <div style="display:flex; flex-direction:column; gap:10px;">
+      ${items
+        .map((it) => {
+          const title = escapeHtml(it.title || "");
+          const type = escapeHtml(it.type || "");
+          const deletedAt = escapeHtml(it.deletedAt || "");
+          const id = escapeHtml(it.id || "");
+
+          return `
+            <div data-row style="display:flex; align-items:center; gap:10px; justify-content:space-between; border:1px solid rgba(255,255,255,0.08); padding:10px; border-radius:14px;">
+              <div style="min-width:0;">
+                <div style="opacity:0.7; font-size:12px;">${type} · deleted ${deletedAt}</div>
+                <div style="font-weight:700; letter-spacing:0.04em;">${title}</div>
+                <div style="opacity:0.6; font-size:12px; word-break:break-all;">${id}</div>
+              </div>
+              <div style="display:flex; gap:8px; flex-shrink:0;">
+                <button class="btn" data-restore-id="${id}">Restore</button>
+              </div>
+            </div>
+          `;
+        })
+        .join("")}
+    </div>
+  `;
+
+  publishedEl.querySelectorAll("button[data-restore-id]").forEach((btn) => {
+    btn.addEventListener("click", async () => {
+      const id = btn.getAttribute("data-restore-id");
+      if (!id) return;
+
+      let restoreRes;
+      try {
+        restoreRes = await fetch(
+          `${ITEMS_URL}?action=untrash&id=${encodeURIComponent(id)}`,
+          { method: "POST", headers: { "x-admin-token": token } }
+        );
+      } catch (e) {
+        return alert("Restore failed: Failed to fetch\n" + (e?.message || e));
+      }
+
+      if (!restoreRes.ok) {
+        const t = await restoreRes.text();
+        return alert("Restore failed: " + t);
+      }
+
+      btn.closest("[data-row]")?.remove();
+      setOutput({ ok: true, restored: id });
+    });
+  });
+}
+
+// -------------------------
+// Duplicate report (clusters of likely duplicates)
+// -------------------------
+async function loadDuplicates() {
+  if (!publishedEl) return;
+  setListView("duplicates");
+
+  const token = requireAdminToken("Duplicates");
+  if (!token) {
+    publishedEl.textContent = "Duplicates abgebrochen (kein Token).";
+    return;
+  }
+
+  const url = `${ITEMS_URL}?action=duplicates`;
+  publishedEl.textContent = `Loading…\nGET ${url}`;
+
+  let res;
+  try {
+    res = await fetch(url, { cache: "no-store", headers: { "x-admin-token": token } });
+  } catch (e) {
+    publishedEl.textContent = "Netzwerkfehler (duplicates): Failed to fetch\n" + (e?.message || e);
+    return;
+  }
+
+  const parsed = await safeReadJson(res);
+  if (!res.ok) {
+    publishedEl.textContent =
+      `Duplicates-Fehler (HTTP ${res.status}):\n` +
+      (parsed.ok ? JSON.stringify(parsed.json, null, 2) : parsed.raw);
+    return;
+  }
+
+  const clusters = Array.isArray(parsed?.json?.clusters) ? parsed.json.clusters : [];
+  if (!clusters.length) {
+    publishedEl.textContent = "No duplicates found.";
+    return;
+  }
+
+  publishedEl.innerHTML = `
+    <div style="display:flex; flex-direction:column; gap:10px;">
+      ${clusters
+        .map(
+          (c) => `
+            <div style="border:1px solid rgba(255,255,255,0.08); padding:10px; border-radius:14px;">
+              <div style="opacity:0.7; font-size:12px;">match: ${escapeHtml((c.reasons || []).join(", "))}</div>
+              ${(c.items || [])
+                .map(
+                  (it) => `
+                    <div style="margin-top:6px;">
+                      <span style="font-weight:700; letter-spacing:0.04em;">${escapeHtml(it.title || "")}</span>
+                      <span style="opacity:0.7; font-size:12px;"> · ${escapeHtml(it.type || "")} · ${escapeHtml(it.createdAt || "")}</span>
+                      <div style="opacity:0.6; font-size:12px; word-break:break-all;">${escapeHtml(it.id || "")} · ${escapeHtml(it.href || "")}</div>
+                    </div>
+                  `
+                )
+                .join("")}
+            </div>
+          `
+        )
+        .join("")}
+    </div>
+  `;
+}
+
 // -------------------------
 // Books: suggest + autofill + enrich + wikipedia href
 // -------------------------
@@ -459,9 +1558,30 @@ async function booksEnrichSummaryTags(facts) {
 // UI wiring
 // -------------------------
 $("generate")?.addEventListener("click", () => setOutput(buildItem()));
+$("autofill")?.addEventListener("click", () => autofillItem().catch((e) => setOutput(e?.message || e)));
 $("publish")?.addEventListener("click", () => publishItem().catch((e) => setOutput(e?.message || e)));
+$("saveDraft")?.addEventListener("click", () =>
+  publishItem({ status: "draft" }).catch((e) => setOutput(e?.message || e))
+);
+$("submitReview")?.addEventListener("click", () =>
+  publishItem({ status: "in_review" }).catch((e) => setOutput(e?.message || e))
+);
+$("statusFilter")?.addEventListener("change", () => loadPublished().catch(console.error));
 $("refreshList")?.addEventListener("click", () => loadPublished().catch(console.error));
+$("showPublished")?.addEventListener("click", () => loadPublished().catch(console.error));
+$("showTrash")?.addEventListener("click", () => loadTrash().catch(console.error));
+$("showDuplicates")?.addEventListener("click", () => loadDuplicates().catch(console.error));
+$("checkLinks")?.addEventListener("click", () => checkLinks().catch((e) => setOutput(e?.message || e)));
+$("newItem")?.addEventListener("click", () => clearForm());
 $("uploadImage")?.addEventListener("click", () => uploadImageToR2().catch(console.error));
+$("imageUrl")?.addEventListener("input", () => renderImageCredit());
+$("addRelation")?.addEventListener("click", () => addRelation().catch((e) => setOutput(e?.message || e)));
+$("relationTarget")?.addEventListener("focus", () => loadRelationTargets().catch(console.error));
+$("relationTarget")?.addEventListener("keydown", (e) => {
+  if (e.key !== "Enter") return;
+  e.preventDefault();
+  addRelation().catch((err) => setOutput(err?.message || err));
+});
 
 $("type")?.addEventListener("change", () => {
   const personFields = $("personFields");
@@ -533,6 +1653,7 @@ $("title")?.addEventListener("change", async () => {
 
 // initial
 loadPublished().catch(console.error);
+renderRelations();
 
 const pf = $("personFields");
 if (pf) pf.style.display = getValue("type") === "person" ? "block" : "none";
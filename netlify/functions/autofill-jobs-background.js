@@ -0,0 +1,105 @@
+// netlify/functions/autofill-jobs-background.js
+// Netlify background function (the "-background" suffix gives it up to
+// 15 minutes): runs a queued batch autofill job created by autofill-jobs.js.
+//
+//   POST { id }   same editor credentials as the job's creator
+//
+// Concurrency per job: AUTOFILL_JOB_CONCURRENCY (default 3, max 5);
+// retries per row for LLM rate limits / 5xx / timeouts: AUTOFILL_JOB_RETRIES
+// (default 2, exponential backoff from AUTOFILL_JOB_BACKOFF_MS, default 1000).
+// Drafts are created through the items function, so validation, duplicate
+// checks and the audit log apply as for a manual save.
+
+const jobs = require("../lib/jobs");
+const { authorize, roleAtLeast } = require("../lib/auth");
+const { openStore } = require("../lib/store");
+const { LLMConfigError, openProvider } = require("../lib/llm");
+const items = require("./items");
+
+function intEnv(name, fallback, min = 1) {
+  const n = Number(process.env[name]);
+  return Number.isInteger(n) && n >= min ? n : fallback;
+}
+
+function createDraftAs(event) {
+  const headers = {};
+  for (const [k, v] of Object.entries(event.headers || {})) {
+    const key = k.toLowerCase();
+    if (key === "x-admin-token" || key === "authorization") headers[key] = v;
+  }
+
+  return async (item) => {
+    const res = await items.handler({
+      httpMethod: "POST",
+      headers,
+      queryStringParameters: {},
+      body: JSON.stringify(item),
+    });
+    let body = null;
+    try {
+      body = JSON.parse(res.body);
+    } catch {}
+
+    if (res.statusCode === 200 && body?.id) return { id: body.id };
+    const detail = body?.errors || body?.duplicates?.map((d) => d.item?.id) || null;
+    return {
+      error: {
+        status: res.statusCode,
+        message: body?.error || String(res.body || "").slice(0, 300),
+        ...(detail ? { detail } : {}),
+      },
+    };
+  };
+}
+
+/**
+ * runQueuedJob(event, id) -> job | null
+ * Also used by autofill-jobs.js to run a job inline.
+ */
+async function runQueuedJob(event, id) {
+  const store = openStore("kb-items");
+  const jobStore = openStore("kb-autofill");
+
+  const auth = await authorize(store, event, "editor");
+  if (!auth.user) return null;
+
+  const job = await jobs.readJob(jobStore, id);
+  if (!job) return null;
+  if (job.createdBy !== auth.user.username && !roleAtLeast(auth.user.role, "admin")) return null;
+
+  let llm;
+  try {
+    llm = openProvider();
+  } catch (e) {
+    if (!(e instanceof LLMConfigError)) throw e;
+    job.status = "failed";
+    job.error = e.message;
+    job.finishedAt = new Date().toISOString();
+    await jobs.saveJob(jobStore, job);
+    return job;
+  }
+
+  return jobs.runJob(jobStore, id, {
+    llm,
+    cacheStore: jobStore,
+    ttlSeconds: intEnv("AUTOFILL_CACHE_TTL", 7 * 24 * 3600),
+    concurrency: intEnv("AUTOFILL_JOB_CONCURRENCY", 3),
+    retries: intEnv("AUTOFILL_JOB_RETRIES", 2, 0),
+    backoffMs: intEnv("AUTOFILL_JOB_BACKOFF_MS", 1000, 0),
+    createDraft: createDraftAs(event),
+  });
+}
+
+exports.handler = async (event) => {
+  let id;
+  try {
+    id = JSON.parse(event.body || "{}")?.id;
+  } catch {
+    return { statusCode: 400, body: "Invalid JSON" };
+  }
+
+  await runQueuedJob(event, id);
+  return { statusCode: 202, body: "" };
+};
+
+exports.runQueuedJob = runQueuedJob;
@@ -0,0 +1,202 @@
+// netlify/functions/autofill-jobs.js
+// Batch autofill (see netlify/lib/jobs.js). Editor role required.
+//
+//   POST   { rows: [{ title, type, page?, skipWikipedia?, locales? }], mode?: "drafts"|"ndjson" }
+//          -> 202 { ok, job }   job runs in autofill-jobs-background
+//          -> 502 { ok: false, job } when the job could not be started (marked
+//             failed, its rows not charged)
+//   GET    ?id=                 job with per-row status (poll this)
+//   GET    ?id=&format=ndjson   one line per row, results included in ndjson mode
+//   GET                         own jobs (admin: all), newest first
+//
+// Rows per job: AUTOFILL_JOB_MAX_ROWS (default 200). Every row counts as one
+// autofill request against the same per-user/per-IP limits as /autofill
+// (AUTOFILL_RATE_USER, AUTOFILL_RATE_IP per AUTOFILL_RATE_WINDOW); a job that
+// does not fit into what is left of the window gets 429 + Retry-After. Without a site URL
+// (local runs, ITEMS_STORE=fs|memory) or with AUTOFILL_JOBS_INLINE=1 the job
+// runs inside this request instead.
+
+const jobs = require("../lib/jobs");
+const ratelimit = require("../lib/ratelimit");
+const { authorize, roleAtLeast } = require("../lib/auth");
+const { openStore, StoreConfigError } = require("../lib/store");
+const { runQueuedJob } = require("./autofill-jobs-background");
+
+const HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization, x-admin-token",
+  "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+  "Access-Control-Expose-Headers": "Retry-After",
+  "Access-Control-Max-Age": "86400",
+};
+
+function json(status, obj) {
+  return {
+    statusCode: status,
+    headers: { ...HEADERS, "Content-Type": "application/json; charset=utf-8" },
+    body: JSON.stringify(obj),
+  };
+}
+
+function text(status, body, headers = HEADERS) {
+  return {
+    statusCode: status,
+    headers,
+    body: String(body ?? ""),
+  };
+}
+
+function intEnv(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isInteger(n) && n > 0 ? n : fallback;
+}
+
+// Same scopes and env as rateLimited() in autofill.js, charged per row.
+// -> ratelimit.hitAll() result; charged is refunded when the job cannot start.
+async function chargeRows(jobStore, event, user, rows) {
+  const windowSeconds = intEnv("AUTOFILL_RATE_WINDOW", 3600);
+  const checks = [
+    { scope: "autofill-user", id: user.username, limit: intEnv("AUTOFILL_RATE_USER", 30) },
+    { scope: "autofill-ip", id: ratelimit.clientIp(event), limit: intEnv("AUTOFILL_RATE_IP", 60) },
+  ];
+  return ratelimit.hitAll(
+    jobStore,
+    checks.map((c) => ({ ...c, windowSeconds, cost: rows }))
+  );
+}
+
+function authHeaders(event) {
+  const h = event.headers || {};
+  const out = {};
+  for (const [k, v] of Object.entries(h)) {
+    const key = k.toLowerCase();
+    if (key === "x-admin-token" || key === "authorization") out[key] = v;
+  }
+  return out;
+}
+
+// Hand the job to the background function; it re-checks the same credentials.
+async function dispatch(event, id) {
+  const base = process.env.URL;
+  if (!base || process.env.AUTOFILL_JOBS_INLINE === "1") {
+    await runQueuedJob(event, id);
+    return "inline";
+  }
+  const res = await fetch(`${base}/.netlify/functions/autofill-jobs-background`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...authHeaders(event) },
+    body: JSON.stringify({ id }),
+  });
+  if (!res.ok) throw new Error(`Background dispatch failed: HTTP ${res.status}`);
+  return "background";
+}
+
+exports.handler = async (event) => {
+  if (event.httpMethod === "OPTIONS") {
+    return { statusCode: 204, headers: HEADERS, body: "" };
+  }
+
+  let store;
+  let jobStore;
+  try {
+    store = openStore("kb-items");
+    jobStore = openStore("kb-autofill");
+  } catch (e) {
+    if (e instanceof StoreConfigError) {
+      return json(500, { ok: false, error: e.message, ...e.details });
+    }
+    throw e;
+  }
+
+  const auth = await authorize(store, event, "editor");
+  if (!auth.user) return text(auth.status, auth.error);
+  const user = auth.user;
+  const isAdmin = roleAtLeast(user.role, "admin");
+
+  const params = event.queryStringParameters || {};
+
+  try {
+    if (event.httpMethod === "GET" && params.id) {
+      const job = await jobs.readJob(jobStore, params.id);
+      if (!job || (job.createdBy !== user.username && !isAdmin)) return text(404, "Not Found");
+
+      if (params.format === "ndjson") {
+        return {
+          statusCode: 200,
+          headers: { ...HEADERS, "Content-Type": "application/x-ndjson; charset=utf-8" },
+          body: jobs.toNdjson(job),
+        };
+      }
+      return json(200, { ok: true, job });
+    }
+
+    if (event.httpMethod === "GET") {
+      const list = await jobs.listJobs(jobStore, { user: isAdmin ? null : user.username });
+      return json(200, { ok: true, jobs: list });
+    }
+
+    if (event.httpMethod === "POST") {
+      let body;
+      try {
+        body = JSON.parse(event.body || "{}");
+      } catch {
+        return text(400, "Invalid JSON");
+      }
+
+      const mode = body?.mode || "drafts";
+      if (!jobs.MODES.includes(mode)) {
+        return json(422, {
+          ok: false,
+          error: "Validation failed",
+          errors: [{ field: "mode", message: `must be one of ${jobs.MODES.join(", ")}` }],
+        });
+      }
+
+      const parsed = jobs.parseRows(body?.rows, intEnv("AUTOFILL_JOB_MAX_ROWS", 200));
+      if (parsed.errors) {
+        return json(422, { ok: false, error: "Validation failed", errors: parsed.errors });
+      }
+
+      const charge = await chargeRows(jobStore, event, user, parsed.rows.length);
+      if (!charge.ok) {
+        return text(
+          429,
+          `Too many autofill requests (${charge.scope}): ${parsed.rows.length} rows, ` +
+            `${charge.remaining} left, retry in ${charge.retryAfter}s`,
+          { ...HEADERS, "Retry-After": String(charge.retryAfter) }
+        );
+      }
+
+      const job = jobs.newJob({ user, mode, rows: parsed.rows });
+      await jobs.saveJob(jobStore, job);
+
+      let ranIn;
+      try {
+        ranIn = await dispatch(event, job.id);
+      } catch (e) {
+        // A job left queued or running here would never finish; rows that
+        // never ran are not charged.
+        const failed = (await jobs.readJob(jobStore, job.id)) || job;
+        const neverRan = failed.status === "queued";
+        if (neverRan || failed.status === "running") {
+          failed.status = "failed";
+          failed.error = e?.message || String(e);
+          failed.finishedAt = new Date().toISOString();
+          await jobs.saveJob(jobStore, failed);
+        }
+        if (neverRan) await ratelimit.refund(jobStore, charge.charged);
+        return json(502, {
+          ok: false,
+          error: e?.message || String(e),
+          job: jobs.jobSummary(failed),
+        });
+      }
+      const current = await jobs.readJob(jobStore, job.id);
+      return json(202, { ok: true, ranIn, job: jobs.jobSummary(current || job) });
+    }
+
+    return text(405, "Method Not Allowed");
+  } catch (e) {
+    return json(500, { ok: false, error: e?.message || String(e) });
+  }
+};
@@ -1,287 +1,199 @@
 // netlify/functions/autofill.js
-// Netlify Function: CORS + OpenAI Responses API (Structured Outputs / JSON Schema)
+// Netlify Function: CORS + LLM mit Structured Outputs (JSON Schema)
+// Die eigentliche Pipeline steckt in netlify/lib/autofill.js (auch für
+// Batch-Jobs, siehe autofill-jobs.js).
 //
 // Ergebnis:
-// { type, title, href, image, summary, tags, birthYear?, deathYear? }
+// { type, title, href, image, summary, tags, prompt, sources, unsupported,
+//   meta?, sortYear?, facts?, birthYear?, deathYear?, projectStatus?,
+//   translations?, images }
+//
+// Request: { type, title, current?, page?, skipWikipedia?, refresh?, locales? }
+// Ist der Titel mehrdeutig (Begriffsklärung) oder kein exakter Seitenname,
+// kommt statt eines Ergebnisses { ambiguous: true, candidates: [{ title,
+// description, url, thumbnail, qid }] } zurück. Die gewählte Seite geht als
+// page in den nächsten Aufruf; skipWikipedia: true füllt ohne Wikipedia.
+// Ohne Wikipedia-Seite bleibt href leer (null).
+//
+// Sprachen: locales: ["de"] erzeugt im selben LLM-Aufruf zusätzlich
+// translations = { de: { title, summary, tags, href? } }. href ist der
+// deutsche Artikel (Interlanguage-Link des englischen), sein Lead ist die
+// Quelle der deutschen Zusammenfassung; Einträge in unsupported tragen dann
+// locale: "de". Englisch bleibt der Inhalt auf oberster Ebene.
+//
+// Die Zusammenfassung wird aus dem Wikipedia-Lead geschrieben (als "source"
+// im Prompt). sources = [{ kind, url, title }] listet die benutzten Quellen,
+// unsupported = [{ sentence, reason }] die Sätze, die sich dort nicht finden
+// (netlify/lib/grounding.js).
+//
+// Bilder: images = [{ file, from, url, thumbUrl, width, height, author,
+// license, licenseUrl, sourceUrl, attributionRequired }] sind freie Bilder von
+// Wikimedia Commons (Wikidata P18 zuerst, dann das Seitenbild der Wikipedia;
+// netlify/lib/commons.js). image bleibt der Platzhalter-Dateiname. Die
+// gewählte Datei speichert der Editor als imageUrl + imageAttribution.
+//
+// Prompt und Schema kommen pro Typ aus netlify/lib/prompts.js;
+// prompt = { template, version, provider, model } zeigt, woher das Ergebnis kommt.
+//
+// Das Modell kommt aus netlify/lib/llm.js (LLM_PROVIDER=openai|chat|mock).
+// Mit LLM_PROVIDER=mock läuft alles offline: kein API-Key, keine
+// Wikipedia-/Wikidata-Abfragen.
 //
 // WICHTIG:
-// - birthYear/deathYear sind NICHT Teil des OpenAI-Schemas.
-// - Jahre werden serverseitig faktisch aus Wikipedia/Wikidata gezogen.
-// - Dadurch kein invalid_json_schema-Fehler mehr.
+// - Jahre und andere Fakten (meta) sind NICHT Teil des LLM-Schemas.
+// - Sie kommen serverseitig aus Wikidata (netlify/lib/wikidata.js), je Typ;
+//   facts nennt zu jedem Wert QID und Property zum Nachprüfen.
+// - birthYear/deathYear stehen für Personen zusätzlich auf oberster Ebene.
+//
+// Zugriff:
+// - Nur mit Editor-Token (x-admin-token / Bearer), wie beim Veröffentlichen.
+// - Rate-Limit pro Benutzer und pro IP (AUTOFILL_RATE_USER, AUTOFILL_RATE_IP
+//   Anfragen je AUTOFILL_RATE_WINDOW Sekunden); darüber 429 + Retry-After.
+// - CORS nur für AUTOFILL_ALLOWED_ORIGINS (Komma-Liste), sonst "*".
+//
+// Cache (Store "kb-autofill", AUTOFILL_CACHE_TTL Sekunden): Wikipedia-,
+// Wikidata- und LLM-Ergebnisse; LLM nach Titel + Typ + Prompt-Version.
+// cache = { wikipedia, wikidata, commons, llm } mit "hit" | "miss" | "skip";
+// refresh: true im Request ignoriert gespeicherte Werte.
+
+const { LLMConfigError, LLMResponseError, openProvider } = require("../lib/llm");
+const { runAutofill } = require("../lib/autofill");
+const { authorize } = require("../lib/auth");
+const ratelimit = require("../lib/ratelimit");
+const { openStore, StoreConfigError } = require("../lib/store");
 
 const CORS_HEADERS = {
   "Access-Control-Allow-Origin": "*",
-  "Access-Control-Allow-Headers": "Content-Type",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization, x-admin-token",
   "Access-Control-Allow-Methods": "POST, OPTIONS",
+  "Access-Control-Expose-Headers": "Retry-After",
 };
 
-function json(statusCode, obj) {
+function intEnv(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isInteger(n) && n > 0 ? n : fallback;
+}
+
+// Reflect the caller's origin if it is allowed; without a list, allow all.
+function corsHeaders(event) {
+  const allowed = String(process.env.AUTOFILL_ALLOWED_ORIGINS || "")
+    .split(",")
+    .map((o) => o.trim())
+    .filter(Boolean);
+  if (!allowed.length) return CORS_HEADERS;
+
+  const h = event.headers || {};
+  const origin = h.origin || h.Origin || "";
+  const rest = { ...CORS_HEADERS };
+  delete rest["Access-Control-Allow-Origin"];
+  return allowed.includes(origin)
+    ? { ...rest, "Access-Control-Allow-Origin": origin, Vary: "Origin" }
+    : { ...rest, Vary: "Origin" };
+}
+
+function json(statusCode, obj, headers = CORS_HEADERS) {
   return {
     statusCode,
-    headers: { ...CORS_HEADERS, "Content-Type": "application/json; charset=utf-8" },
+    headers: { ...headers, "Content-Type": "application/json; charset=utf-8" },
     body: JSON.stringify(obj),
   };
 }
 
-function text(statusCode, body) {
+function text(statusCode, body, headers = CORS_HEADERS) {
   return {
     statusCode,
-    headers: { ...CORS_HEADERS, "Content-Type": "text/plain; charset=utf-8" },
+    headers: { ...headers, "Content-Type": "text/plain; charset=utf-8" },
     body: String(body ?? ""),
   };
 }
 
-function toImagePlaceholder(title) {
-  const slug = String(title || "")
-    .trim()
-    .toLowerCase()
-    .replace(/['’]/g, "")
-    .replace(/[^a-z0-9]+/g, "_")
-    .replace(/^_+|_+$/g, "");
-  return slug ? `${slug}.jpg` : "placeholder.jpg";
+// ---------- Rate limit ----------
+async function rateLimited(cacheStore, event, user) {
+  const windowSeconds = intEnv("AUTOFILL_RATE_WINDOW", 3600);
+  const checks = [
+    { scope: "autofill-user", id: user.username, limit: intEnv("AUTOFILL_RATE_USER", 30) },
+    { scope: "autofill-ip", id: ratelimit.clientIp(event), limit: intEnv("AUTOFILL_RATE_IP", 60) },
+  ];
+  const r = await ratelimit.hitAll(cacheStore, checks.map((c) => ({ ...c, windowSeconds })));
+  return r.ok ? null : { scope: r.scope, retryAfter: r.retryAfter };
 }
 
-// ---------- OpenAI Structured Output extraction ----------
-function extractStructuredJson(data) {
-  const outputs = Array.isArray(data?.output) ? data.output : [];
-
-  for (const out of outputs) {
-    const content = Array.isArray(out?.content) ? out.content : [];
-    for (const c of content) {
-      if (c && c.type === "output_json" && typeof c.json === "object") return c.json;
-      if (c && typeof c.json === "object") return c.json;
-    }
-  }
+// ---------- Handler ----------
+exports.handler = async (event) => {
+  const cors = corsHeaders(event);
 
-  for (const out of outputs) {
-    const content = Array.isArray(out?.content) ? out.content : [];
-    for (const c of content) {
-      if ((c?.type === "output_text" || c?.type === "text") && typeof c.text === "string") {
-        try {
-          return JSON.parse(c.text.trim());
-        } catch {}
-      }
-    }
+  if (event.httpMethod === "OPTIONS") {
+    return { statusCode: 204, headers: cors, body: "" };
   }
-
-  if (typeof data?.output_text === "string") {
-    try {
-      return JSON.parse(data.output_text.trim());
-    } catch {}
+  if (event.httpMethod !== "POST") {
+    return text(405, "Method Not Allowed", cors);
   }
 
-  return null;
-}
-
-// ---------- Wikipedia helpers ----------
-async function wikipediaUrlForTitle(title) {
-  const encoded = encodeURIComponent(String(title).replace(/\s+/g, "_"));
-  const url = `https://en.wikipedia.org/api/rest_v1/page/summary/${encoded}`;
-
+  let store;
+  let cacheStore;
   try {
-    const res = await fetch(url, {
-      headers: {
-        "User-Agent": "spacesettlement-index/1.0",
-        Accept: "application/json",
-      },
-    });
-    if (!res.ok) return null;
-    const data = await res.json();
-    if (data?.type === "disambiguation") return null;
-    return data?.content_urls?.desktop?.page || null;
-  } catch {
-    return null;
+    store = openStore("kb-items");
+    cacheStore = openStore("kb-autofill");
+  } catch (e) {
+    if (e instanceof StoreConfigError) {
+      return json(500, { ok: false, error: e.message, ...e.details }, cors);
+    }
+    throw e;
   }
-}
 
-async function wikipediaQidForTitle(title) {
-  const url =
-    "https://en.wikipedia.org/w/api.php" +
-    `?action=query&format=json&prop=pageprops&ppprop=wikibase_item&redirects=1&titles=${encodeURIComponent(title)}`;
+  const auth = await authorize(store, event, "contributor");
+  if (!auth.user) return text(auth.status, auth.error, cors);
 
-  try {
-    const res = await fetch(url, {
-      headers: {
-        "User-Agent": "spacesettlement-index/1.0",
-        Accept: "application/json",
-      },
-    });
-    if (!res.ok) return null;
-    const data = await res.json();
-    const pages = data?.query?.pages;
-    if (!pages) return null;
-    const page = pages[Object.keys(pages)[0]];
-    const qid = page?.pageprops?.wikibase_item;
-    return typeof qid === "string" ? qid : null;
-  } catch {
-    return null;
+  const limited = await rateLimited(cacheStore, event, auth.user);
+  if (limited) {
+    return text(
+      429,
+      `Too many autofill requests (${limited.scope}), retry in ${limited.retryAfter}s`,
+      { ...cors, "Retry-After": String(limited.retryAfter) }
+    );
   }
-}
-
-function yearFromWikidataTime(t) {
-  if (typeof t !== "string") return null;
-  const m = t.match(/^([+-])(\d+)-/);
-  return m ? parseInt(m[2], 10) : null;
-}
-
-async function wikidataYearsForQid(qid) {
-  if (!qid) return null;
-  const url = `https://www.wikidata.org/wiki/Special:EntityData/${qid}.json`;
 
+  let llm;
   try {
-    const res = await fetch(url, {
-      headers: {
-        "User-Agent": "spacesettlement-index/1.0",
-        Accept: "application/json",
-      },
-    });
-    if (!res.ok) return null;
-    const data = await res.json();
-    const entity = data?.entities?.[qid];
-    if (!entity) return null;
-
-    const claims = entity.claims || {};
-    const birth = claims.P569?.[0]?.mainsnak?.datavalue?.value?.time;
-    const death = claims.P570?.[0]?.mainsnak?.datavalue?.value?.time;
-
-    return {
-      birthYear: yearFromWikidataTime(birth),
-      deathYear: yearFromWikidataTime(death),
-    };
-  } catch {
-    return null;
+    llm = openProvider();
+  } catch (e) {
+    if (e instanceof LLMConfigError) return text(500, e.message, cors);
+    throw e;
   }
-}
-
-// ---------- Handler ----------
-exports.handler = async (event) => {
-  if (event.httpMethod === "OPTIONS") {
-    return { statusCode: 204, headers: CORS_HEADERS, body: "" };
-  }
-  if (event.httpMethod !== "POST") {
-    return text(405, "Method Not Allowed");
-  }
-
-  const apiKey = process.env.OPENAI_API_KEY;
-  if (!apiKey) return text(500, "OPENAI_API_KEY missing");
 
   let req;
   try {
     req = JSON.parse(event.body || "{}");
   } catch {
-    return text(400, "Invalid JSON body");
+    return text(400, "Invalid JSON body", cors);
   }
+  if (!req || typeof req !== "object") return text(400, "Invalid JSON body", cors);
 
-  const title = String(req.title || "").trim();
-  const type = String(req.type || "topic").trim();
-  const current = typeof req.current === "object" ? req.current : {};
-
-  if (!title) return text(400, "Missing title");
-
-  const tagPattern = "^[a-z0-9][a-z0-9_-]*$";
-  const imagePattern = "^[a-z0-9][a-z0-9_]*\\.jpg$";
-
-  // --- OpenAI schema (NO birthYear / deathYear here) ---
-  const schema = {
-    type: "object",
-    additionalProperties: false,
-    properties: {
-      type: { type: "string", minLength: 1 },
-      title: { type: "string", minLength: 1 },
-      href: { type: "string", minLength: 1 },
-      image: { type: "string", pattern: imagePattern },
-      summary: { type: "string", minLength: 20, maxLength: 280 },
-      tags: {
-        type: "array",
-        minItems: 2,
-        maxItems: 6,
-        items: { type: "string", minLength: 2, maxLength: 24, pattern: tagPattern },
-      },
-    },
-    required: ["type", "title", "href", "image", "summary", "tags"],
-  };
-
-  const instructions =
-    "You help fill entries for a space-settlement index.\n" +
-    "Be factual and neutral. Do not invent facts.\n" +
-    "- href may be a placeholder; server overwrites it.\n" +
-    "- image: lowercase placeholder filename from title.\n" +
-    "- Summary: English, short, answer:\n" +
-    "  (1) Why is the person recognized among scientists?\n" +
-    "  (2) What is their contribution to space settlement?\n" +
-    "- Tags: 2–6 lowercase slug tags.\n" +
-    "- Do NOT include birthYear or deathYear.";
-
-  const input =
-    `type: ${type}\n` +
-    `title: ${title}\n` +
-    `current:\n${JSON.stringify(current, null, 2)}\n`;
-
-  const openaiPayload = {
-    model: "gpt-4o-mini",
-    instructions,
-    input,
-    temperature: 0.2,
-    text: {
-      format: {
-        type: "json_schema",
-        name: "autofill_v5",
-        strict: true,
-        schema,
-      },
-    },
-  };
+  if (!String(req.title || "").trim()) return text(400, "Missing title", cors);
 
   try {
-    const wikiUrlPromise = wikipediaUrlForTitle(title);
-    const yearsPromise =
-      type === "person"
-        ? (async () => {
-            const qid = await wikipediaQidForTitle(title);
-            return qid ? await wikidataYearsForQid(qid) : null;
-          })()
-        : Promise.resolve(null);
-
-    const res = await fetch("https://api.openai.com/v1/responses", {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${apiKey}`,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify(openaiPayload),
+    const out = await runAutofill(req, {
+      llm,
+      cacheStore,
+      ttlSeconds: intEnv("AUTOFILL_CACHE_TTL", 7 * 24 * 3600),
     });
 
-    const raw = await res.text();
-    if (!res.ok) return text(500, `OpenAI error ${res.status}: ${raw}`);
-
-    const data = JSON.parse(raw);
-    const extracted = extractStructuredJson(data);
-    if (!extracted) return text(500, "Could not extract structured JSON");
-
-    const [wikiUrl, years] = await Promise.all([wikiUrlPromise, yearsPromise]);
-
-    const obj = { ...extracted };
-    obj.type = type;
-    obj.title = title;
-    obj.href = wikiUrl || "kein Wiki";
-    obj.image = obj.image || toImagePlaceholder(title);
-
-    if (obj.summary.length < 20) {
-      obj.summary =
-        "Recognition among scientists: not established from provided context. Contribution to space settlement: not established from provided context.";
+    if (out.ambiguous) {
+      return json(
+        200,
+        {
+          type: String(req.type || "topic").trim(),
+          title: String(req.title).trim(),
+          ambiguous: true,
+          candidates: out.candidates,
+          cache: out.cache,
+        },
+        cors
+      );
     }
-
-    const clean = (t) =>
-      String(t).toLowerCase().replace(/\s+/g, "_").replace(/[^a-z0-9_-]/g, "");
-    obj.tags = [...new Set(obj.tags.map(clean))].slice(0, 6);
-
-    if (type === "person" && years) {
-      if (typeof years.birthYear === "number") obj.birthYear = years.birthYear;
-      obj.deathYear = typeof years.deathYear === "number" ? years.deathYear : null;
-    }
-
-    return json(200, obj);
+    return json(200, out.result, cors);
   } catch (err) {
-    return text(500, `Function error: ${err?.message || err}`);
+    if (err instanceof LLMResponseError) return text(502, err.message, cors);
+    return text(500, `Function error: ${err?.message || err}`, cors);
   }
 };
@@ -1,22 +1,36 @@
 // netlify/functions/items.js
 
-const { getStore } = require("@netlify/blobs");
 const { randomUUID } = require("node:crypto");
+const { ITEM_ID_PATTERN, validateItem } = require("../lib/schema");
+const { parseQuery, runQuery } = require("../lib/query");
+const snapshot = require("../lib/snapshot");
+const revisions = require("../lib/revisions");
+const { openStore, StoreConfigError } = require("../lib/store");
+const { EXPORT_FORMATS, migrateLegacy, parseImportBody } = require("../lib/transfer");
+const { duplicateClusters, findDuplicates, newMatchKinds } = require("../lib/duplicates");
+const { authenticate, authorize, roleAtLeast } = require("../lib/auth");
+const audit = require("../lib/audit");
+const workflow = require("../lib/workflow");
 
 /**
  * CORS + JSON helpers
  */
 const HEADERS = {
   "Access-Control-Allow-Origin": "*",
-  "Access-Control-Allow-Headers": "Content-Type, x-admin-token",
-  "Access-Control-Allow-Methods": "GET, POST, DELETE, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization, x-admin-token, If-Match, If-None-Match",
+  "Access-Control-Allow-Methods": "GET, POST, PUT, PATCH, DELETE, OPTIONS",
+  "Access-Control-Expose-Headers": "ETag",
   "Access-Control-Max-Age": "86400",
 };
 
-function json(status, obj) {
+function json(status, obj, extraHeaders) {
   return {
     statusCode: status,
-    headers: { ...HEADERS, "Content-Type": "application/json; charset=utf-8" },
+    headers: {
+      ...HEADERS,
+      "Content-Type": "application/json; charset=utf-8",
+      ...(extraHeaders || {}),
+    },
     body: JSON.stringify(obj),
   };
 }
@@ -41,15 +55,781 @@ function normalizeTags(tags) {
   return tags.map((t) => String(t).trim()).filter(Boolean);
 }
 
+function getHeader(event, name) {
+  const headers = event.headers || {};
+  const wanted = name.toLowerCase();
+  const key = Object.keys(headers).find((k) => k.toLowerCase() === wanted);
+  return key ? headers[key] : undefined;
+}
+
+function itemKey(id) {
+  return `items/${id}.json`;
+}
+
+// Fields the server owns; never taken from a request body.
+// inboundRelations only exists on trashed items (see detachInbound below).
+const SERVER_FIELDS = [
+  "id", "createdAt", "updatedAt", "deletedAt", "version", "_key", "inboundRelations",
+];
+
+function stripServerFields(item) {
+  const out = { ...item };
+  for (const f of SERVER_FIELDS) delete out[f];
+  return out;
+}
+
+/**
+ * Versioning (optimistic concurrency)
+ * Every stored item carries an integer `version`; the ETag is derived from it.
+ * Items written before versioning existed count as version 1.
+ */
+function itemVersion(item) {
+  return Number.isInteger(item?.version) && item.version > 0 ? item.version : 1;
+}
+
+function etagFor(item) {
+  return `"${item.id}-v${itemVersion(item)}"`;
+}
+
+function ifMatchOk(event, item) {
+  const header = getHeader(event, "If-Match");
+  if (!isNonEmptyString(header)) return null; // missing
+  const tags = header.split(",").map((t) => t.trim().replace(/^W\//, ""));
+  return tags.includes("*") || tags.includes(etagFor(item));
+}
+
+// null when the write may proceed, otherwise the 428/409 response.
+function preconditionError(event, existing) {
+  const match = ifMatchOk(event, existing);
+  if (match === null) return text(428, "If-Match header required");
+  if (!match) {
+    return json(
+      409,
+      { ok: false, error: "Version conflict", current: existing },
+      { ETag: etagFor(existing) }
+    );
+  }
+  return null;
+}
+
+/**
+ * Schema validation -> 422 with per-field errors
+ */
+function validationError(item) {
+  const { ok, errors } = validateItem(item);
+  if (ok) return null;
+  return json(422, { ok: false, error: "Validation failed", errors });
+}
+
+/**
+ * Relations -> 422 when a target is the item itself or no stored item.
+ * Targets the item already had are not checked again (they are removed when
+ * the target is trashed, see detachInbound). Import checks targets against
+ * the store plus the rows being imported (rows may point at each other).
+ */
+async function relationError(store, id, fields, existing) {
+  const relations = Array.isArray(fields.relations) ? fields.relations : [];
+  const kept = new Set((existing?.relations || []).map((r) => r?.target));
+  const found = new Map();
+  const errors = [];
+
+  for (const [i, { target }] of relations.entries()) {
+    if (target === id) {
+      errors.push({ field: `relations.${i}.target`, message: "must not be the item itself" });
+      continue;
+    }
+    if (kept.has(target)) continue;
+    if (!found.has(target)) found.set(target, !!(await readItem(store, target)));
+    if (!found.get(target)) {
+      errors.push({ field: `relations.${i}.target`, message: `no item with id ${target}` });
+    }
+  }
+
+  if (!errors.length) return null;
+  return json(422, { ok: false, error: "Validation failed", errors });
+}
+
+/**
+ * Relations across trash
+ * Trashing an item removes the relations other items have to it and keeps
+ * them on the trashed blob as inboundRelations: [{ source, type }]; untrash
+ * puts back those whose source still exists. Items coming back from trash or
+ * history drop relations to items that are gone by then.
+ */
+async function detachInbound(store, id, user) {
+  const snap = await snapshot.loadSnapshot(store);
+  const inbound = [];
+
+  for (const entry of snap.items) {
+    if (entry.id === id || !(entry.relations || []).some((r) => r?.target === id)) continue;
+    const source = await readItem(store, entry.id);
+    if (!source) continue;
+
+    const relations = source.relations || [];
+    const kept = relations.filter((r) => r?.target !== id);
+    if (kept.length === relations.length) continue;
+    for (const r of relations) {
+      if (r?.target === id) inbound.push({ source: source.id, type: r.type });
+    }
+
+    const fields = stripServerFields(source);
+    if (kept.length) fields.relations = kept;
+    else delete fields.relations;
+    const stored = nextVersionOf(source, fields);
+    await writeItem(store, source, stored);
+    await audit.record(store, {
+      user,
+      action: "update",
+      itemId: source.id,
+      details: { version: stored.version, fields: ["relations"], trashed: id },
+    });
+  }
+
+  return inbound;
+}
+
+async function reattachInbound(store, id, inbound, user) {
+  let restored = 0;
+  const bySource = new Map();
+  for (const { source, type } of Array.isArray(inbound) ? inbound : []) {
+    if (!bySource.has(source)) bySource.set(source, []);
+    bySource.get(source).push(type);
+  }
+
+  for (const [sourceId, types] of bySource) {
+    const source = await readItem(store, sourceId);
+    if (!source) continue;
+
+    const relations = [...(source.relations || [])];
+    for (const type of types) {
+      if (relations.some((r) => r?.type === type && r?.target === id)) continue;
+      relations.push({ type, target: id });
+    }
+    if (relations.length === (source.relations || []).length) continue;
+    restored += relations.length - (source.relations || []).length;
+
+    const stored = nextVersionOf(source, { ...stripServerFields(source), relations });
+    await writeItem(store, source, stored);
+    await audit.record(store, {
+      user,
+      action: "update",
+      itemId: source.id,
+      details: { version: stored.version, fields: ["relations"], untrashed: id },
+    });
+  }
+
+  return restored;
+}
+
+// -> fields without relations whose target is no stored item, and the dropped ones
+async function withoutDanglingRelations(store, fields) {
+  if (!Array.isArray(fields.relations) || !fields.relations.length) return { fields, dropped: [] };
+  const kept = [];
+  const dropped = [];
+  for (const r of fields.relations) {
+    if (await readItem(store, r?.target)) kept.push(r);
+    else dropped.push(r);
+  }
+  if (!dropped.length) return { fields, dropped };
+  const next = { ...fields };
+  if (kept.length) next.relations = kept;
+  else delete next.relations;
+  return { fields: next, dropped };
+}
+
+/**
+ * GET responses depend on the credentials (editors also see drafts), so
+ * shared caches must key on them and must not keep an editor's copy.
+ */
+function viewerCacheHeaders(viewer) {
+  return {
+    "Cache-Control": viewer ? "private, no-cache" : "no-cache",
+    Vary: "Authorization, x-admin-token",
+  };
+}
+
+/**
+ * Auth: per-editor tokens with roles, see lib/auth.js (fails closed).
+ * -> { user } or { response } with 401/403.
+ * Every successful mutation is recorded via lib/audit.js;
+ * GET ?action=audit&user=&item=&op=&from=&to=&limit= queries it (admin).
+ */
+async function guard(store, event, minRole) {
+  const auth = await authorize(store, event, minRole);
+  if (auth.user) return { user: auth.user };
+  return { response: text(auth.status, auth.error) };
+}
+
+async function readItem(store, id) {
+  const raw = await store.get(itemKey(id));
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Writes
+ * Every overwrite keeps the previous version in history (lib/revisions.js)
+ * and keeps the index snapshot current (lib/snapshot.js).
+ */
+async function writeItem(store, previous, stored) {
+  if (previous) await revisions.saveRevision(store, previous);
+  await store.setJSON(itemKey(stored.id), stored);
+  await snapshot.upsertEntry(store, itemKey(stored.id), stored);
+}
+
+function nextVersionOf(existing, fields) {
+  return {
+    ...fields,
+    id: existing.id,
+    createdAt: existing.createdAt,
+    updatedAt: new Date().toISOString(),
+    version: itemVersion(existing) + 1,
+    tags: normalizeTags(fields.tags),
+  };
+}
+
+function savedResponse(stored) {
+  return json(
+    200,
+    { ok: true, id: stored.id, version: stored.version, item: stored },
+    { ETag: etagFor(stored) }
+  );
+}
+
+/**
+ * History + trash actions (editor; purge-trash needs admin)
+ *   GET  ?action=revisions&id=              list an item's versions
+ *   GET  ?action=revision&id=&version=      one stored version
+ *   GET  ?action=diff&id=&from=&to=         field diff (to defaults to current)
+ *   GET  ?action=trash                      list trashed items
+ *   POST ?action=restore&id=&version=       make an old version current (If-Match)
+ *   POST ?action=untrash&id=                move a trashed item back
+ *   POST ?action=purge-trash                drop trash older than TRASH_RETENTION_DAYS
+ */
+function parseVersion(v) {
+  const n = Number(v);
+  return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+// Current item or a history entry; "current" is accepted as a version.
+async function readVersion(store, id, version) {
+  const current = await readItem(store, id);
+  if (version === "current" || version == null) return current;
+  const n = parseVersion(version);
+  if (n == null) return null;
+  if (current && itemVersion(current) === n) return current;
+  return revisions.readRevision(store, id, n);
+}
+
+async function handleHistoryGet(store, action, params) {
+  if (action === "trash") {
+    const items = await revisions.listTrash(store);
+    return json(200, { ok: true, items, retentionDays: revisions.retentionDays() });
+  }
+
+  const id = params.id;
+  if (!isNonEmptyString(id)) return text(400, "Missing id");
+
+  if (action === "revisions") {
+    const current = (await readItem(store, id)) || (await revisions.readTrashed(store, id));
+    const history = await revisions.listRevisions(store, id);
+    if (!current && !history.length) return text(404, "Not Found");
+    return json(200, {
+      ok: true,
+      id,
+      current: current
+        ? {
+            version: itemVersion(current),
+            title: current.title || "",
+            updatedAt: current.updatedAt || current.createdAt || null,
+            deletedAt: current.deletedAt || null,
+          }
+        : null,
+      revisions: history,
+    });
+  }
+
+  if (action === "revision") {
+    const item = await readVersion(store, id, params.version);
+    if (!item) return text(404, "Not Found");
+    return json(200, { ok: true, item });
+  }
+
+  if (action === "diff") {
+    const from = await readVersion(store, id, params.from);
+    const to = await readVersion(store, id, params.to || "current");
+    if (!from || !to) return text(404, "Not Found");
+    return json(200, {
+      ok: true,
+      id,
+      from: itemVersion(from),
+      to: itemVersion(to),
+      changes: revisions.diffItems(from, to),
+    });
+  }
+
+  return text(400, `Unknown action: ${action}`);
+}
+
+async function handleHistoryPost(store, event, user, action, params) {
+  if (action === "purge-trash") {
+    if (!roleAtLeast(user.role, "admin")) return text(403, "Requires role admin");
+    const purged = await revisions.purgeTrash(store);
+    await audit.record(store, { user, action: "purge-trash", details: { purged } });
+    return json(200, { ok: true, purged, retentionDays: revisions.retentionDays() });
+  }
+
+  const id = params.id;
+  if (!isNonEmptyString(id)) return text(400, "Missing id");
+
+  if (action === "restore") {
+    const version = parseVersion(params.version);
+    if (version == null) return text(400, "Missing or invalid version");
+
+    const existing = await readItem(store, id);
+    if (!existing) return text(404, "Not Found");
+
+    const blocked = preconditionError(event, existing);
+    if (blocked) return blocked;
+
+    const rev = await revisions.readRevision(store, id, version);
+    if (!rev) return text(404, "Revision not found");
+
+    // Content comes from the revision; the workflow status stays as it is.
+    const { fields, dropped } = await withoutDanglingRelations(store, {
+      ...stripServerFields(rev),
+      status: workflow.statusOf(existing),
+    });
+    const stored = nextVersionOf(existing, fields);
+    await writeItem(store, existing, stored);
+    await audit.record(store, {
+      user,
+      action: "restore",
+      itemId: id,
+      details: { fromVersion: version, version: stored.version, droppedRelations: dropped },
+    });
+    return savedResponse(stored);
+  }
+
+  if (action === "untrash") {
+    const trashed = await revisions.readTrashed(store, id);
+    if (!trashed) return text(404, "Not Found");
+    if (await readItem(store, id)) return text(409, "Item already exists");
+
+    const { fields, dropped } = await withoutDanglingRelations(store, stripServerFields(trashed));
+    const stored = nextVersionOf(trashed, fields);
+    await writeItem(store, trashed, stored);
+    await store.delete(revisions.trashKey(id));
+    const restoredRelations = await reattachInbound(store, id, trashed.inboundRelations, user);
+    await audit.record(store, {
+      user,
+      action: "untrash",
+      itemId: id,
+      details: { version: stored.version, restoredRelations, droppedRelations: dropped },
+    });
+    return savedResponse(stored);
+  }
+
+  return text(400, `Unknown action: ${action}`);
+}
+
 /**
- * Optional admin auth (disabled if ADMIN_TOKEN not set)
+ * Bulk import (admin) / export (editor), see lib/transfer.js
+ *   POST ?action=import[&dryRun=1][&source=seed]   body: JSON array or NDJSON
+ *   GET  ?action=export&format=json|ndjson|csv
  */
-function authOk(event) {
-  const required = process.env.ADMIN_TOKEN;
-  if (!required) return true;
-  const token =
-    event.headers["x-admin-token"] || event.headers["X-Admin-Token"];
-  return token === required;
+function isTruthyParam(v) {
+  return ["1", "true", "yes"].includes(String(v ?? "").toLowerCase());
+}
+
+function isIsoDate(v) {
+  return typeof v === "string" && Number.isFinite(Date.parse(v));
+}
+
+async function importRow(store, row, dryRun, knownIds) {
+  if (!row || typeof row !== "object" || Array.isArray(row)) {
+    return { status: "invalid", errors: [{ field: "", message: "row must be a JSON object" }] };
+  }
+
+  const migrated = migrateLegacy(row);
+  const id = migrated.id;
+  const title = migrated.title || "";
+  if (!ITEM_ID_PATTERN.test(id)) {
+    return { id, title, status: "invalid", errors: [{ field: "id", message: "must match [A-Za-z0-9_-]{1,64}" }] };
+  }
+
+  const fields = { ...stripServerFields(migrated), tags: normalizeTags(migrated.tags) };
+  const { ok, errors } = validateItem(fields);
+  if (!ok) return { id, title, status: "invalid", errors };
+
+  const missing = [];
+  (fields.relations || []).forEach((r, i) => {
+    if (!knownIds.has(r.target)) {
+      missing.push({ field: `relations.${i}.target`, message: `no item with id ${r.target}` });
+    }
+  });
+  if (missing.length) return { id, title, status: "invalid", errors: missing };
+
+  if (await revisions.readTrashed(store, id)) {
+    return { id, title, status: "skipped", errors: [{ field: "id", message: "item is in trash; restore it first" }] };
+  }
+
+  const existing = await readItem(store, id);
+  if (existing && !revisions.diffItems(stripServerFields(existing), fields).length) {
+    return { id, title, status: "unchanged" };
+  }
+
+  const stored = existing
+    ? nextVersionOf(existing, fields)
+    : {
+        ...fields,
+        id,
+        createdAt: isIsoDate(row.createdAt) ? row.createdAt : new Date().toISOString(),
+        version: 1,
+      };
+
+  if (!dryRun) {
+    if (existing) await revisions.saveRevision(store, existing);
+    await store.setJSON(itemKey(id), stored);
+  }
+
+  return { id, title, status: existing ? "updated" : "created" };
+}
+
+async function handleImport(store, event, user, params) {
+  const dryRun = isTruthyParam(params.dryRun);
+
+  let rows;
+  if (params.source === "seed") {
+    if (typeof store.readSeed !== "function") {
+      return text(501, `Backend ${store.kind} has no seed file`);
+    }
+    rows = await store.readSeed();
+  } else {
+    const parsed = parseImportBody(event.body);
+    if (parsed.error) return text(400, parsed.error);
+    rows = parsed.rows;
+  }
+
+  // Relation targets: stored items plus the rows of this import.
+  const knownIds = new Set((await snapshot.loadSnapshot(store)).items.map((it) => it.id));
+  for (const row of rows) {
+    if (row && typeof row === "object" && !Array.isArray(row)) knownIds.add(migrateLegacy(row).id);
+  }
+
+  const results = [];
+  const summary = { created: 0, updated: 0, unchanged: 0, skipped: 0, invalid: 0 };
+  for (let i = 0; i < rows.length; i++) {
+    const result = await importRow(store, rows[i], dryRun, knownIds);
+    summary[result.status]++;
+    results.push({ row: i, ...result });
+  }
+
+  // One snapshot rebuild instead of one rewrite per row.
+  if (!dryRun && (summary.created || summary.updated)) {
+    await snapshot.rebuildSnapshot(store);
+    await audit.record(store, {
+      user,
+      action: "import",
+      details: {
+        summary,
+        ids: results.filter((r) => r.status === "created" || r.status === "updated").map((r) => r.id),
+      },
+    });
+  }
+
+  return json(200, { ok: true, dryRun, total: rows.length, summary, results });
+}
+
+async function handleExport(store, params) {
+  const format = String(params.format || "json").toLowerCase();
+  const spec = EXPORT_FORMATS[format];
+  if (!spec) {
+    return text(400, `Unknown format: ${format} (${Object.keys(EXPORT_FORMATS).join(", ")})`);
+  }
+
+  const snap = await snapshot.loadSnapshot(store);
+  const items = snap.items
+    .map(({ _key, ...item }) => item)
+    .sort((a, b) => String(a.createdAt || "").localeCompare(String(b.createdAt || "")));
+
+  return {
+    statusCode: 200,
+    headers: {
+      ...HEADERS,
+      "Content-Type": spec.contentType,
+      "Content-Disposition": `attachment; filename="items.${format}"`,
+    },
+    body: spec.render(items),
+  };
+}
+
+/**
+ * Duplicates, see lib/duplicates.js
+ *   409 { duplicates } unless ?force=1 on: POST, ?action=transition to
+ *   published, and PUT/PATCH that change title, type, href or an identifier
+ *   (then only matches on the changed keys count)
+ *   GET  ?action=duplicates   clusters of existing likely duplicates (editor)
+ */
+function duplicateSummary(item) {
+  const { id, type, title, href, createdAt } = item;
+  return { id, type, title, href, createdAt, meta: item.meta ?? null };
+}
+
+// candidate.id (updates, transitions) is never its own duplicate; kinds limits the reasons.
+async function duplicateError(store, candidate, kinds = null) {
+  const snap = await snapshot.loadSnapshot(store);
+  const dups = findDuplicates(snap.items, candidate)
+    .map(({ item, reasons }) => ({
+      item,
+      reasons: kinds ? reasons.filter((r) => kinds.includes(r)) : reasons,
+    }))
+    .filter((d) => d.reasons.length);
+  if (!dups.length) return null;
+  return json(409, {
+    ok: false,
+    error: "Duplicate",
+    duplicates: dups.map(({ item, reasons }) => ({ reasons, item: duplicateSummary(item) })),
+  });
+}
+
+async function handleDuplicateReport(store) {
+  const snap = await snapshot.loadSnapshot(store);
+  const clusters = duplicateClusters(snap.items).map((c) => ({
+    reasons: c.reasons,
+    items: c.items.map(duplicateSummary),
+  }));
+  return json(200, { ok: true, count: clusters.length, clusters });
+}
+
+const HISTORY_GET_ACTIONS = ["revisions", "revision", "diff", "trash"];
+const HISTORY_POST_ACTIONS = ["restore", "untrash", "purge-trash"];
+
+/**
+ * Workflow (lib/workflow.js)
+ * Anonymous readers only see public items (published, publishAt reached);
+ * any authenticated user sees every status.
+ *   POST ?action=transition&id=&to=<status>[&publishAt=ISO][&force=1]   (If-Match optional)
+ */
+async function viewerOf(store, event) {
+  if (!getHeader(event, "x-admin-token") && !getHeader(event, "Authorization")) return null;
+  const auth = await authenticate(store, event);
+  return auth.user || null;
+}
+
+async function handleTransition(store, event, user, params) {
+  const id = params.id;
+  if (!isNonEmptyString(id)) return text(400, "Missing id");
+
+  const to = params.to;
+  if (!workflow.STATUSES.includes(to)) {
+    return text(400, `Invalid status (${workflow.STATUSES.join(", ")})`);
+  }
+
+  let publishAt = null;
+  if (isNonEmptyString(params.publishAt)) {
+    const t = Date.parse(params.publishAt);
+    if (!Number.isFinite(t)) return text(400, "publishAt must be an ISO date/time");
+    publishAt = new Date(t).toISOString();
+  }
+
+  const existing = await readItem(store, id);
+  if (!existing) return text(404, "Not Found");
+
+  if (getHeader(event, "If-Match")) {
+    const blocked = preconditionError(event, existing);
+    if (blocked) return blocked;
+  }
+
+  const from = workflow.statusOf(existing);
+  const minRole = workflow.transitionRole(from, to);
+  if (!minRole) return text(409, `Cannot move from ${from} to ${to}`);
+  if (!roleAtLeast(user.role, minRole)) return text(403, `Requires role ${minRole}`);
+
+  const fields = { ...stripServerFields(existing), status: to };
+  if (publishAt) fields.publishAt = publishAt;
+
+  // Drafts may lack fields (draftOptional in lib/schema.js) that later statuses need.
+  if (from === "draft" && to !== "draft") {
+    const invalid = validationError(fields);
+    if (invalid) return invalid;
+  }
+
+  if (to === "published" && !isTruthyParam(params.force)) {
+    const duplicate = await duplicateError(store, { ...fields, id });
+    if (duplicate) return duplicate;
+  }
+
+  const stored = nextVersionOf(existing, fields);
+  await writeItem(store, existing, stored);
+  await audit.record(store, {
+    user,
+    action: "transition",
+    itemId: id,
+    details: { from, to, publishAt: stored.publishAt || null, version: stored.version },
+  });
+  return savedResponse(stored);
+}
+
+/**
+ * POST — create item (409 on likely duplicates unless ?force=1)
+ * status defaults to draft; only editors may create anything else.
+ */
+async function handleCreate(store, event, user) {
+  let item;
+  try {
+    item = JSON.parse(event.body || "{}");
+  } catch {
+    return text(400, "Invalid JSON");
+  }
+
+  if (!item || typeof item !== "object" || Array.isArray(item)) {
+    return text(400, "Invalid JSON");
+  }
+
+  const fields = { ...stripServerFields(item), status: item.status || "draft" };
+  const invalid = validationError(fields) || (await relationError(store, null, fields, null));
+  if (invalid) return invalid;
+
+  if (fields.status !== "draft" && !roleAtLeast(user.role, "editor")) {
+    return text(403, "Requires role editor (contributors create drafts)");
+  }
+
+  if (!isTruthyParam((event.queryStringParameters || {}).force)) {
+    const duplicate = await duplicateError(store, fields);
+    if (duplicate) return duplicate;
+  }
+
+  const id = randomUUID();
+  const createdAt = new Date().toISOString();
+
+  const stored = {
+    ...fields,
+    id,
+    createdAt,
+    version: 1,
+    tags: normalizeTags(fields.tags),
+  };
+
+  await writeItem(store, null, stored);
+  await audit.record(store, {
+    user,
+    action: "create",
+    itemId: id,
+    details: { version: 1, status: stored.status },
+  });
+
+  return json(200, { ok: true, id, version: 1 }, { ETag: etagFor(stored) });
+}
+
+/**
+ * PUT / PATCH — update in place (requires If-Match)
+ * PUT replaces the editable fields, PATCH merges them into the stored item.
+ * id, createdAt and status are kept (status changes go through
+ * ?action=transition); updatedAt and version are bumped.
+ * Contributors may only edit drafts.
+ */
+async function handleUpdate(store, event, user) {
+  const id = (event.queryStringParameters || {}).id;
+  if (!isNonEmptyString(id)) return text(400, "Missing id");
+
+  let patch;
+  try {
+    patch = JSON.parse(event.body || "{}");
+  } catch {
+    return text(400, "Invalid JSON");
+  }
+  if (!patch || typeof patch !== "object" || Array.isArray(patch)) {
+    return text(400, "Invalid JSON");
+  }
+
+  const existing = await readItem(store, id);
+  if (!existing) return text(404, "Not Found");
+
+  const blocked = preconditionError(event, existing);
+  if (blocked) return blocked;
+
+  const status = workflow.statusOf(existing);
+  if (status !== "draft" && !roleAtLeast(user.role, "editor")) {
+    return text(403, "Requires role editor (contributors edit drafts only)");
+  }
+  if (patch.status != null && patch.status !== status) {
+    return json(422, {
+      ok: false,
+      error: "Validation failed",
+      errors: [{ field: "status", message: "change it via ?action=transition" }],
+    });
+  }
+
+  const fields = stripServerFields(patch);
+  const next =
+    event.httpMethod === "PUT"
+      ? fields
+      : { ...stripServerFields(existing), ...fields };
+  if (existing.status) next.status = existing.status;
+
+  const invalid = validationError(next) || (await relationError(store, id, next, existing));
+  if (invalid) return invalid;
+
+  const changedKinds = newMatchKinds(existing, next);
+  if (changedKinds.length && !isTruthyParam((event.queryStringParameters || {}).force)) {
+    const duplicate = await duplicateError(store, { ...next, id }, changedKinds);
+    if (duplicate) return duplicate;
+  }
+
+  const stored = nextVersionOf(existing, next);
+  await writeItem(store, existing, stored);
+  await audit.record(store, {
+    user,
+    action: "update",
+    itemId: id,
+    details: {
+      method: event.httpMethod,
+      version: stored.version,
+      fields: revisions.diffItems(existing, stored).map((c) => c.field),
+    },
+  });
+
+  return savedResponse(stored);
+}
+
+/**
+ * DELETE — soft delete by id (moves the item to trash/, see lib/revisions.js)
+ */
+async function handleDelete(store, event, user) {
+  const id = (event.queryStringParameters || {}).id;
+  if (!isNonEmptyString(id)) return text(400, "Missing id");
+
+  const existing = await readItem(store, id);
+  if (!existing) return text(404, "Not Found");
+
+  const inbound = await detachInbound(store, id, user);
+
+  const now = new Date().toISOString();
+  const trashed = {
+    ...existing,
+    updatedAt: now,
+    deletedAt: now,
+    version: itemVersion(existing) + 1,
+  };
+  if (inbound.length) trashed.inboundRelations = inbound;
+
+  await revisions.saveRevision(store, existing);
+  await store.setJSON(revisions.trashKey(id), trashed);
+  await store.delete(itemKey(id));
+  await snapshot.removeEntry(store, itemKey(id));
+  await audit.record(store, {
+    user,
+    action: "trash",
+    itemId: id,
+    details: { version: trashed.version, detachedRelations: inbound },
+  });
+
+  return json(200, { ok: true, id, trashed: true, detachedRelations: inbound });
 }
 
 /**
@@ -61,114 +841,255 @@ exports.handler = async (event) => {
     return { statusCode: 204, headers: HEADERS, body: "" };
   }
 
-  // --- HARD GUARD: Blobs env must exist ---
-  if (!process.env.BLOBS_SITE_ID || !process.env.BLOBS_TOKEN) {
-    return json(500, {
-      ok: false,
-      error: "Missing BLOBS_SITE_ID or BLOBS_TOKEN",
-      hasSiteId: !!process.env.BLOBS_SITE_ID,
-      hasToken: !!process.env.BLOBS_TOKEN,
-    });
+  // --- Open store (backend from ITEMS_STORE, see lib/store.js) ---
+  let store;
+  try {
+    store = openStore("kb-items");
+  } catch (e) {
+    if (e instanceof StoreConfigError) {
+      return json(500, { ok: false, error: e.message, ...e.details });
+    }
+    throw e;
   }
 
-  // --- Create Blobs store (MANUAL CONFIG) ---
-  const store = getStore({
-    name: "kb-items",
-    siteID: process.env.BLOBS_SITE_ID,
-    token: process.env.BLOBS_TOKEN,
-  });
+  // --- ?id= is used as a store key by every branch; reject anything else up front ---
+  const requestedId = (event.queryStringParameters || {}).id;
+  if (isNonEmptyString(requestedId) && !ITEM_ID_PATTERN.test(requestedId)) {
+    return text(400, "Invalid id");
+  }
 
   /**
-   * GET — list items
+   * GET — single item (with ETag) or list items
+   * List filters/sort/pagination: see lib/query.js
    */
   if (event.httpMethod === "GET") {
+    const params = event.queryStringParameters || {};
+    const id = params.id;
+
+    if (params.action === "audit") {
+      const auth = await guard(store, event, "admin");
+      if (auth.response) return auth.response;
+      try {
+        const result = await audit.query(store, params);
+        if (result.error) return text(400, result.error);
+        return json(200, { ok: true, count: result.entries.length, entries: result.entries });
+      } catch (e) {
+        return json(500, { ok: false, error: e?.message || String(e) });
+      }
+    }
+
+    if (params.action === "duplicates") {
+      const auth = await guard(store, event, "editor");
+      if (auth.response) return auth.response;
+      try {
+        return await handleDuplicateReport(store);
+      } catch (e) {
+        return json(500, { ok: false, error: e?.message || String(e) });
+      }
+    }
+
+    if (params.action === "export") {
+      const auth = await guard(store, event, "editor");
+      if (auth.response) return auth.response;
+      try {
+        return await handleExport(store, params);
+      } catch (e) {
+        return json(500, { ok: false, error: e?.message || String(e) });
+      }
+    }
+
+    if (HISTORY_GET_ACTIONS.includes(params.action)) {
+      const auth = await guard(store, event, "editor");
+      if (auth.response) return auth.response;
+      try {
+        return await handleHistoryGet(store, params.action, params);
+      } catch (e) {
+        return json(500, { ok: false, error: e?.message || String(e) });
+      }
+    }
+
+    if (isNonEmptyString(id)) {
+      try {
+        const item = await readItem(store, id);
+        if (!item) return text(404, "Not Found");
+        const viewer = workflow.isPublic(item) ? null : await viewerOf(store, event);
+        if (!workflow.isPublic(item) && !viewer) return text(404, "Not Found");
+        return json(200, { ok: true, item }, { ETag: etagFor(item), ...viewerCacheHeaders(viewer) });
+      } catch (e) {
+        return json(500, { ok: false, error: e?.message || String(e) });
+      }
+    }
+
+    const { query, errors } = parseQuery(event.queryStringParameters);
+    if (errors.length) {
+      return json(400, { ok: false, error: "Invalid query", errors });
+    }
+
     try {
-      const listed = await store.list({ prefix: "items/" });
-      const blobs = listed?.blobs || [];
-
-      const items = (
-        await Promise.all(
-          blobs.map(async (b) => {
-            const raw = await store.get(b.key);
-            if (!raw) return null;
-            try {
-              const obj = JSON.parse(raw);
-              return { ...obj, _key: b.key };
-            } catch {
-              return null;
-            }
-          })
-        )
-      ).filter(Boolean);
-
-      items.sort((a, b) =>
-        String(b.createdAt || "").localeCompare(String(a.createdAt || ""))
-      );
-
-      return json(200, { ok: true, items });
+      const snap = await snapshot.loadSnapshot(store);
+      const viewer = await viewerOf(store, event);
+      const visible = viewer ? snap.items : snap.items.filter((it) => workflow.isPublic(it));
+      const result = runQuery(visible, query);
+
+      const body = JSON.stringify({ ok: true, ...result });
+      const etag = snapshot.strongEtag(body);
+      const cacheHeaders = { ETag: etag, ...viewerCacheHeaders(viewer) };
+
+      const inm = getHeader(event, "If-None-Match");
+      if (inm && inm.split(",").map((t) => t.trim()).includes(etag)) {
+        return { statusCode: 304, headers: { ...HEADERS, ...cacheHeaders }, body: "" };
+      }
+
+      return {
+        statusCode: 200,
+        headers: {
+          ...HEADERS,
+          "Content-Type": "application/json; charset=utf-8",
+          ...cacheHeaders,
+        },
+        body,
+      };
     } catch (e) {
       return json(500, { ok: false, error: e?.message || String(e) });
     }
   }
 
   /**
-   * POST — publish item
+   * POST ?action=rebuild — regenerate the index snapshot from item blobs
    */
-  if (event.httpMethod === "POST") {
-    if (!authOk(event)) return text(401, "Unauthorized");
+  if (
+    event.httpMethod === "POST" &&
+    (event.queryStringParameters || {}).action === "rebuild"
+  ) {
+    const auth = await guard(store, event, "admin");
+    if (auth.response) return auth.response;
 
-    let item;
     try {
-      item = JSON.parse(event.body || "{}");
-    } catch {
-      return text(400, "Invalid JSON");
+      const snap = await snapshot.rebuildSnapshot(store);
+      await audit.record(store, { user: auth.user, action: "rebuild", details: { count: snap.count } });
+      return json(200, { ok: true, count: snap.count, generatedAt: snap.generatedAt });
+    } catch (e) {
+      return json(500, { ok: false, error: e?.message || String(e) });
     }
+  }
+
+  /**
+   * POST ?action=import — bulk import (JSON / NDJSON / seed file)
+   */
+  if (
+    event.httpMethod === "POST" &&
+    (event.queryStringParameters || {}).action === "import"
+  ) {
+    const auth = await guard(store, event, "admin");
+    if (auth.response) return auth.response;
 
-    if (
-      !item ||
-      !isNonEmptyString(item.type) ||
-      !isNonEmptyString(item.title) ||
-      !isNonEmptyString(item.href)
-    ) {
-      return text(400, "Missing required fields (type,title,href)");
+    try {
+      return await handleImport(store, event, auth.user, event.queryStringParameters || {});
+    } catch (e) {
+      return json(500, { ok: false, error: e?.message || String(e) });
     }
+  }
 
-    const id = randomUUID();
-    const createdAt = new Date().toISOString();
+  /**
+   * POST ?action=write-seed — write the catalogue to data/items.json
+   * Only for backends with a seed file (ITEMS_STORE=fs).
+   */
+  if (
+    event.httpMethod === "POST" &&
+    (event.queryStringParameters || {}).action === "write-seed"
+  ) {
+    const auth = await guard(store, event, "admin");
+    if (auth.response) return auth.response;
+    if (typeof store.writeSeed !== "function") {
+      return text(501, `Backend ${store.kind} has no seed file`);
+    }
 
-    const stored = {
-      ...item,
-      id,
-      createdAt,
-      tags: normalizeTags(item.tags),
-    };
+    try {
+      const snap = await snapshot.loadSnapshot(store);
+      const items = snap.items.map(({ _key, ...item }) => item);
+      await store.writeSeed(items);
+      await audit.record(store, { user: auth.user, action: "write-seed", details: { count: items.length } });
+      return json(200, { ok: true, count: items.length, file: store.seedFile });
+    } catch (e) {
+      return json(500, { ok: false, error: e?.message || String(e) });
+    }
+  }
 
-    await store.setJSON(`items/${id}.json`, stored);
+  /**
+   * POST ?action=restore|untrash|purge-trash — history + trash
+   */
+  if (
+    event.httpMethod === "POST" &&
+    HISTORY_POST_ACTIONS.includes((event.queryStringParameters || {}).action)
+  ) {
+    const auth = await guard(store, event, "editor");
+    if (auth.response) return auth.response;
 
-    return json(200, { ok: true, id });
+    const params = event.queryStringParameters || {};
+    try {
+      return await handleHistoryPost(store, event, auth.user, params.action, params);
+    } catch (e) {
+      return json(500, { ok: false, error: e?.message || String(e) });
+    }
   }
 
   /**
-   * DELETE — by key or id
+   * POST ?action=transition — move an item between workflow statuses
    */
-  if (event.httpMethod === "DELETE") {
-    if (!authOk(event)) return text(401, "Unauthorized");
+  if (
+    event.httpMethod === "POST" &&
+    (event.queryStringParameters || {}).action === "transition"
+  ) {
+    const auth = await guard(store, event, "contributor");
+    if (auth.response) return auth.response;
 
-    const params = event.queryStringParameters || {};
-    const key = params.key;
-    const id = params.id;
+    try {
+      return await handleTransition(store, event, auth.user, event.queryStringParameters || {});
+    } catch (e) {
+      return json(500, { ok: false, error: e?.message || String(e) });
+    }
+  }
 
-    if (isNonEmptyString(key)) {
-      await store.delete(key);
-      return json(200, { ok: true });
+  /**
+   * POST — create item (409 on likely duplicates unless ?force=1)
+   */
+  if (event.httpMethod === "POST") {
+    const auth = await guard(store, event, "contributor");
+    if (auth.response) return auth.response;
+
+    try {
+      return await handleCreate(store, event, auth.user);
+    } catch (e) {
+      return json(500, { ok: false, error: e?.message || String(e) });
     }
+  }
 
-    if (isNonEmptyString(id)) {
-      await store.delete(`items/${id}.json`);
-      return json(200, { ok: true });
+  /**
+   * PUT / PATCH — update in place (requires If-Match)
+   */
+  if (event.httpMethod === "PUT" || event.httpMethod === "PATCH") {
+    const auth = await guard(store, event, "contributor");
+    if (auth.response) return auth.response;
+
+    try {
+      return await handleUpdate(store, event, auth.user);
+    } catch (e) {
+      return json(500, { ok: false, error: e?.message || String(e) });
     }
+  }
+
+  /**
+   * DELETE — soft delete by id (moves the item to trash/, see lib/revisions.js)
+   */
+  if (event.httpMethod === "DELETE") {
+    const auth = await guard(store, event, "admin");
+    if (auth.response) return auth.response;
 
-    return text(400, "Missing key or id");
+    try {
+      return await handleDelete(store, event, auth.user);
+    } catch (e) {
+      return json(500, { ok: false, error: e?.message || String(e) });
+    }
   }
 
   return text(405, "Method Not Allowed");
@@ -0,0 +1,70 @@
+// netlify/functions/linkcheck-background.js
+// Netlify background function: checks every item's href and image
+// (netlify/lib/linkcheck.js) and saves the report in the "kb-health" store.
+//
+//   POST   editor credentials; started by linkcheck.js (on demand)
+//   POST   x-system-token: LINKCHECK_SYSTEM_TOKEN; started by
+//          linkcheck-scheduled.js (daily), report shows startedBy "system"
+//
+// LINKCHECK_SYSTEM_TOKEN is a secret of its own (not ADMIN_TOKEN, not a user
+// token): it can start a link check and nothing else.
+//
+// LINKCHECK_CONCURRENCY (default 4, max 8) requests at a time,
+// LINKCHECK_TIMEOUT_MS (default 10000) per request. Relative image paths are
+// resolved against the site URL (URL, set by Netlify).
+
+const linkcheck = require("../lib/linkcheck");
+const { authorize, safeEqual } = require("../lib/auth");
+const { openStore } = require("../lib/store");
+
+function intEnv(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isInteger(n) && n > 0 ? n : fallback;
+}
+
+// startedBy for runs no user started (linkcheck-scheduled.js).
+const SYSTEM_PRINCIPAL = "system";
+
+// -> report | null (null: already running)
+async function startCheck(store, startedBy) {
+  const healthStore = openStore("kb-health");
+
+  const current = await linkcheck.readReport(healthStore);
+  if (linkcheck.isRunning(current)) return null;
+
+  return linkcheck.runLinkCheck(store, healthStore, {
+    startedBy,
+    siteUrl: process.env.URL || null,
+    concurrency: intEnv("LINKCHECK_CONCURRENCY", 4),
+    timeoutMs: intEnv("LINKCHECK_TIMEOUT_MS", 10000),
+  });
+}
+
+/**
+ * runCheck(event) -> report | null (null: not allowed or already running)
+ * Also used by linkcheck.js to run inline.
+ */
+async function runCheck(event) {
+  const store = openStore("kb-items");
+
+  const auth = await authorize(store, event, "editor");
+  if (!auth.user) return null;
+
+  return startCheck(store, auth.user.username);
+}
+
+// x-system-token matches LINKCHECK_SYSTEM_TOKEN (never true while it is unset).
+function isSystemCall(event) {
+  const secret = process.env.LINKCHECK_SYSTEM_TOKEN;
+  const h = event.headers || {};
+  const key = Object.keys(h).find((k) => k.toLowerCase() === "x-system-token");
+  return !!secret && !!key && safeEqual(h[key], secret);
+}
+
+exports.handler = async (event) => {
+  if (isSystemCall(event)) await startCheck(openStore("kb-items"), SYSTEM_PRINCIPAL);
+  else await runCheck(event);
+  return { statusCode: 202, body: "" };
+};
+
+exports.runCheck = runCheck;
@@ -0,0 +1,21 @@
+// netlify/functions/linkcheck-scheduled.js
+// Scheduled function (netlify.toml: daily): starts linkcheck-background as
+// the "system" principal (LINKCHECK_SYSTEM_TOKEN, see there). Scheduled
+// functions get 30 seconds, so the check itself runs in the background
+// function.
+
+exports.handler = async () => {
+  const base = process.env.URL;
+  const token = process.env.LINKCHECK_SYSTEM_TOKEN;
+  if (!base || !token) {
+    console.error("linkcheck-scheduled: URL or LINKCHECK_SYSTEM_TOKEN missing, skipped");
+    return { statusCode: 200, body: "" };
+  }
+
+  const res = await fetch(`${base}/.netlify/functions/linkcheck-background`, {
+    method: "POST",
+    headers: { "x-system-token": token },
+  });
+  if (!res.ok) console.error(`linkcheck-scheduled: background start failed, HTTP ${res.status}`);
+  return { statusCode: 200, body: "" };
+};
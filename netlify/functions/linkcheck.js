@@ -0,0 +1,115 @@
+// netlify/functions/linkcheck.js
+// Link and image health report (see netlify/lib/linkcheck.js). Editor role.
+//
+//   GET                    latest report: per item href/image status, redirect
+//                          target, checkedAt and problems; counts per problem
+//   GET  ?problems=1       only items with problems
+//   POST                   start a check now -> 202 { ok, ranIn, report }
+//                          409 while a check is still running
+//
+// The check runs in linkcheck-background (also started daily by
+// linkcheck-scheduled). Without a site URL (local runs, ITEMS_STORE=fs|memory)
+// or with LINKCHECK_INLINE=1 it runs inside this request instead.
+
+const linkcheck = require("../lib/linkcheck");
+const { authorize } = require("../lib/auth");
+const { openStore, StoreConfigError } = require("../lib/store");
+const { runCheck } = require("./linkcheck-background");
+
+const HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization, x-admin-token",
+  "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+  "Access-Control-Max-Age": "86400",
+};
+
+function json(status, obj) {
+  return {
+    statusCode: status,
+    headers: { ...HEADERS, "Content-Type": "application/json; charset=utf-8" },
+    body: JSON.stringify(obj),
+  };
+}
+
+function text(status, body) {
+  return {
+    statusCode: status,
+    headers: HEADERS,
+    body: String(body ?? ""),
+  };
+}
+
+function authHeaders(event) {
+  const h = event.headers || {};
+  const out = {};
+  for (const [k, v] of Object.entries(h)) {
+    const key = k.toLowerCase();
+    if (key === "x-admin-token" || key === "authorization") out[key] = v;
+  }
+  return out;
+}
+
+// Hand the run to the background function; it re-checks the same credentials.
+async function dispatch(event) {
+  const base = process.env.URL;
+  if (!base || process.env.LINKCHECK_INLINE === "1") {
+    await runCheck(event);
+    return "inline";
+  }
+  const res = await fetch(`${base}/.netlify/functions/linkcheck-background`, {
+    method: "POST",
+    headers: authHeaders(event),
+  });
+  if (!res.ok) throw new Error(`Background dispatch failed: HTTP ${res.status}`);
+  return "background";
+}
+
+exports.handler = async (event) => {
+  if (event.httpMethod === "OPTIONS") {
+    return { statusCode: 204, headers: HEADERS, body: "" };
+  }
+
+  let store;
+  let healthStore;
+  try {
+    store = openStore("kb-items");
+    healthStore = openStore("kb-health");
+  } catch (e) {
+    if (e instanceof StoreConfigError) {
+      return json(500, { ok: false, error: e.message, ...e.details });
+    }
+    throw e;
+  }
+
+  const auth = await authorize(store, event, "editor");
+  if (!auth.user) return text(auth.status, auth.error);
+
+  const params = event.queryStringParameters || {};
+
+  try {
+    if (event.httpMethod === "GET") {
+      const report = await linkcheck.readReport(healthStore);
+      const wanted = params.problems === "1" || params.problems === "true";
+      return json(200, { ok: true, report: wanted ? linkcheck.problemsOnly(report) : report });
+    }
+
+    if (event.httpMethod === "POST") {
+      const current = await linkcheck.readReport(healthStore);
+      if (linkcheck.isRunning(current)) {
+        return json(409, {
+          ok: false,
+          error: "A link check is already running",
+          startedAt: current.startedAt,
+        });
+      }
+
+      const ranIn = await dispatch(event);
+      const report = await linkcheck.readReport(healthStore);
+      return json(202, { ok: true, ranIn, report: linkcheck.problemsOnly(report) });
+    }
+
+    return text(405, "Method Not Allowed");
+  } catch (e) {
+    return json(500, { ok: false, error: e?.message || String(e) });
+  }
+};
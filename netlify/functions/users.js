@@ -0,0 +1,157 @@
+// netlify/functions/users.js
+// Editor accounts for the items API (see netlify/lib/auth.js).
+//
+//   GET    ?action=me                  current user (any role)
+//   GET                                list users (admin)
+//   POST   { username, role }          create user, returns its token once (admin)
+//   POST   ?action=rotate&username=    new token (admin, or the user themself)
+//   PATCH  ?username=  { role?, disabled? }   (admin)
+//   DELETE ?username=                  (admin)
+
+const auth = require("../lib/auth");
+const audit = require("../lib/audit");
+const { openStore, StoreConfigError } = require("../lib/store");
+
+const HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization, x-admin-token",
+  "Access-Control-Allow-Methods": "GET, POST, PATCH, DELETE, OPTIONS",
+  "Access-Control-Max-Age": "86400",
+};
+
+function json(status, obj) {
+  return {
+    statusCode: status,
+    headers: { ...HEADERS, "Content-Type": "application/json; charset=utf-8" },
+    body: JSON.stringify(obj),
+  };
+}
+
+function text(status, body) {
+  return {
+    statusCode: status,
+    headers: HEADERS,
+    body: String(body ?? ""),
+  };
+}
+
+function parseBody(event) {
+  try {
+    const obj = JSON.parse(event.body || "{}");
+    return obj && typeof obj === "object" && !Array.isArray(obj) ? obj : null;
+  } catch {
+    return null;
+  }
+}
+
+exports.handler = async (event) => {
+  if (event.httpMethod === "OPTIONS") {
+    return { statusCode: 204, headers: HEADERS, body: "" };
+  }
+
+  let store;
+  try {
+    store = openStore("kb-items");
+  } catch (e) {
+    if (e instanceof StoreConfigError) {
+      return json(500, { ok: false, error: e.message, ...e.details });
+    }
+    throw e;
+  }
+
+  const params = event.queryStringParameters || {};
+
+  try {
+    const who = await auth.authenticate(store, event);
+    if (!who.user) return text(who.status, who.error);
+    const user = who.user;
+
+    if (event.httpMethod === "GET" && params.action === "me") {
+      return json(200, { ok: true, user });
+    }
+
+    // Token rotation is allowed for oneself; everything else needs admin.
+    if (event.httpMethod === "POST" && params.action === "rotate") {
+      const username = params.username || user.username;
+      if (username !== user.username && !auth.roleAtLeast(user.role, "admin")) {
+        return text(403, "Requires role admin");
+      }
+      const existing = await auth.readUser(store, username);
+      if (!existing) return text(404, "Not Found");
+
+      const { token, tokenHash } = auth.issueToken(username);
+      await auth.writeUser(store, { ...existing, tokenHash, updatedAt: new Date().toISOString() });
+      await audit.record(store, { user, action: "user.rotate", details: { username } });
+      return json(200, { ok: true, username, token });
+    }
+
+    if (!auth.roleAtLeast(user.role, "admin")) return text(403, "Requires role admin");
+
+    if (event.httpMethod === "GET") {
+      const users = await auth.listUsers(store);
+      return json(200, { ok: true, users: users.map(auth.publicUser) });
+    }
+
+    if (event.httpMethod === "POST") {
+      const body = parseBody(event);
+      if (!body) return text(400, "Invalid JSON");
+
+      const username = String(body.username || "").trim().toLowerCase();
+      const role = String(body.role || "contributor");
+      if (!auth.USERNAME_PATTERN.test(username) || username === auth.ROOT_USER) {
+        return text(400, "Invalid username (a-z, 0-9, _ and -, 2–32 chars)");
+      }
+      if (!auth.ROLES.includes(role)) return text(400, `Invalid role (${auth.ROLES.join(", ")})`);
+      if (await auth.readUser(store, username)) return text(409, "User exists");
+
+      const { token, tokenHash } = auth.issueToken(username);
+      const created = {
+        username,
+        role,
+        tokenHash,
+        disabled: false,
+        createdAt: new Date().toISOString(),
+        createdBy: user.username,
+      };
+      await auth.writeUser(store, created);
+      await audit.record(store, { user, action: "user.create", details: { username, role } });
+      return json(200, { ok: true, user: auth.publicUser(created), token });
+    }
+
+    if (event.httpMethod === "PATCH") {
+      const existing = await auth.readUser(store, params.username);
+      if (!existing) return text(404, "Not Found");
+
+      const body = parseBody(event);
+      if (!body) return text(400, "Invalid JSON");
+
+      const next = { ...existing, updatedAt: new Date().toISOString() };
+      if (body.role != null) {
+        if (!auth.ROLES.includes(body.role)) return text(400, `Invalid role (${auth.ROLES.join(", ")})`);
+        next.role = body.role;
+      }
+      if (body.disabled != null) next.disabled = !!body.disabled;
+
+      await auth.writeUser(store, next);
+      await audit.record(store, {
+        user,
+        action: "user.update",
+        details: { username: existing.username, role: next.role, disabled: next.disabled },
+      });
+      return json(200, { ok: true, user: auth.publicUser(next) });
+    }
+
+    if (event.httpMethod === "DELETE") {
+      const existing = await auth.readUser(store, params.username);
+      if (!existing) return text(404, "Not Found");
+
+      await auth.deleteUser(store, existing.username);
+      await audit.record(store, { user, action: "user.delete", details: { username: existing.username } });
+      return json(200, { ok: true });
+    }
+
+    return text(405, "Method Not Allowed");
+  } catch (e) {
+    return json(500, { ok: false, error: e?.message || String(e) });
+  }
+};
@@ -0,0 +1,80 @@
+// netlify/lib/audit.js
+// Append-only audit log of mutations.
+//
+// Each entry is its own blob, audit/{ISO time}-{random}.json, and is never
+// rewritten, so concurrent writers cannot lose entries. Keys sort by time,
+// which lets queries skip entries outside the time range without reading them.
+
+const { randomBytes } = require("node:crypto");
+
+const AUDIT_PREFIX = "audit/";
+const MAX_QUERY_LIMIT = 1000;
+
+async function record(store, { user, action, itemId = null, details = null }) {
+  const at = new Date().toISOString();
+  const entry = {
+    at,
+    user: user?.username || null,
+    role: user?.role || null,
+    action,
+    itemId,
+    details,
+  };
+  await store.setJSON(`${AUDIT_PREFIX}${at}-${randomBytes(4).toString("hex")}.json`, entry);
+  return entry;
+}
+
+function timeFromKey(key) {
+  return key.slice(AUDIT_PREFIX.length, AUDIT_PREFIX.length + 24);
+}
+
+function parseTime(v) {
+  if (!v) return null;
+  const t = Date.parse(v);
+  return Number.isFinite(t) ? new Date(t).toISOString() : undefined;
+}
+
+/**
+ * query(store, { user, item, op, from, to, limit }) -> { entries } newest first
+ * op filters on the entry's action; from/to are ISO dates (inclusive);
+ * invalid values produce { error }.
+ */
+async function query(store, params = {}) {
+  const from = parseTime(params.from);
+  const to = parseTime(params.to);
+  if (from === undefined || to === undefined) return { error: "from/to must be ISO dates" };
+
+  let limit = params.limit == null || params.limit === "" ? 200 : Number(params.limit);
+  if (!Number.isInteger(limit) || limit < 1) return { error: "limit must be a positive integer" };
+  limit = Math.min(limit, MAX_QUERY_LIMIT);
+
+  const listed = await store.list({ prefix: AUDIT_PREFIX });
+  const keys = (listed?.blobs || [])
+    .map((b) => b.key)
+    .filter((k) => {
+      const t = timeFromKey(k);
+      return (!from || t >= from) && (!to || t <= to);
+    })
+    .sort()
+    .reverse();
+
+  const entries = [];
+  for (const key of keys) {
+    if (entries.length >= limit) break;
+    let entry;
+    try {
+      entry = JSON.parse(await store.get(key));
+    } catch {
+      continue;
+    }
+    if (!entry) continue;
+    if (params.user && entry.user !== params.user) continue;
+    if (params.item && entry.itemId !== params.item) continue;
+    if (params.op && entry.action !== params.op) continue;
+    entries.push(entry);
+  }
+
+  return { entries };
+}
+
+module.exports = { query, record };
@@ -0,0 +1,163 @@
+// netlify/lib/auth.js
+// Per-editor credentials and roles.
+//
+// Tokens look like "<username>.<secret>" and are sent as `x-admin-token`
+// (or `Authorization: Bearer …`). Only a salted scrypt hash of the secret is
+// stored, under users/{username}.json in the items store.
+//
+// ADMIN_TOKEN, if set, is a bootstrap credential acting as user "root" with
+// the admin role, so the first real users can be created. With neither
+// ADMIN_TOKEN nor users, every authenticated request fails (fail closed).
+//
+// Roles, lowest to highest: contributor (drafts), editor (publish),
+// admin (delete, maintenance, user management).
+
+const { randomBytes, scryptSync, timingSafeEqual } = require("node:crypto");
+
+const ROLES = ["contributor", "editor", "admin"];
+const USER_PREFIX = "users/";
+const USERNAME_PATTERN = /^[a-z0-9][a-z0-9_-]{1,31}$/;
+const ROOT_USER = "root";
+
+const SCRYPT_KEYLEN = 32;
+
+function userKey(username) {
+  return `${USER_PREFIX}${username}.json`;
+}
+
+function roleAtLeast(role, min) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(min) && ROLES.includes(min);
+}
+
+/**
+ * Hashing
+ */
+function hashSecret(secret) {
+  const salt = randomBytes(16);
+  const hash = scryptSync(String(secret), salt, SCRYPT_KEYLEN);
+  return `scrypt$${salt.toString("base64url")}$${hash.toString("base64url")}`;
+}
+
+function verifySecret(secret, stored) {
+  const [scheme, saltB64, hashB64] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !saltB64 || !hashB64) return false;
+  const expected = Buffer.from(hashB64, "base64url");
+  const actual = scryptSync(String(secret), Buffer.from(saltB64, "base64url"), expected.length);
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
+
+function safeEqual(a, b) {
+  const ba = Buffer.from(String(a));
+  const bb = Buffer.from(String(b));
+  return ba.length === bb.length && timingSafeEqual(ba, bb);
+}
+
+// New token for a user; the plain token is shown once, only the hash is kept.
+function issueToken(username) {
+  const secret = randomBytes(24).toString("base64url");
+  return { token: `${username}.${secret}`, tokenHash: hashSecret(secret) };
+}
+
+/**
+ * Users
+ */
+async function readUser(store, username) {
+  if (!USERNAME_PATTERN.test(String(username || ""))) return null;
+  const raw = await store.get(userKey(username));
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
+
+async function writeUser(store, user) {
+  await store.setJSON(userKey(user.username), user);
+}
+
+async function deleteUser(store, username) {
+  await store.delete(userKey(username));
+}
+
+async function listUsers(store) {
+  const listed = await store.list({ prefix: USER_PREFIX });
+  const users = await Promise.all(
+    (listed?.blobs || []).map(async (b) => {
+      try {
+        return JSON.parse(await store.get(b.key));
+      } catch {
+        return null;
+      }
+    })
+  );
+  return users.filter(Boolean);
+}
+
+// What the API returns about a user (never the hash).
+function publicUser(user) {
+  const { username, role, disabled, createdAt, updatedAt, createdBy } = user;
+  return { username, role, disabled: !!disabled, createdAt, updatedAt, createdBy };
+}
+
+/**
+ * Request authentication
+ */
+function tokenFromEvent(event) {
+  const headers = event.headers || {};
+  const lower = {};
+  for (const [k, v] of Object.entries(headers)) lower[k.toLowerCase()] = v;
+
+  if (typeof lower["x-admin-token"] === "string" && lower["x-admin-token"].trim()) {
+    return lower["x-admin-token"].trim();
+  }
+  const m = String(lower.authorization || "").match(/^Bearer\s+(.+)$/i);
+  return m ? m[1].trim() : null;
+}
+
+// -> { user: { username, role } } or { status, error }
+async function authenticate(store, event) {
+  const token = tokenFromEvent(event);
+  if (!token) return { status: 401, error: "Missing credentials" };
+
+  const root = process.env.ADMIN_TOKEN;
+  if (root && safeEqual(token, root)) {
+    return { user: { username: ROOT_USER, role: "admin" } };
+  }
+
+  const dot = token.indexOf(".");
+  if (dot > 0) {
+    const user = await readUser(store, token.slice(0, dot));
+    if (user && !user.disabled && verifySecret(token.slice(dot + 1), user.tokenHash)) {
+      return { user: { username: user.username, role: user.role } };
+    }
+  }
+
+  return { status: 401, error: "Invalid credentials" };
+}
+
+// -> { user } or { status, error }; 403 when the role is too low.
+async function authorize(store, event, minRole) {
+  const auth = await authenticate(store, event);
+  if (!auth.user) return auth;
+  if (!roleAtLeast(auth.user.role, minRole)) {
+    return { status: 403, error: `Requires role ${minRole}` };
+  }
+  return auth;
+}
+
+module.exports = {
+  ROLES,
+  ROOT_USER,
+  USERNAME_PATTERN,
+  authenticate,
+  authorize,
+  deleteUser,
+  issueToken,
+  listUsers,
+  publicUser,
+  readUser,
+  roleAtLeast,
+  safeEqual,
+  writeUser,
+};
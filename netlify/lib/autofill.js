@@ -0,0 +1,237 @@
+// netlify/lib/autofill.js
+// The autofill pipeline shared by functions/autofill.js (one title) and
+// functions/autofill-jobs*.js (batches):
+// Wikipedia lead -> prompt -> LLM -> Wikidata facts -> grounding check.
+//
+// runAutofill(request, { llm, cacheStore, ttlSeconds, requireArticle })
+//   request  { type, title, current?, page?, skipWikipedia?, refresh?, locales? }
+//   -> { result }                        the autofill answer
+//    | { ambiguous: true, candidates }   pick one and pass it as request.page
+//    | { notFound: true }                only with requireArticle: no page at all
+//   every variant carries cache = { wikipedia, wikidata, commons, llm }.
+// LLM failures surface as LLMResponseError (lib/llm.js).
+//
+// locales (e.g. ["de"]) adds result.translations = { de: { title, summary,
+// tags, href? } } from the same LLM call; href is the German article found
+// through the English one's interlanguage link, and its lead is the source
+// for the German summary.
+//
+// result.images lists Wikimedia Commons candidates (Wikidata P18 first, then
+// the Wikipedia page image) with author, licence and source page; the curator
+// picks one, and its attribution is stored on the item (imageAttribution).
+
+const { fallbackSummary, normalizeLocales, renderPrompt } = require("./prompts");
+const { extractFacts } = require("./wikidata");
+const { fetchSummary, languageLink, searchCandidates } = require("./wikipedia");
+const { checkSummary } = require("./grounding");
+const { createCache } = require("./cache");
+const { imageCandidates } = require("./commons");
+
+const DEFAULT_TTL = 7 * 24 * 3600;
+
+function toImagePlaceholder(title) {
+  const slug = String(title || "")
+    .trim()
+    .toLowerCase()
+    .replace(/['’]/g, "")
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+  return slug ? `${slug}.jpg` : "placeholder.jpg";
+}
+
+async function runAutofill(request, { llm, cacheStore, ttlSeconds = DEFAULT_TTL, requireArticle = false }) {
+  const title = String(request.title || "").trim();
+  const type = String(request.type || "topic").trim();
+  const current = request.current && typeof request.current === "object" ? request.current : {};
+  const pageTitle = String(request.page || "").trim();
+  const locales = normalizeLocales(request.locales);
+
+  const caches = {
+    summary: createCache(cacheStore, "wikipedia/summary", { ttlSeconds }),
+    search: createCache(cacheStore, "wikipedia/search", { ttlSeconds }),
+    langlinks: createCache(cacheStore, "wikipedia/langlinks", { ttlSeconds }),
+    facts: createCache(cacheStore, "wikidata/facts", { ttlSeconds }),
+    images: createCache(cacheStore, "commons/images", { ttlSeconds }),
+    llm: createCache(cacheStore, "llm", { ttlSeconds }),
+  };
+  const cache = { wikipedia: "skip", wikidata: "skip", commons: "skip", llm: "skip" };
+
+  // refresh: recompute and overwrite whatever is cached.
+  async function cached(c, parts, fn) {
+    if (request.refresh) {
+      const value = await fn();
+      await c.set(parts, value);
+      return { value, hit: false };
+    }
+    return c.remember(parts, fn);
+  }
+
+  // Offline providers (mock) skip the Wikipedia/Wikidata lookups too.
+  const online = !request.skipWikipedia && !llm.offline;
+  const lookup = pageTitle || title;
+
+  let page = null;
+  if (online) {
+    const r = await cached(caches.summary, [lookup], () => fetchSummary(lookup));
+    page = r.value;
+    cache.wikipedia = r.hit ? "hit" : "miss";
+  }
+  const article = page && !page.disambiguation ? page : null;
+
+  if (online && !article) {
+    const r = await cached(caches.search, [lookup], () => searchCandidates(lookup));
+    const candidates = r.value || [];
+    if (candidates.length) {
+      cache.wikipedia = r.hit ? "hit" : "miss";
+      return { ambiguous: true, candidates, cache };
+    }
+    if (requireArticle) return { notFound: true, cache };
+  }
+
+  // The same article in each requested language, for its link and lead.
+  const localePages = {};
+  if (article) {
+    await Promise.all(
+      locales.map(async (l) => {
+        const link = (await cached(caches.langlinks, [article.title, l], () =>
+          languageLink(article.title, l)
+        )).value;
+        if (!link) return;
+        const r = await cached(caches.summary, [link.title, l], () => fetchSummary(link.title, l));
+        localePages[l] = r.value && !r.value.disambiguation ? r.value : { ...link, extract: "" };
+      })
+    );
+  }
+
+  const prompt = renderPrompt({
+    type,
+    title,
+    current,
+    source: article?.extract ? { url: article.url, text: article.extract } : null,
+    locales,
+    localeSources: Object.fromEntries(
+      Object.entries(localePages)
+        .filter(([, p]) => p.extract)
+        .map(([l, p]) => [l, { url: p.url, text: p.extract }])
+    ),
+  });
+
+  const factsPromise = article?.qid
+    ? cached(caches.facts, [article.qid, prompt.template], () =>
+        extractFacts(article.qid, prompt.template)
+      ).catch(() => ({ value: null, hit: false }))
+    : Promise.resolve({ value: null, hit: false, skipped: true });
+
+  const completion = await cached(
+    caches.llm,
+    [
+      prompt.template,
+      title,
+      prompt.version,
+      llm.name,
+      llm.model,
+      article?.url || null,
+      locales.join(","),
+    ],
+    () => llm.complete(prompt)
+  );
+  cache.llm = completion.hit ? "hit" : "miss";
+
+  const factsResult = await factsPromise;
+  if (!factsResult.skipped) cache.wikidata = factsResult.hit ? "hit" : "miss";
+  const wd = factsResult.value;
+  const wikiUrl = article?.url || null;
+
+  const imageFiles = [
+    ...(wd?.images || []).map((file) => ({ file, from: "wikidata" })),
+    ...(article?.image ? [{ file: article.image, from: "wikipedia" }] : []),
+  ];
+  let images = [];
+  if (imageFiles.length) {
+    const r = await cached(caches.images, imageFiles.map((f) => f.file), () =>
+      imageCandidates(imageFiles)
+    );
+    images = r.value || [];
+    cache.commons = r.hit ? "hit" : "miss";
+  }
+
+  const obj = { ...completion.value };
+  obj.type = type;
+  obj.title = title;
+  obj.href = wikiUrl;
+  obj.image = obj.image || toImagePlaceholder(title);
+  obj.images = images;
+
+  // chat/mock providers do not enforce the JSON schema; missing fields fall back.
+  if (typeof obj.summary !== "string" || obj.summary.length < 20) {
+    obj.summary = fallbackSummary(type);
+  }
+
+  const clean = (t) =>
+    String(t).toLowerCase().replace(/\s+/g, "_").replace(/[^a-z0-9_-]/g, "");
+  const tags = Array.isArray(obj.tags) ? obj.tags.map(clean).filter(Boolean) : [];
+  obj.tags = [...new Set(tags)].slice(0, 6);
+
+  obj.sources = [];
+  if (article?.extract) {
+    obj.sources.push({ kind: "wikipedia", url: article.url, title: article.title });
+  }
+  if (wd?.facts?.length) {
+    obj.sources.push({
+      kind: "wikidata",
+      url: `https://www.wikidata.org/wiki/${wd.meta.wikidataId}`,
+      title: wd.meta.wikidataId,
+    });
+  }
+  obj.unsupported = checkSummary(obj.summary, article?.extract).unsupported;
+
+  if (locales.length) {
+    const translations = {};
+    for (const l of locales) {
+      const t = obj.translations?.[l];
+      if (!t || typeof t !== "object") continue;
+      const page = localePages[l];
+      const entry = {};
+      if (String(t.title || "").trim()) entry.title = String(t.title).trim();
+      if (String(t.summary || "").trim().length >= 20) entry.summary = String(t.summary).trim();
+      if (Array.isArray(t.tags)) entry.tags = [...new Set(t.tags.map(clean))].filter(Boolean).slice(0, 6);
+      if (page?.url) entry.href = page.url;
+      translations[l] = entry;
+
+      if (page?.extract) {
+        obj.sources.push({ kind: "wikipedia", locale: l, url: page.url, title: page.title });
+        if (entry.summary) {
+          const check = checkSummary(entry.summary, page.extract);
+          obj.unsupported.push(...check.unsupported.map((u) => ({ ...u, locale: l })));
+        }
+      }
+    }
+    obj.translations = translations;
+  } else {
+    delete obj.translations;
+  }
+
+  obj.prompt = {
+    template: prompt.template,
+    version: prompt.version,
+    provider: llm.name,
+    model: llm.model,
+  };
+
+  if (wd) {
+    obj.meta = { ...wd.meta };
+    if (wikiUrl) obj.meta.wikipediaUrl = wikiUrl;
+    if (wd.sortYear != null) obj.sortYear = wd.sortYear;
+    obj.facts = wd.facts;
+  }
+
+  if (prompt.template === "person" && wd) {
+    if (typeof wd.meta.birthYear === "number") obj.birthYear = wd.meta.birthYear;
+    obj.deathYear = typeof wd.meta.deathYear === "number" ? wd.meta.deathYear : null;
+  }
+
+  obj.cache = cache;
+  return { result: obj, cache };
+}
+
+module.exports = { runAutofill, toImagePlaceholder };
@@ -0,0 +1,55 @@
+// netlify/lib/cache.js
+// JSON cache with expiry on top of a store (lib/store.js).
+//
+//   const cache = createCache(store, "wikipedia/summary", { ttlSeconds })
+//   await cache.get(parts)          -> value | undefined   (expired = miss)
+//   await cache.set(parts, value)
+//   await cache.remember(parts, fn) -> { value, hit }        fn() on a miss
+//
+// `parts` is any JSON-able key (e.g. [title, type, version]); it is hashed
+// so titles with slashes or odd characters are safe as store keys.
+// null/undefined results are not cached: a failed lookup is retried next time.
+
+const { createHash } = require("node:crypto");
+
+const CACHE_PREFIX = "cache/";
+
+function cacheKey(namespace, parts) {
+  const hash = createHash("sha256").update(JSON.stringify(parts)).digest("hex");
+  return `${CACHE_PREFIX}${namespace}/${hash}.json`;
+}
+
+function createCache(store, namespace, { ttlSeconds = 7 * 24 * 3600 } = {}) {
+  async function get(parts) {
+    let entry;
+    try {
+      entry = JSON.parse(await store.get(cacheKey(namespace, parts)));
+    } catch {
+      return undefined;
+    }
+    if (!entry || typeof entry !== "object") return undefined;
+    if (entry.expiresAt && Date.parse(entry.expiresAt) <= Date.now()) return undefined;
+    return entry.value;
+  }
+
+  async function set(parts, value) {
+    if (value == null) return;
+    await store.setJSON(cacheKey(namespace, parts), {
+      cachedAt: new Date().toISOString(),
+      expiresAt: new Date(Date.now() + ttlSeconds * 1000).toISOString(),
+      value,
+    });
+  }
+
+  async function remember(parts, fn) {
+    const cached = await get(parts);
+    if (cached !== undefined) return { value: cached, hit: true };
+    const value = await fn();
+    await set(parts, value);
+    return { value, hit: false };
+  }
+
+  return { get, set, remember };
+}
+
+module.exports = { createCache };
@@ -0,0 +1,117 @@
+// netlify/lib/commons.js
+// Image candidates from Wikimedia Commons for autofill, with the licence and
+// attribution data a card needs to credit the file.
+//
+// imageCandidates([{ file, from }]) -> [{ file, from, url, thumbUrl, width,
+//   height, mime, author, license, licenseUrl, sourceUrl, attributionRequired }]
+//   file  Commons file name without "File:" (Wikidata P18 value, page image)
+//   from  "wikidata" | "wikipedia", where the file name came from
+//
+// Files that are not on Commons (non-free uploads local to a Wikipedia) and
+// non-image media are left out, so every candidate has a free licence.
+
+const USER_AGENT = "spacesettlement-index/1.0";
+const THUMB_WIDTH = 800;
+const MAX_FILES = 10;
+
+async function getJson(url) {
+  try {
+    const res = await fetch(url, {
+      headers: { "User-Agent": USER_AGENT, Accept: "application/json" },
+    });
+    if (!res.ok) return null;
+    return await res.json();
+  } catch {
+    return null;
+  }
+}
+
+// "Foo_bar.jpg" / "File:Foo bar.jpg" -> "Foo bar.jpg" (Commons page title form)
+function normalizeFileName(name) {
+  return String(name || "")
+    .trim()
+    .replace(/^(File|Image):/i, "")
+    .replace(/_/g, " ");
+}
+
+// upload.wikimedia.org URL of an original or thumbnail -> Commons file name.
+// Local (non-Commons) uploads live under /wikipedia/<lang>/ and give null.
+function fileFromUploadUrl(url) {
+  const m = String(url || "").match(
+    /^https?:\/\/upload\.wikimedia\.org\/wikipedia\/commons\/(?:thumb\/)?[0-9a-f]\/[0-9a-f]{2}\/([^/]+)/
+  );
+  if (!m) return null;
+  try {
+    return normalizeFileName(decodeURIComponent(m[1]));
+  } catch {
+    return null;
+  }
+}
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', "#39": "'", nbsp: " " };
+
+// extmetadata values are HTML snippets ("<a href=…>Jane Doe</a>").
+function plainText(html) {
+  return String(html || "")
+    .replace(/<[^>]*>/g, "")
+    .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, (_, e) => ENTITIES[e])
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function candidateFrom(page, from) {
+  const info = page?.imageinfo?.[0];
+  if (!info || !String(info.mime || "").startsWith("image/")) return null;
+
+  const meta = info.extmetadata || {};
+  const value = (key) => plainText(meta[key]?.value);
+  const license = value("LicenseShortName") || value("UsageTerms");
+  if (!license) return null;
+
+  const licenseUrl = value("LicenseUrl");
+  return {
+    file: normalizeFileName(page.title),
+    from,
+    url: info.url,
+    thumbUrl: info.thumburl || info.url,
+    width: info.width ?? null,
+    height: info.height ?? null,
+    mime: info.mime,
+    author: value("Artist") || value("Credit") || null,
+    license,
+    licenseUrl: /^https?:\/\//.test(licenseUrl) ? licenseUrl : null,
+    sourceUrl: info.descriptionurl || null,
+    attributionRequired: value("AttributionRequired") !== "false",
+  };
+}
+
+async function imageCandidates(files) {
+  const wanted = [];
+  for (const f of Array.isArray(files) ? files : []) {
+    const file = normalizeFileName(f?.file);
+    if (file && !wanted.some((w) => w.file === file)) wanted.push({ file, from: f.from || null });
+  }
+  if (!wanted.length) return [];
+
+  const titles = wanted.slice(0, MAX_FILES).map((w) => `File:${w.file}`);
+  const data = await getJson(
+    "https://commons.wikimedia.org/w/api.php" +
+      "?action=query&format=json&formatversion=2&prop=imageinfo" +
+      `&iiprop=url|size|mime|extmetadata&iiurlwidth=${THUMB_WIDTH}` +
+      "&iiextmetadatafilter=Artist|Credit|LicenseShortName|UsageTerms|LicenseUrl|AttributionRequired" +
+      `&titles=${titles.map(encodeURIComponent).join("|")}`
+  );
+
+  const pages = new Map(
+    (data?.query?.pages || [])
+      .filter((p) => p && !p.missing)
+      .map((p) => [normalizeFileName(p.title), p])
+  );
+
+  // Keep the order asked for: Wikidata's chosen image first.
+  return wanted
+    .map((w) => candidateFrom(pages.get(w.file), w.from))
+    .filter(Boolean);
+}
+
+module.exports = { fileFromUploadUrl, imageCandidates, normalizeFileName };
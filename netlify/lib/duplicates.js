@@ -0,0 +1,154 @@
+// netlify/lib/duplicates.js
+// Likely-duplicate detection for catalogue items.
+//
+// Two items are duplicates when they share any match key:
+//   title   normalized title within the same (canonical) type
+//   href    same link, ignoring scheme, "www.", trailing slash and fragment
+//   qid     meta.wikidataId
+//   olid    meta.openLibraryId
+//   isbn    meta.isbn, ISBN-10 and ISBN-13 compared as ISBN-13
+
+const { canonicalType } = require("./schema");
+const { normalizeText } = require("./query");
+
+function normalizeTitle(title) {
+  return normalizeText(title)
+    .replace(/['’`]/g, "")
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+function normalizeHref(href) {
+  const raw = String(href ?? "").trim();
+  if (!raw) return null;
+  try {
+    const u = new URL(raw);
+    if (u.protocol !== "http:" && u.protocol !== "https:") return null;
+    const host = u.hostname.toLowerCase().replace(/^www\./, "");
+    let p = decodeURIComponent(u.pathname).replace(/\/+$/, "");
+    if (host.endsWith("wikipedia.org")) p = p.replace(/ /g, "_");
+    return `${host}${p}${u.search}`;
+  } catch {
+    return null;
+  }
+}
+
+function normalizeIsbn(isbn) {
+  const s = String(isbn ?? "").replace(/[\s-]/g, "").toUpperCase();
+  if (/^\d{13}$/.test(s)) return s;
+  if (!/^\d{9}[\dX]$/.test(s)) return null;
+
+  const core = `978${s.slice(0, 9)}`;
+  let sum = 0;
+  for (let i = 0; i < 12; i++) sum += Number(core[i]) * (i % 2 ? 3 : 1);
+  return `${core}${(10 - (sum % 10)) % 10}`;
+}
+
+// [{ kind, key }] for one item
+function matchKeys(item) {
+  const keys = [];
+  const meta = item?.meta && typeof item.meta === "object" ? item.meta : {};
+
+  const title = normalizeTitle(item?.title);
+  if (title) keys.push({ kind: "title", key: `title:${canonicalType(item.type) || ""}:${title}` });
+
+  const href = normalizeHref(item?.href);
+  if (href) keys.push({ kind: "href", key: `href:${href}` });
+
+  if (typeof meta.wikidataId === "string" && meta.wikidataId) {
+    keys.push({ kind: "qid", key: `qid:${meta.wikidataId.toUpperCase()}` });
+  }
+  if (typeof meta.openLibraryId === "string" && meta.openLibraryId) {
+    keys.push({ kind: "olid", key: `olid:${meta.openLibraryId.toUpperCase()}` });
+  }
+  const isbn = normalizeIsbn(meta.isbn);
+  if (isbn) keys.push({ kind: "isbn", key: `isbn:${isbn}` });
+
+  return keys;
+}
+
+/**
+ * findDuplicates(items, candidate) -> [{ item, reasons }]
+ * Items with the candidate's own id are ignored (updates).
+ */
+function findDuplicates(items, candidate) {
+  const wanted = new Map(matchKeys(candidate).map((k) => [k.key, k.kind]));
+  if (!wanted.size) return [];
+
+  const found = [];
+  for (const item of items) {
+    if (candidate.id && item.id === candidate.id) continue;
+    const reasons = matchKeys(item)
+      .filter((k) => wanted.has(k.key))
+      .map((k) => k.kind);
+    if (reasons.length) found.push({ item, reasons: [...new Set(reasons)] });
+  }
+  return found;
+}
+
+/**
+ * newMatchKinds(before, after) -> kinds of the match keys only `after` has
+ * (an update that changed title, type, href or an identifier).
+ */
+function newMatchKinds(before, after) {
+  const old = new Set(matchKeys(before).map((k) => k.key));
+  return [...new Set(matchKeys(after).filter((k) => !old.has(k.key)).map((k) => k.kind))];
+}
+
+/**
+ * duplicateClusters(items) -> [{ reasons, items }]
+ * Groups items transitively connected by any shared key (union-find).
+ */
+function duplicateClusters(items) {
+  const parent = items.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const union = (a, b) => {
+    const ra = find(a);
+    const rb = find(b);
+    if (ra !== rb) parent[rb] = ra;
+  };
+
+  const firstByKey = new Map();
+  const reasonsByRoot = new Map();
+  const hits = [];
+
+  items.forEach((item, i) => {
+    for (const { kind, key } of matchKeys(item)) {
+      if (firstByKey.has(key)) {
+        union(firstByKey.get(key), i);
+        hits.push({ i, kind });
+      } else {
+        firstByKey.set(key, i);
+      }
+    }
+  });
+
+  for (const { i, kind } of hits) {
+    const root = find(i);
+    if (!reasonsByRoot.has(root)) reasonsByRoot.set(root, new Set());
+    reasonsByRoot.get(root).add(kind);
+  }
+
+  const groups = new Map();
+  items.forEach((item, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(item);
+  });
+
+  return [...groups.entries()]
+    .filter(([, members]) => members.length > 1)
+    .map(([root, members]) => ({
+      reasons: [...(reasonsByRoot.get(root) || [])].sort(),
+      items: members,
+    }));
+}
+
+module.exports = {
+  duplicateClusters,
+  findDuplicates,
+  newMatchKinds,
+  normalizeHref,
+  normalizeIsbn,
+  normalizeTitle,
+};
@@ -0,0 +1,85 @@
+// netlify/lib/grounding.js
+// Check a generated summary against the source text it was written from.
+//
+// checkSummary(summary, sourceText) -> { sentences, unsupported: [{ sentence, reason }] }
+//
+// Lexical, not semantic: a sentence counts as supported when most of its
+// content words occur in the source and every number in it does. Cheap and
+// predictable; it catches invented names, dates and figures, which is what
+// curators need to look at before publishing.
+
+const { normalizeText } = require("./query");
+
+const MIN_COVERAGE = 0.6;
+
+const STOPWORDS = new Set(
+  (
+    "a an and are as at be been being but by can could did do does for from had has have he her " +
+    "his how in into is it its itself may more most not of on one or other our she such than that " +
+    "the their them then there these they this those through to under was we were what when where " +
+    "which while who whom why will with would also among about after before between during over " +
+    "known well many much very its space settlement settlements"
+  ).split(" ")
+);
+
+function splitSentences(text) {
+  return String(text || "")
+    .replace(/\s+/g, " ")
+    .split(/(?<=[.!?])\s+(?=[A-Z0-9"“(])/)
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+// Plural/possessive endings only; enough for "habitats" vs "habitat".
+function stem(word) {
+  return word.replace(/'s$/, "").replace(/(?<=\w{3})(es|s)$/, "");
+}
+
+function words(text) {
+  return normalizeText(text).match(/[\p{L}\p{N}']+/gu) || [];
+}
+
+function contentWords(text) {
+  return words(text)
+    .filter((w) => w.length > 2 && !STOPWORDS.has(w) && !/^\d+$/.test(w))
+    .map(stem);
+}
+
+function numbers(text) {
+  return String(text || "").match(/\d+(?:[.,]\d+)?/g) || [];
+}
+
+function checkSentence(sentence, sourceWords, sourceNumbers) {
+  const missingNumbers = numbers(sentence).filter((n) => !sourceNumbers.has(n));
+  if (missingNumbers.length) {
+    return `numbers not in source: ${missingNumbers.join(", ")}`;
+  }
+
+  const content = [...new Set(contentWords(sentence))];
+  if (!content.length) return null;
+  const missing = content.filter((w) => !sourceWords.has(w));
+  const coverage = 1 - missing.length / content.length;
+  if (coverage < MIN_COVERAGE) {
+    return `words not in source: ${missing.slice(0, 6).join(", ")}`;
+  }
+  return null;
+}
+
+function checkSummary(summary, sourceText) {
+  const sentences = splitSentences(summary);
+  const hasSource = !!String(sourceText || "").trim();
+  const sourceWords = new Set(contentWords(sourceText));
+  const sourceNumbers = new Set(numbers(sourceText));
+
+  const unsupported = [];
+  for (const sentence of sentences) {
+    const reason = hasSource
+      ? checkSentence(sentence, sourceWords, sourceNumbers)
+      : "no source text";
+    if (reason) unsupported.push({ sentence, reason });
+  }
+
+  return { sentences: sentences.length, unsupported };
+}
+
+module.exports = { checkSummary, splitSentences };
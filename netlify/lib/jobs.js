@@ -0,0 +1,294 @@
+// netlify/lib/jobs.js
+// Batch autofill jobs: a list of { title, type } rows run through the
+// autofill pipeline (lib/autofill.js) with bounded concurrency and retries.
+//
+// A job is one blob, jobs/{id}.json in the autofill store:
+//   { id, status: queued|running|done|failed, mode: drafts|ndjson,
+//     (failed: the job itself broke, or every row failed)
+//     createdBy, createdAt, startedAt, finishedAt, total, succeeded, failed,
+//     rows: [{ index, title, type, page?, skipWikipedia?, locales?, status: pending|ok|failed,
+//              attempts, itemId?, result?, error? }] }
+//
+// mode "drafts" saves each result as a draft item (createDraft callback);
+// mode "ndjson" keeps the results on the job for GET …&format=ndjson.
+// Failed rows carry error = { kind: llm|wikipedia|items|internal, status?, message }.
+
+const { randomUUID } = require("node:crypto");
+const { canonicalType } = require("./schema");
+const { normalizeLocales } = require("./prompts");
+const { LLMResponseError } = require("./llm");
+const { runAutofill } = require("./autofill");
+
+const JOB_PREFIX = "jobs/";
+const MODES = ["drafts", "ndjson"];
+const MAX_CONCURRENCY = 5;
+
+function jobKey(id) {
+  return `${JOB_PREFIX}${id}.json`;
+}
+
+/**
+ * Storage
+ */
+async function readJob(store, id) {
+  if (!/^[0-9a-f-]{36}$/.test(String(id || ""))) return null;
+  try {
+    return JSON.parse(await store.get(jobKey(id)));
+  } catch {
+    return null;
+  }
+}
+
+async function saveJob(store, job) {
+  await store.setJSON(jobKey(job.id), job);
+}
+
+// Job without its rows, for listings.
+function jobSummary(job) {
+  const { rows, ...rest } = job;
+  return rest;
+}
+
+async function listJobs(store, { user } = {}) {
+  const listed = await store.list({ prefix: JOB_PREFIX });
+  const jobs = [];
+  for (const { key } of listed?.blobs || []) {
+    let job;
+    try {
+      job = JSON.parse(await store.get(key));
+    } catch {
+      continue;
+    }
+    if (!job || (user && job.createdBy !== user)) continue;
+    jobs.push(jobSummary(job));
+  }
+  return jobs.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+/**
+ * Creation
+ * parseRows(rows, maxRows) -> { rows } | { errors: [{ field, message }] }
+ */
+function parseRows(input, maxRows) {
+  if (!Array.isArray(input) || !input.length) {
+    return { errors: [{ field: "rows", message: "must be a non-empty array" }] };
+  }
+  if (input.length > maxRows) {
+    return { errors: [{ field: "rows", message: `must have at most ${maxRows} entries` }] };
+  }
+
+  const errors = [];
+  const rows = input.map((r, index) => {
+    const title = String(r?.title ?? "").trim();
+    const type = String(r?.type ?? "").trim();
+    if (!title) errors.push({ field: `rows.${index}.title`, message: "is required" });
+    if (!canonicalType(type)) errors.push({ field: `rows.${index}.type`, message: "is not a known type" });
+
+    const row = { index, title, type, status: "pending", attempts: 0 };
+    if (r?.page) row.page = String(r.page).trim();
+    if (r?.skipWikipedia) row.skipWikipedia = true;
+    const locales = normalizeLocales(r?.locales);
+    if (locales.length) row.locales = locales;
+    return row;
+  });
+
+  return errors.length ? { errors } : { rows };
+}
+
+function newJob({ user, mode, rows }) {
+  return {
+    id: randomUUID(),
+    status: "queued",
+    mode,
+    createdBy: user.username,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    total: rows.length,
+    succeeded: 0,
+    failed: 0,
+    rows,
+  };
+}
+
+/**
+ * Running
+ */
+function errorFrom(e) {
+  if (e instanceof LLMResponseError) {
+    return { kind: "llm", status: e.details?.status ?? null, message: e.message };
+  }
+  // fetch() rejections and AbortSignal timeouts (LLM endpoint unreachable)
+  if (e?.name === "TimeoutError" || e?.name === "AbortError" || e instanceof TypeError) {
+    return { kind: "llm", status: null, message: e.message || String(e) };
+  }
+  return { kind: "internal", status: null, message: e?.message || String(e) };
+}
+
+// Rate limits, upstream 5xx and network trouble are worth another try.
+function retryable(error) {
+  if (error.kind !== "llm") return false;
+  return error.status == null || error.status === 429 || error.status >= 500;
+}
+
+// Autofill answer -> draft item body for POST /items.
+function draftFromResult(result) {
+  const item = {
+    type: result.type,
+    title: result.title,
+    summary: result.summary,
+    tags: result.tags,
+    status: "draft",
+  };
+  // No article (skipWikipedia, offline provider): the draft gets its link in review.
+  if (result.href) item.href = result.href;
+  if (result.meta && Object.keys(result.meta).length) item.meta = result.meta;
+  if (typeof result.sortYear === "number") item.sortYear = result.sortYear;
+  if (result.translations && Object.keys(result.translations).length) {
+    item.translations = result.translations;
+  }
+  return item;
+}
+
+async function runRow(row, { llm, cacheStore, ttlSeconds }) {
+  const out = await runAutofill(
+    {
+      type: row.type,
+      title: row.title,
+      page: row.page,
+      skipWikipedia: row.skipWikipedia,
+      locales: row.locales,
+    },
+    { llm, cacheStore, ttlSeconds, requireArticle: true }
+  );
+  if (out.ambiguous) {
+    return {
+      error: {
+        kind: "wikipedia",
+        status: null,
+        message: "Ambiguous title; set page to one of the candidates",
+        candidates: out.candidates.map((c) => ({
+          title: c.title,
+          description: c.description,
+          qid: c.qid,
+        })),
+      },
+    };
+  }
+  if (out.notFound) {
+    return {
+      error: {
+        kind: "wikipedia",
+        status: 404,
+        message: `No Wikipedia page for "${row.page || row.title}"`,
+      },
+    };
+  }
+  return { result: out.result };
+}
+
+/**
+ * runJob(store, id, { llm, cacheStore, ttlSeconds, concurrency, retries,
+ *                     backoffMs, createDraft })
+ * createDraft(item) -> { id } | { error: { status, message } }
+ */
+async function runJob(store, id, opts) {
+  const job = await readJob(store, id);
+  if (!job) return null;
+  if (job.status !== "queued") return job;
+
+  const concurrency = Math.min(Math.max(opts.concurrency || 3, 1), MAX_CONCURRENCY);
+  const retries = opts.retries ?? 2;
+  const backoffMs = opts.backoffMs ?? 1000;
+
+  job.status = "running";
+  job.startedAt = new Date().toISOString();
+  await saveJob(store, job);
+
+  // Rows finish out of order; saves are chained so they never interleave.
+  let saving = Promise.resolve();
+  const persist = () => {
+    saving = saving.then(() => saveJob(store, job));
+    return saving;
+  };
+
+  async function work(row) {
+    let outcome;
+    for (;;) {
+      row.attempts++;
+      try {
+        outcome = await runRow(row, opts);
+      } catch (e) {
+        outcome = { error: errorFrom(e) };
+      }
+      if (!outcome.error || !retryable(outcome.error) || row.attempts > retries) break;
+      await new Promise((r) => setTimeout(r, backoffMs * 2 ** (row.attempts - 1)));
+    }
+
+    if (outcome.result && job.mode === "drafts") {
+      let saved;
+      try {
+        saved = await opts.createDraft(draftFromResult(outcome.result));
+      } catch (e) {
+        saved = { error: { status: null, message: e?.message || String(e) } };
+      }
+      if (saved.error) outcome = { error: { kind: "items", ...saved.error } };
+      else row.itemId = saved.id;
+    }
+
+    if (outcome.error) {
+      row.status = "failed";
+      row.error = outcome.error;
+      job.failed++;
+    } else {
+      row.status = "ok";
+      if (job.mode === "ndjson") row.result = outcome.result;
+      job.succeeded++;
+    }
+    await persist();
+  }
+
+  const queue = job.rows.filter((r) => r.status === "pending");
+  const workers = Array.from({ length: Math.min(concurrency, queue.length) }, async () => {
+    while (queue.length) await work(queue.shift());
+  });
+
+  try {
+    await Promise.all(workers);
+    if (job.total && job.failed === job.total) {
+      job.status = "failed";
+      job.error = "Every row failed; see rows[].error";
+    } else {
+      job.status = "done";
+    }
+  } catch (e) {
+    job.status = "failed";
+    job.error = e?.message || String(e);
+  }
+  job.finishedAt = new Date().toISOString();
+  await saving;
+  await saveJob(store, job);
+  return job;
+}
+
+// One line per row: { index, title, type, status, itemId?, result?, error? }
+function toNdjson(job) {
+  return job.rows
+    .map(({ index, title, type, status, itemId, result, error }) =>
+      JSON.stringify({ index, title, type, status, itemId, result, error })
+    )
+    .join("\n") + "\n";
+}
+
+module.exports = {
+  MODES,
+  draftFromResult,
+  jobSummary,
+  listJobs,
+  newJob,
+  parseRows,
+  readJob,
+  runJob,
+  saveJob,
+  toNdjson,
+};
@@ -0,0 +1,239 @@
+// netlify/lib/linkcheck.js
+// Link and image health check for the whole catalogue.
+//
+// checkUrl(url) -> { url, status, ok, finalUrl, redirectTo, permanent,
+//                    contentType, error }
+//   Redirects are followed by hand (up to MAX_REDIRECTS) so the chain is
+//   known; HEAD first, GET where a server refuses HEAD.
+//
+// runLinkCheck(itemsStore, healthStore, opts) -> report, saved as
+// linkcheck/report.json in the health store:
+//   { status: running|done|failed, startedAt, finishedAt, startedBy, total,
+//     counts: { broken_link, invalid_link, redirect, missing_image },
+//     items: { [id]: { id, title, checkedAt, href, image, problems } } }
+//   href/image = checkUrl() result (image: null when the item has none)
+//   problems   subset of PROBLEMS; empty when the item is fine
+//
+// 401/403/429 are recorded but not reported as broken: many sites turn bots
+// away, which says nothing about the link itself.
+
+const snapshot = require("./snapshot");
+const { isHttpUrl } = require("./schema");
+const { legacyImagePath } = require("./transfer");
+
+const REPORT_KEY = "linkcheck/report.json";
+const USER_AGENT = "spacesettlement-index/1.0 (link check)";
+const MAX_REDIRECTS = 5;
+const MAX_CONCURRENCY = 8;
+const BLOCKED = [401, 403, 429];
+const PROBLEMS = ["broken_link", "invalid_link", "redirect", "missing_image"];
+
+// A run that has not finished after this long is assumed dead.
+const STALE_RUN_MS = 20 * 60 * 1000;
+
+/**
+ * Storage
+ */
+async function readReport(store) {
+  try {
+    return JSON.parse(await store.get(REPORT_KEY));
+  } catch {
+    return null;
+  }
+}
+
+async function saveReport(store, report) {
+  await store.setJSON(REPORT_KEY, report);
+}
+
+function isRunning(report, now = Date.now()) {
+  return (
+    report?.status === "running" &&
+    now - Date.parse(report.startedAt || "") < STALE_RUN_MS
+  );
+}
+
+// Report with only the items that have problems.
+function problemsOnly(report) {
+  if (!report) return report;
+  const items = Object.fromEntries(
+    Object.entries(report.items || {}).filter(([, r]) => r.problems?.length)
+  );
+  return { ...report, items };
+}
+
+/**
+ * Checking one URL
+ */
+async function request(url, method, timeoutMs) {
+  return fetch(url, {
+    method,
+    redirect: "manual",
+    headers: { "User-Agent": USER_AGENT, Accept: "*/*" },
+    signal: AbortSignal.timeout(timeoutMs),
+  });
+}
+
+async function checkUrl(url, { timeoutMs = 10000 } = {}) {
+  const result = {
+    url,
+    status: null,
+    ok: false,
+    finalUrl: url,
+    redirectTo: null,
+    permanent: false,
+    contentType: null,
+    error: null,
+  };
+
+  let current = url;
+  try {
+    for (let hop = 0; ; hop++) {
+      let res = await request(current, "HEAD", timeoutMs);
+      if (res.status === 405 || res.status === 501 || BLOCKED.includes(res.status)) {
+        res = await request(current, "GET", timeoutMs);
+      }
+      // GET bodies are not needed; let the connection go.
+      res.body?.cancel?.().catch(() => {});
+
+      const location = res.headers.get("location");
+      if (res.status >= 300 && res.status < 400 && location) {
+        if (hop >= MAX_REDIRECTS) {
+          result.error = `more than ${MAX_REDIRECTS} redirects`;
+          break;
+        }
+        if (res.status === 301 || res.status === 308) result.permanent = true;
+        current = new URL(location, current).toString();
+        continue;
+      }
+
+      result.status = res.status;
+      result.ok = res.status < 400;
+      result.contentType = res.headers.get("content-type");
+      break;
+    }
+  } catch (e) {
+    result.error = e?.name === "TimeoutError" ? "timeout" : e?.message || String(e);
+  }
+
+  result.finalUrl = current;
+  if (current !== url) result.redirectTo = current;
+  return result;
+}
+
+function isBroken(r) {
+  return !r.ok && !BLOCKED.includes(r.status);
+}
+
+/**
+ * Checking one item
+ */
+// imageUrl, or the legacy image filename/path; relative paths need the site URL.
+function imageTarget(item, siteUrl) {
+  const raw = String(item.imageUrl || item.image || "").trim();
+  if (!raw) return null;
+  if (isHttpUrl(raw)) return raw;
+  if (!siteUrl) return null;
+  const path = item.imageUrl ? raw : legacyImagePath(item.type, raw);
+  return new URL(path.replace(/^\/+/, ""), siteUrl.replace(/\/?$/, "/")).toString();
+}
+
+async function checkItem(item, check, siteUrl) {
+  const problems = [];
+
+  let href;
+  if (isHttpUrl(item.href)) {
+    href = await check(item.href);
+    if (isBroken(href)) problems.push("broken_link");
+    else if (href.ok && href.permanent) problems.push("redirect");
+  } else {
+    href = { url: item.href ?? null, status: null, ok: false, error: "not an http(s) URL" };
+    problems.push("invalid_link");
+  }
+
+  let image = null;
+  const target = imageTarget(item, siteUrl);
+  if (target) {
+    image = await check(target);
+    const notImage =
+      image.ok && image.contentType && !/^image\//i.test(image.contentType);
+    if (notImage) image = { ...image, error: `not an image (${image.contentType})` };
+    if (isBroken(image) || notImage) problems.push("missing_image");
+  } else if (item.imageUrl || item.image) {
+    image = {
+      url: item.imageUrl || item.image,
+      status: null,
+      ok: false,
+      error: "unchecked (no site URL)",
+    };
+  }
+
+  return {
+    id: item.id,
+    title: item.title,
+    checkedAt: new Date().toISOString(),
+    href,
+    image,
+    problems,
+  };
+}
+
+/**
+ * Whole catalogue
+ * opts: { startedBy, siteUrl, concurrency, timeoutMs }
+ */
+async function runLinkCheck(itemsStore, healthStore, opts = {}) {
+  const concurrency = Math.min(Math.max(opts.concurrency || 4, 1), MAX_CONCURRENCY);
+  const snap = await snapshot.loadSnapshot(itemsStore);
+  const items = snap.items.filter((it) => it.id);
+
+  const report = {
+    status: "running",
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    startedBy: opts.startedBy || null,
+    total: items.length,
+    counts: Object.fromEntries(PROBLEMS.map((p) => [p, 0])),
+    items: {},
+  };
+  await saveReport(healthStore, report);
+
+  // The same URL (shared images, common sites) is fetched once per run.
+  const seen = new Map();
+  const check = (url) => {
+    if (!seen.has(url)) seen.set(url, checkUrl(url, { timeoutMs: opts.timeoutMs }));
+    return seen.get(url);
+  };
+
+  const queue = [...items];
+  const workers = Array.from({ length: Math.min(concurrency, queue.length) }, async () => {
+    while (queue.length) {
+      const item = queue.shift();
+      const record = await checkItem(item, check, opts.siteUrl);
+      report.items[item.id] = record;
+      for (const p of record.problems) report.counts[p]++;
+    }
+  });
+
+  try {
+    await Promise.all(workers);
+    report.status = "done";
+  } catch (e) {
+    report.status = "failed";
+    report.error = e?.message || String(e);
+  }
+  report.finishedAt = new Date().toISOString();
+  await saveReport(healthStore, report);
+  return report;
+}
+
+module.exports = {
+  PROBLEMS,
+  checkItem,
+  checkUrl,
+  isRunning,
+  problemsOnly,
+  readReport,
+  runLinkCheck,
+  saveReport,
+};
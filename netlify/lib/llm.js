@@ -0,0 +1,288 @@
+// netlify/lib/llm.js
+// Structured-output LLM providers for autofill. All three expose:
+//
+//   name, model, offline
+//   complete({ instructions, input, schema, schemaName }) -> object
+//
+// openProvider() picks the provider from LLM_PROVIDER:
+//   openai  (default)  OpenAI Responses API (/responses)
+//   chat               any OpenAI-compatible /chat/completions endpoint
+//   mock               deterministic canned JSON, no network, no key
+//
+// Settings (all optional):
+//   LLM_MODEL            default gpt-4o-mini
+//   LLM_TEMPERATURE      default 0.2
+//   LLM_BASE_URL         default https://api.openai.com/v1
+//   LLM_API_KEY          falls back to OPENAI_API_KEY; "chat" may run without one
+//   LLM_TIMEOUT_MS       default 30000
+//   LLM_RESPONSE_FORMAT  chat only: json_schema (default) | json_object, for
+//                        servers without JSON-schema support
+//   LLM_MOCK_FILE        mock only: JSON file { "<title>": {...}, "*": {...} }
+//                        merged over the generated answer
+
+const fs = require("node:fs");
+
+const DEFAULT_BASE_URL = "https://api.openai.com/v1";
+const DEFAULT_MODEL = "gpt-4o-mini";
+
+class LLMConfigError extends Error {
+  constructor(message, details) {
+    super(message);
+    this.name = "LLMConfigError";
+    this.details = details || {};
+  }
+}
+
+// Upstream answered with an error or with something that is not the JSON asked for.
+class LLMResponseError extends Error {
+  constructor(message, details) {
+    super(message);
+    this.name = "LLMResponseError";
+    this.details = details || {};
+  }
+}
+
+function settings(env) {
+  const temperature = env.LLM_TEMPERATURE == null || env.LLM_TEMPERATURE === ""
+    ? 0.2
+    : Number(env.LLM_TEMPERATURE);
+  if (!Number.isFinite(temperature) || temperature < 0 || temperature > 2) {
+    throw new LLMConfigError("LLM_TEMPERATURE must be a number between 0 and 2");
+  }
+
+  const timeoutMs = env.LLM_TIMEOUT_MS ? Number(env.LLM_TIMEOUT_MS) : 30000;
+  if (!Number.isInteger(timeoutMs) || timeoutMs < 1) {
+    throw new LLMConfigError("LLM_TIMEOUT_MS must be a positive integer");
+  }
+
+  return {
+    model: String(env.LLM_MODEL || DEFAULT_MODEL).trim(),
+    temperature,
+    baseUrl: String(env.LLM_BASE_URL || DEFAULT_BASE_URL).trim().replace(/\/+$/, ""),
+    apiKey: env.LLM_API_KEY || env.OPENAI_API_KEY || "",
+    timeoutMs,
+  };
+}
+
+async function postJson(url, { apiKey, timeoutMs }, payload) {
+  const headers = { "Content-Type": "application/json" };
+  if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+  const res = await fetch(url, {
+    method: "POST",
+    headers,
+    body: JSON.stringify(payload),
+    signal: AbortSignal.timeout(timeoutMs),
+  });
+
+  const raw = await res.text();
+  if (!res.ok) {
+    throw new LLMResponseError(`LLM error ${res.status}: ${raw}`, { status: res.status });
+  }
+  try {
+    return JSON.parse(raw);
+  } catch {
+    throw new LLMResponseError("LLM returned non-JSON", { raw: raw.slice(0, 500) });
+  }
+}
+
+function parseJsonText(s) {
+  if (typeof s !== "string") return null;
+  // Some chat servers wrap JSON in a ```json fence despite being asked not to.
+  const unfenced = s.trim().replace(/^```(?:json)?\s*/i, "").replace(/\s*```$/, "");
+  try {
+    const obj = JSON.parse(unfenced);
+    return obj && typeof obj === "object" ? obj : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * OpenAI Responses API (Structured Outputs / JSON Schema)
+ */
+function extractResponsesJson(data) {
+  const outputs = Array.isArray(data?.output) ? data.output : [];
+
+  for (const out of outputs) {
+    const content = Array.isArray(out?.content) ? out.content : [];
+    for (const c of content) {
+      if (c && c.type === "output_json" && typeof c.json === "object") return c.json;
+      if (c && typeof c.json === "object") return c.json;
+    }
+  }
+
+  for (const out of outputs) {
+    const content = Array.isArray(out?.content) ? out.content : [];
+    for (const c of content) {
+      if ((c?.type === "output_text" || c?.type === "text") && typeof c.text === "string") {
+        const obj = parseJsonText(c.text);
+        if (obj) return obj;
+      }
+    }
+  }
+
+  return parseJsonText(data?.output_text);
+}
+
+function createOpenAIProvider(cfg) {
+  if (!cfg.apiKey) {
+    throw new LLMConfigError("LLM_API_KEY (or OPENAI_API_KEY) missing", { provider: "openai" });
+  }
+
+  return {
+    name: "openai",
+    model: cfg.model,
+    offline: false,
+    async complete({ instructions, input, schema, schemaName }) {
+      const data = await postJson(`${cfg.baseUrl}/responses`, cfg, {
+        model: cfg.model,
+        instructions,
+        input,
+        temperature: cfg.temperature,
+        text: {
+          format: { type: "json_schema", name: schemaName, strict: true, schema },
+        },
+      });
+      const obj = extractResponsesJson(data);
+      if (!obj) throw new LLMResponseError("Could not extract structured JSON");
+      return obj;
+    },
+  };
+}
+
+/**
+ * OpenAI-compatible chat completions (self-hosted servers, proxies, …)
+ */
+function createChatProvider(cfg, responseFormat) {
+  const format = String(responseFormat || "json_schema").trim();
+  if (format !== "json_schema" && format !== "json_object") {
+    throw new LLMConfigError(`Unknown LLM_RESPONSE_FORMAT: ${format}`, {
+      formats: ["json_schema", "json_object"],
+    });
+  }
+
+  return {
+    name: "chat",
+    model: cfg.model,
+    offline: false,
+    async complete({ instructions, input, schema, schemaName }) {
+      const system =
+        format === "json_schema"
+          ? instructions
+          : `${instructions}\nAnswer with one JSON object matching this schema:\n${JSON.stringify(schema)}`;
+
+      const data = await postJson(`${cfg.baseUrl}/chat/completions`, cfg, {
+        model: cfg.model,
+        temperature: cfg.temperature,
+        messages: [
+          { role: "system", content: system },
+          { role: "user", content: input },
+        ],
+        response_format:
+          format === "json_schema"
+            ? { type: "json_schema", json_schema: { name: schemaName, strict: true, schema } }
+            : { type: "json_object" },
+      });
+
+      const obj = parseJsonText(data?.choices?.[0]?.message?.content);
+      if (!obj) throw new LLMResponseError("Could not extract structured JSON");
+      return obj;
+    },
+  };
+}
+
+/**
+ * Mock
+ * Builds an answer that satisfies the schema from the prompt input alone, so
+ * the same request always yields the same JSON.
+ */
+function inputField(input, name) {
+  const m = String(input || "").match(new RegExp(`^${name}: (.*)$`, "m"));
+  return m ? m[1].trim() : "";
+}
+
+function slug(s) {
+  return String(s || "")
+    .toLowerCase()
+    .replace(/['’]/g, "")
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+}
+
+function mockValue(key, spec, ctx) {
+  if (key === "type") return ctx.type || "topic";
+  if (key === "title") return ctx.title || "Untitled";
+  if (key === "href") return "https://example.org/mock";
+  if (key === "image") return `${slug(ctx.title) || "placeholder"}.jpg`;
+  if (key === "summary") {
+    return `Mock summary for ${ctx.title || "this entry"}; generated offline without a language model.`;
+  }
+  if (key === "tags") return ["mock", "space_settlement"];
+
+  if (Array.isArray(spec?.enum)) return spec.enum.includes("unknown") ? "unknown" : spec.enum[0];
+  if (spec?.type === "array") return [];
+  if (spec?.type === "number" || spec?.type === "integer") return 0;
+  if (spec?.type === "boolean") return false;
+  if (spec?.type === "object") {
+    // translations: { de: { title, summary, tags } } -> one entry per locale
+    return Object.fromEntries(
+      Object.entries(spec.properties || {}).map(([k, sub]) => [k, mockValue(k, sub, ctx)])
+    );
+  }
+  return "mock";
+}
+
+function readMockFile(file) {
+  if (!file) return {};
+  try {
+    const obj = JSON.parse(fs.readFileSync(file, "utf8"));
+    return obj && typeof obj === "object" ? obj : {};
+  } catch (e) {
+    throw new LLMConfigError(`Cannot read LLM_MOCK_FILE: ${e.message}`, { file });
+  }
+}
+
+function createMockProvider(mockFile) {
+  const canned = readMockFile(mockFile);
+
+  return {
+    name: "mock",
+    model: "mock",
+    offline: true,
+    async complete({ input, schema }) {
+      const ctx = { type: inputField(input, "type"), title: inputField(input, "title") };
+      const out = {};
+      for (const [key, spec] of Object.entries(schema?.properties || {})) {
+        out[key] = mockValue(key, spec, ctx);
+      }
+      return { ...out, ...(canned["*"] || {}), ...(canned[ctx.title] || {}) };
+    },
+  };
+}
+
+/**
+ * Selection
+ */
+function openProvider(env = process.env) {
+  const name = String(env.LLM_PROVIDER || "openai").trim().toLowerCase();
+  const cfg = settings(env);
+
+  if (name === "openai") return createOpenAIProvider(cfg);
+  if (name === "chat") return createChatProvider(cfg, env.LLM_RESPONSE_FORMAT);
+  if (name === "mock") return createMockProvider(env.LLM_MOCK_FILE);
+
+  throw new LLMConfigError(`Unknown LLM_PROVIDER: ${name}`, {
+    providers: ["openai", "chat", "mock"],
+  });
+}
+
+module.exports = {
+  LLMConfigError,
+  LLMResponseError,
+  createChatProvider,
+  createMockProvider,
+  createOpenAIProvider,
+  extractResponsesJson,
+  openProvider,
+};
@@ -0,0 +1,267 @@
+// netlify/lib/prompts.js
+// Autofill prompt + output schema per item type.
+//
+// renderPrompt({ type, title, current, source, locales, localeSources })
+//   -> { template, version, schemaName, instructions, input, schema }
+//
+// source = { url, text } is the Wikipedia lead the summary must stick to.
+// locales = ["de", …] asks for translations (title, summary, tags) in the
+// same answer; localeSources = { de: { url, text } } are the leads of those
+// language editions, used as the source for the translated summaries.
+//
+// Every template carries its own version. Changing a template's wording or
+// schema means bumping that version; fixtures in netlify/lib/fixtures/prompts
+// hold the expected rendering per type and scripts/check-prompts.js fails
+// when a rendering changes without a bump (or a bump without new fixtures).
+
+const { canonicalType } = require("./schema");
+
+const TAG_PATTERN = "^[a-z0-9][a-z0-9_-]*$";
+const IMAGE_PATTERN = "^[a-z0-9][a-z0-9_]*\\.jpg$";
+
+/**
+ * Templates
+ * `questions` are what the summary has to answer; `extra` adds type-specific
+ * properties to the output schema.
+ */
+const TEMPLATES = {
+  person: {
+    version: 3,
+    noun: "person",
+    questions: [
+      "Why is the person recognized among scientists, engineers or writers?",
+      "What is their contribution to space settlement?",
+    ],
+    rules: ["Do NOT include birthYear or deathYear; the server adds them from Wikidata."],
+    fallback:
+      "Recognition: not established from provided context. Contribution to space settlement: not established from provided context.",
+  },
+  book: {
+    version: 3,
+    noun: "book",
+    questions: [
+      "What is the book's central thesis or story?",
+      "How has it influenced thinking about space settlement?",
+    ],
+    rules: [
+      "Do NOT include publication year, authors, publisher or ISBN; the server adds year and authors from Wikidata, and curators enter the rest.",
+    ],
+    fallback:
+      "Thesis: not established from provided context. Influence on space settlement: not established from provided context.",
+  },
+  movie: {
+    version: 2,
+    noun: "film",
+    questions: [
+      "What is the film about?",
+      "How does it portray or shape ideas of space settlement?",
+    ],
+    rules: ["Do not retell the plot in detail."],
+    fallback:
+      "Subject: not established from provided context. Relation to space settlement: not established from provided context.",
+  },
+  project: {
+    version: 2,
+    noun: "project",
+    questions: [
+      "What are the project's goals?",
+      "What is its current status (proposed, active, completed or cancelled)?",
+    ],
+    rules: ["projectStatus: pick \"unknown\" unless the status is well documented."],
+    extra: {
+      projectStatus: {
+        type: "string",
+        enum: ["proposed", "active", "completed", "cancelled", "unknown"],
+      },
+    },
+    fallback:
+      "Goals: not established from provided context. Status: not established from provided context.",
+  },
+  org: {
+    version: 2,
+    noun: "organization",
+    questions: [
+      "What is the organization's mission?",
+      "Which of its programs relate to space settlement?",
+    ],
+    rules: ["Name programs only if they are well documented."],
+    fallback:
+      "Mission: not established from provided context. Programs: not established from provided context.",
+  },
+  concept: {
+    version: 2,
+    noun: "concept",
+    questions: [
+      "What is the core idea?",
+      "Why does it matter for space settlement?",
+    ],
+    rules: ["Explain the idea, not its history."],
+    fallback:
+      "Core idea: not established from provided context. Relevance: not established from provided context.",
+  },
+  topic: {
+    version: 2,
+    noun: "topic",
+    questions: [
+      "What does the topic cover?",
+      "Why is it relevant to space settlement?",
+    ],
+    rules: [],
+    fallback:
+      "Scope: not established from provided context. Relevance: not established from provided context.",
+  },
+};
+
+const DEFAULT_TEMPLATE = "topic";
+
+// English is the untranslated content; these are named in the instructions.
+const LANGUAGE_NAMES = {
+  de: "German",
+  fr: "French",
+  es: "Spanish",
+  it: "Italian",
+  nl: "Dutch",
+  pt: "Portuguese",
+  pl: "Polish",
+  ja: "Japanese",
+  zh: "Chinese",
+  ru: "Russian",
+};
+
+function languageName(locale) {
+  return LANGUAGE_NAMES[locale] || locale;
+}
+
+// Requested locales, English and duplicates removed, in request order.
+function normalizeLocales(locales) {
+  const out = [];
+  for (const l of Array.isArray(locales) ? locales : []) {
+    const code = String(l || "").trim().toLowerCase();
+    if (/^[a-z]{2,3}$/.test(code) && code !== "en" && !out.includes(code)) out.push(code);
+  }
+  return out;
+}
+
+function templateFor(type) {
+  const name = TEMPLATES[canonicalType(type)] ? canonicalType(type) : DEFAULT_TEMPLATE;
+  return { name, ...TEMPLATES[name] };
+}
+
+/**
+ * Rendering
+ */
+function translationSchema(locales) {
+  const entry = {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+      title: { type: "string", minLength: 1 },
+      summary: { type: "string", minLength: 20, maxLength: 320 },
+      tags: {
+        type: "array",
+        minItems: 2,
+        maxItems: 6,
+        items: { type: "string", minLength: 2, maxLength: 24, pattern: TAG_PATTERN },
+      },
+    },
+    required: ["title", "summary", "tags"],
+  };
+  return {
+    type: "object",
+    additionalProperties: false,
+    properties: Object.fromEntries(locales.map((l) => [l, entry])),
+    required: locales,
+  };
+}
+
+function schemaFor(template, locales = []) {
+  const extra = { ...(template.extra || {}) };
+  if (locales.length) extra.translations = translationSchema(locales);
+  return {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+      type: { type: "string", minLength: 1 },
+      title: { type: "string", minLength: 1 },
+      href: { type: "string", minLength: 1 },
+      image: { type: "string", pattern: IMAGE_PATTERN },
+      summary: { type: "string", minLength: 20, maxLength: 280 },
+      tags: {
+        type: "array",
+        minItems: 2,
+        maxItems: 6,
+        items: { type: "string", minLength: 2, maxLength: 24, pattern: TAG_PATTERN },
+      },
+      ...extra,
+    },
+    required: ["type", "title", "href", "image", "summary", "tags", ...Object.keys(extra)],
+  };
+}
+
+function translationInstructions(locales) {
+  if (!locales.length) return [];
+  return [
+    `- translations: the same entry in ${locales.map(languageName).join(", ")}, keyed by language code:`,
+    "  title as the name is usually written in that language; summary written in",
+    "  that language, same facts and questions as the English one, taken from that",
+    "  language's source if given, otherwise from the English source; tags as",
+    "  lowercase slugs in that language (ASCII only, transliterate umlauts/accents).",
+  ];
+}
+
+function instructionsFor(template, locales = []) {
+  return [
+    `You help fill entries about a ${template.noun} for a space-settlement index.`,
+    "Be factual and neutral. Do not invent facts.",
+    "- href may be a placeholder; server overwrites it.",
+    "- image: lowercase placeholder filename from title.",
+    "- Summary: English, short, answer:",
+    ...template.questions.map((q, i) => `  (${i + 1}) ${q}`),
+    "  If something is not known, say so instead of guessing.",
+    "- Use only facts stated in the source text, if one is given; every summary",
+    "  sentence must be traceable to it. Without a source, stay general.",
+    "- Tags: 2–6 lowercase slug tags.",
+    ...template.rules.map((r) => `- ${r}`),
+    ...translationInstructions(locales),
+  ].join("\n");
+}
+
+function renderPrompt({ type, title, current, source, locales, localeSources } = {}) {
+  const template = templateFor(type);
+  const wanted = normalizeLocales(locales);
+  const sourceBlock = source?.text
+    ? `source (${source.url || "unknown"}):\n${source.text}\n`
+    : "source: none\n";
+  const localeBlocks = wanted
+    .filter((l) => localeSources?.[l]?.text)
+    .map((l) => `source ${l} (${localeSources[l].url || "unknown"}):\n${localeSources[l].text}\n`)
+    .join("");
+  return {
+    template: template.name,
+    version: template.version,
+    schemaName:
+      `autofill_${template.name}_v${template.version}` + wanted.map((l) => `_${l}`).join(""),
+    instructions: instructionsFor(template, wanted),
+    input:
+      `type: ${type}\n` +
+      `title: ${title}\n` +
+      (wanted.length ? `locales: ${wanted.join(", ")}\n` : "") +
+      `current:\n${JSON.stringify(current || {}, null, 2)}\n` +
+      sourceBlock +
+      localeBlocks,
+    schema: schemaFor(template, wanted),
+  };
+}
+
+// Summary used when the model returns something too short to be useful.
+function fallbackSummary(type) {
+  return templateFor(type).fallback;
+}
+
+module.exports = {
+  TEMPLATES,
+  fallbackSummary,
+  normalizeLocales,
+  renderPrompt,
+  templateFor,
+};
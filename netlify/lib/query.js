@@ -0,0 +1,533 @@
+// netlify/lib/query.js
+// Filtering, full-text search, sorting and cursor pagination for GET /items.
+//
+// Query parameters:
+//   type       person|people|book|books|…   (aliases resolve to one type)
+//   tag        tag, case- and accent-insensitive, in any language; several
+//              comma-separated tags must all match
+//   match      all (default) | any — with several tags, any one is enough
+//   q          ranked full-text search, see "Search" below
+//   yearFrom   sortYear >= yearFrom
+//   yearTo     sortYear <= yearTo
+//   relatedTo  items with a relation whose target is this id
+//   status     draft|in_review|published|archived|scheduled (authenticated callers)
+//   lang       language of the tagCounts labels (default: the English tags)
+//   sort       created (default) | updated | title | year | relevance;
+//              "-" reverses all but relevance
+//   limit      page size (1–500); omitted = everything
+//   cursor     opaque value from a previous response's nextCursor
+
+const { canonicalType, TYPE_ALIASES } = require("./schema");
+const { STATUSES, isScheduled, statusOf } = require("./workflow");
+
+const MAX_LIMIT = 500;
+
+function normalizeText(s) {
+  return String(s ?? "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/\p{Diacritic}/gu, "");
+}
+
+function parseYear(v) {
+  if (v == null || v === "") return null;
+  const n = Number(v);
+  return Number.isInteger(n) ? n : NaN;
+}
+
+/**
+ * sortYear
+ * Stored items rarely carry sortYear; derive it from the type's meta.
+ */
+const YEAR_FIELDS = {
+  person: ["birthYear"],
+  project: ["startYear"],
+  org: ["foundedYear"],
+  book: ["publishedYear"],
+  movie: ["releaseYear"],
+};
+
+function effectiveSortYear(item) {
+  if (typeof item?.sortYear === "number") return item.sortYear;
+  const meta = item?.meta && typeof item.meta === "object" ? item.meta : {};
+  for (const f of YEAR_FIELDS[canonicalType(item?.type)] || []) {
+    if (Number.isInteger(meta[f])) return meta[f];
+  }
+  return null;
+}
+
+
+/**
+ * Parsing
+ */
+const SORTS = ["created", "updated", "title", "year", "relevance"];
+const MATCHES = ["all", "any"];
+
+function parseQuery(params) {
+  const p = params || {};
+  const errors = [];
+
+  const type = p.type ? canonicalType(p.type) : null;
+  if (p.type && p.type !== "all" && !type) {
+    errors.push({ field: "type", message: `must be one of ${Object.keys(TYPE_ALIASES).join(", ")}` });
+  }
+
+  const match = p.match ? String(p.match) : "all";
+  if (!MATCHES.includes(match)) {
+    errors.push({ field: "match", message: `must be one of ${MATCHES.join(", ")}` });
+  }
+
+  const yearFrom = parseYear(p.yearFrom);
+  const yearTo = parseYear(p.yearTo);
+  if (Number.isNaN(yearFrom)) errors.push({ field: "yearFrom", message: "must be a whole year" });
+  if (Number.isNaN(yearTo)) errors.push({ field: "yearTo", message: "must be a whole year" });
+
+  const status = p.status ? String(p.status) : null;
+  if (status && status !== "scheduled" && !STATUSES.includes(status)) {
+    errors.push({ field: "status", message: `must be one of ${[...STATUSES, "scheduled"].join(", ")}` });
+  }
+
+  const rawSort = String(p.sort || "created");
+  const desc = rawSort.startsWith("-");
+  const sort = desc ? rawSort.slice(1) : rawSort;
+  if (!SORTS.includes(sort) || rawSort === "-relevance") {
+    errors.push({
+      field: "sort",
+      message: `must be one of ${SORTS.join(", ")} (all but relevance optionally prefixed with -)`,
+    });
+  }
+
+  let limit = null;
+  if (p.limit != null && p.limit !== "") {
+    limit = Number(p.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      errors.push({ field: "limit", message: `must be between 1 and ${MAX_LIMIT}` });
+    }
+  }
+
+  let after = null;
+  if (p.cursor) {
+    after = decodeCursor(p.cursor);
+    if (!after || after.sort !== rawSort) {
+      errors.push({ field: "cursor", message: "is invalid or belongs to a different sort" });
+    }
+  }
+
+  return {
+    errors,
+    query: {
+      type,
+      tags: [...new Set(String(p.tag || "").split(",").map(tagKey).filter(Boolean))],
+      match,
+      search: parseSearch(p.q),
+      yearFrom: Number.isNaN(yearFrom) ? null : yearFrom,
+      yearTo: Number.isNaN(yearTo) ? null : yearTo,
+      relatedTo: p.relatedTo ? String(p.relatedTo) : null,
+      status,
+      lang: p.lang ? String(p.lang).toLowerCase() : null,
+      sort: rawSort,
+      limit,
+      after,
+    },
+  };
+}
+
+/**
+ * Cursor: base64url JSON of the last returned item's sort key.
+ */
+function encodeCursor(sort, key) {
+  return Buffer.from(JSON.stringify({ sort, key })).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  try {
+    const obj = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    return obj && typeof obj.sort === "string" && Array.isArray(obj.key) ? obj : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Search (q)
+ * Each item is indexed per field in every language, so "Zylinder" finds the
+ * item too. A query is parsed into words, "quoted phrases", -negations and the
+ * operators type:, tag: and year:; every word must match some field, exactly,
+ * as a prefix or within a small edit distance, and the best field's weight
+ * counts towards the relevance score.
+ */
+const SEARCH_WEIGHTS = { title: 8, tags: 5, summary: 2, meta: 1 };
+
+function listOf(value) {
+  return Array.isArray(value) ? value : [];
+}
+
+function translationsOf(item) {
+  const t = item.translations && typeof item.translations === "object" ? item.translations : {};
+  return Object.values(t).filter((x) => x && typeof x === "object");
+}
+
+// Tags compare case- and accent-insensitively ("Habitats" = "habitats").
+function tagKey(tag) {
+  return normalizeText(tag).trim();
+}
+
+function tokenize(s) {
+  return normalizeText(s).replace(/['’]/g, "").match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+// Meta values only (strings, numbers, arrays, nested objects), not keys.
+function metaValues(value) {
+  if (value == null) return [];
+  if (Array.isArray(value)) return value.flatMap(metaValues);
+  if (typeof value === "object") return Object.values(value).flatMap(metaValues);
+  return [String(value)];
+}
+
+function searchIndex(item) {
+  const translations = translationsOf(item);
+  const fields = {
+    title: [item.title, ...translations.map((t) => t.title)],
+    tags: [...listOf(item.tags), ...translations.flatMap((t) => listOf(t.tags))],
+    summary: [item.summary, ...translations.map((t) => t.summary)],
+    meta: metaValues(item.meta),
+  };
+
+  const index = {};
+  Object.entries(fields).forEach(([field, values]) => {
+    const tokenLists = values.filter((v) => v != null && v !== "").map(tokenize);
+    index[field] = {
+      tokens: [...new Set(tokenLists.flat())],
+      // token sequences for phrases; "|" keeps values apart
+      text: ` ${tokenLists.map((t) => t.join(" ")).join(" | ")} `,
+    };
+  });
+  return index;
+}
+
+// Optimal string alignment distance, giving up once it exceeds `max`.
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev2 = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        row[j] = Math.min(row[j], prev2[j - 2] + 1);
+      }
+      best = Math.min(best, row[j]);
+    }
+    if (best > max) return max + 1;
+    prev2 = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// 1 exact, .75 prefix ("habit" → habitats), .5 typo ("oneil" → oneill), 0 none.
+function termQuality(term, token) {
+  if (token === term) return 1;
+  if (term.length >= 2 && token.startsWith(term)) return 0.75;
+  const max = term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+  return max && editDistance(term, token, max) <= max ? 0.5 : 0;
+}
+
+function bestQuality(term, tokens) {
+  let best = 0;
+  for (const token of tokens) {
+    best = Math.max(best, termQuality(term, token));
+    if (best === 1) break;
+  }
+  return best;
+}
+
+// value -> operator argument, or null when the value makes no sense
+const SEARCH_OPERATORS = {
+  type: (v) => canonicalType(v),
+  tag: (v) => tagKey(v) || null,
+  // year:1969, year:1950..1980, year:1950.., year:..1980
+  year: (v) => {
+    const m = String(v).match(/^(\d{1,4})?(?:(\.\.)(\d{1,4})?)?$/);
+    if (!m || (m[1] == null && m[3] == null)) return null;
+    const from = m[1] != null ? Number(m[1]) : -Infinity;
+    const to = m[3] != null ? Number(m[3]) : m[2] ? Infinity : from;
+    return { from, to };
+  },
+};
+
+function parseSearch(raw) {
+  const search = { terms: [], phrases: [], filters: [] };
+  const re = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+  let m;
+  while ((m = re.exec(String(raw || "")))) {
+    const negate = m[1] === "-";
+    const quoted = m[3] != null;
+    let value = quoted ? m[3] : m[4];
+    const op = m[2]?.toLowerCase();
+
+    if (op && SEARCH_OPERATORS[op]) {
+      const arg = SEARCH_OPERATORS[op](value);
+      if (arg != null) search.filters.push({ op, arg, negate });
+      continue;
+    }
+    if (m[2]) value = `${m[2]} ${value}`; // "re:entry" is just text
+
+    const tokens = tokenize(value);
+    if (quoted && tokens.length > 1) search.phrases.push({ tokens, negate });
+    else tokens.forEach((text) => search.terms.push({ text, negate }));
+  }
+
+  search.words = [
+    ...search.terms.filter((t) => !t.negate).map((t) => t.text),
+    ...search.phrases.filter((p) => !p.negate).flatMap((p) => p.tokens),
+  ];
+  return search;
+}
+
+function passesOperators(item, filters) {
+  const test = {
+    type: (type) => canonicalType(item.type) === type,
+    tag: (key) => allTagKeys(item).includes(key),
+    year: ({ from, to }) => {
+      const y = effectiveSortYear(item);
+      return y != null && y >= from && y <= to;
+    },
+  };
+
+  // an item has one type, so several type: filters mean "any of these"
+  const types = filters.filter((f) => f.op === "type" && !f.negate);
+  if (types.length && !types.some((f) => test.type(f.arg))) return false;
+
+  return filters
+    .filter((f) => f.negate || f.op !== "type")
+    .every((f) => test[f.op](f.arg) !== f.negate);
+}
+
+// -> relevance score (0 without search words), or null when the item does not match
+function scoreItem(item, search) {
+  if (!passesOperators(item, search.filters)) return null;
+  if (!search.terms.length && !search.phrases.length) return 0;
+
+  const index = searchIndex(item);
+  const fields = Object.keys(SEARCH_WEIGHTS);
+  let score = 0;
+
+  for (const { text, negate } of search.terms) {
+    let best = 0;
+    for (const f of fields) {
+      best = Math.max(best, SEARCH_WEIGHTS[f] * bestQuality(text, index[f].tokens));
+    }
+    if (negate) {
+      // no typo tolerance when excluding
+      if (fields.some((f) => bestQuality(text, index[f].tokens) >= 0.75)) return null;
+    } else if (!best) {
+      return null;
+    } else {
+      score += best;
+    }
+  }
+
+  for (const { tokens, negate } of search.phrases) {
+    const phrase = ` ${tokens.join(" ")} `;
+    const hits = fields.filter((f) => index[f].text.includes(phrase));
+    if (negate ? hits.length : !hits.length) return null;
+    if (!negate) score += tokens.length * Math.max(...hits.map((f) => SEARCH_WEIGHTS[f]));
+  }
+
+  // the whole query is the title
+  if (search.words.length && `|${index.title.text}|`.includes(`| ${search.words.join(" ")} |`)) {
+    score += SEARCH_WEIGHTS.title * 2;
+  }
+  return score;
+}
+
+/**
+ * Matching
+ */
+// Every tag in every language (links are shared across languages).
+function allTagKeys(item) {
+  return [listOf(item.tags), ...translationsOf(item).map((t) => listOf(t.tags))]
+    .flat()
+    .map(tagKey);
+}
+
+function passesTags(item, query) {
+  if (!query.tags.length) return true;
+  const have = allTagKeys(item);
+  const hit = (key) => have.includes(key);
+  return query.match === "any" ? query.tags.some(hit) : query.tags.every(hit);
+}
+
+// Everything but type and tag -> relevance score, or null when the item does not match.
+function baseScore(item, query) {
+  if (query.status === "scheduled") {
+    if (!isScheduled(item)) return null;
+  } else if (query.status && statusOf(item) !== query.status) {
+    return null;
+  }
+
+  if (query.yearFrom != null || query.yearTo != null) {
+    const y = effectiveSortYear(item);
+    if (y == null) return null;
+    if (query.yearFrom != null && y < query.yearFrom) return null;
+    if (query.yearTo != null && y > query.yearTo) return null;
+  }
+
+  if (query.relatedTo && !listOf(item.relations).some((r) => r?.target === query.relatedTo)) {
+    return null;
+  }
+
+  return scoreItem(item, query.search);
+}
+
+/**
+ * Tag counts
+ * Labels as shown in `lang`: the translation's tags where it has any, the
+ * English ones otherwise. Active tags are always included.
+ */
+const MAX_TAG_COUNTS = 100;
+
+function tagsIn(item, lang) {
+  const t = item.translations && typeof item.translations === "object" ? item.translations : {};
+  const translated =
+    lang && Object.prototype.hasOwnProperty.call(t, lang) ? listOf(t[lang]?.tags) : [];
+  return translated.length ? translated : listOf(item.tags);
+}
+
+function countTags(counts, tags) {
+  const seen = new Set();
+  tags.forEach((tag) => {
+    const key = tagKey(tag);
+    if (!key || seen.has(key)) return;
+    seen.add(key);
+    const entry = counts.get(key);
+    if (entry) entry.n++;
+    else counts.set(key, { tag: String(tag).trim(), n: 1 });
+  });
+}
+
+function topTags(counts, active) {
+  return [...counts]
+    .sort(([, a], [, b]) => b.n - a.n || a.tag.localeCompare(b.tag))
+    .filter(([key], i) => i < MAX_TAG_COUNTS || active.includes(key))
+    .map(([, entry]) => entry);
+}
+
+/**
+ * Sorting
+ * Keys are arrays compared element-wise; the id is the final tie-breaker so
+ * the order is total and cursors are stable.
+ */
+function yearKey(item) {
+  const y = effectiveSortYear(item);
+  // undated items last, then by title
+  return [y == null ? 1 : 0, y == null ? 0 : y, normalizeText(item.title), String(item.id || "")];
+}
+
+function sortKey(item, sort, score) {
+  const base = sort.replace(/^-/, "");
+  const id = String(item.id || "");
+  if (base === "title") return [normalizeText(item.title), id];
+  if (base === "updated") return [String(item.updatedAt || item.createdAt || ""), id];
+  if (base === "year") return yearKey(item);
+  // best match first, newest first among equals
+  if (base === "relevance") return [score, ...yearKey(item)];
+  return [String(item.createdAt || ""), id];
+}
+
+function compareKeys(a, b) {
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    if (a[i] === b[i]) continue;
+    if (typeof a[i] === "number" && typeof b[i] === "number") return a[i] - b[i];
+    return String(a[i]).localeCompare(String(b[i]));
+  }
+  return 0;
+}
+
+// Undated always last; `dir` orders the years, equal years go by title A→Z.
+function compareYearKeys(a, b, dir) {
+  return a[0] - b[0] || dir * (a[1] - b[1]) || compareKeys(a.slice(2), b.slice(2));
+}
+
+// created/updated/year read "newest first" by default, title reads A→Z.
+function directionFor(sort) {
+  const base = sort.replace(/^-/, "");
+  const newestFirst = base !== "title";
+  const reversed = sort.startsWith("-");
+  return newestFirst !== reversed ? -1 : 1;
+}
+
+function comparatorFor(sort) {
+  const dir = directionFor(sort);
+  const base = sort.replace(/^-/, "");
+  if (base === "year") return (a, b) => compareYearKeys(a, b, dir);
+  if (base === "relevance") return (a, b) => b[0] - a[0] || compareYearKeys(a.slice(1), b.slice(1), -1);
+  return (a, b) => dir * compareKeys(a, b);
+}
+
+/**
+ * runQuery(items, query) -> { items, total, counts, tagCounts, nextCursor }
+ * counts are per canonical type over items matching everything but `type`.
+ * tagCounts ([{ tag, n }], most frequent first) count the results' tags; with
+ * match=any each further tag widens the results, so they count the results
+ * before tag filtering.
+ */
+function runQuery(items, query) {
+  const counts = { all: 0 };
+  for (const t of new Set(Object.values(TYPE_ALIASES))) counts[t] = 0;
+  const tagCounts = new Map(); // key -> { tag, n }
+
+  const matched = [];
+  for (const item of items) {
+    const score = baseScore(item, query);
+    if (score == null) continue;
+    const t = canonicalType(item.type);
+    const typeOk = !query.type || t === query.type;
+    const tagsOk = passesTags(item, query);
+
+    if (tagsOk) {
+      counts.all++;
+      if (t) counts[t]++;
+    }
+    if (typeOk && (tagsOk || query.match === "any")) countTags(tagCounts, tagsIn(item, query.lang));
+    if (typeOk && tagsOk) matched.push({ item, key: sortKey(item, query.sort, score) });
+  }
+
+  const cmp = comparatorFor(query.sort);
+  const keyed = matched.sort((a, b) => cmp(a.key, b.key));
+
+  let start = 0;
+  if (query.after) {
+    start = keyed.findIndex((k) => cmp(k.key, query.after.key) > 0);
+    if (start < 0) start = keyed.length;
+  }
+
+  const end = query.limit ? start + query.limit : keyed.length;
+  const page = keyed.slice(start, end);
+  const nextCursor =
+    end < keyed.length && page.length
+      ? encodeCursor(query.sort, page[page.length - 1].key)
+      : null;
+
+  return {
+    items: page.map(({ item }) => {
+      const sortYear = effectiveSortYear(item);
+      return sortYear != null && item.sortYear == null ? { ...item, sortYear } : item;
+    }),
+    total: keyed.length,
+    counts,
+    tagCounts: topTags(tagCounts, query.tags),
+    nextCursor,
+  };
+}
+
+module.exports = {
+  effectiveSortYear,
+  normalizeText,
+  parseQuery,
+  runQuery,
+};
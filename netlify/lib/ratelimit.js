@@ -0,0 +1,105 @@
+// netlify/lib/ratelimit.js
+// Fixed-window request counters kept in a store (lib/store.js).
+//
+// hit(store, { scope, id, limit, windowSeconds, cost? })
+//   -> { ok, remaining, retryAfter }   retryAfter in seconds when !ok
+//   cost (default 1) is charged all at once or not at all (batch jobs).
+// hitAll(store, [check, …]) charges several limits, or none (see below).
+// refund(store, charged) gives back what a hitAll() charged (work that never ran).
+//
+// One blob per scope/id/window: ratelimit/{scope}/{id}/{windowStart}.json.
+// Blobs has no atomic increment, so concurrent requests can undercount by a
+// few; good enough to stop a leaked URL from draining the API budget.
+
+const WINDOW_PREFIX = "ratelimit/";
+
+function clientIp(event) {
+  const h = event.headers || {};
+  const get = (name) => {
+    const key = Object.keys(h).find((k) => k.toLowerCase() === name);
+    return key ? String(h[key]) : "";
+  };
+  const forwarded = get("x-forwarded-for").split(",")[0].trim();
+  return get("x-nf-client-connection-ip") || forwarded || get("client-ip") || "unknown";
+}
+
+// "." too: ids end up as path segments of the key (fs store).
+function safeId(id) {
+  return String(id).replace(/[^A-Za-z0-9_:-]/g, "_").slice(0, 80) || "unknown";
+}
+
+function windowOf({ scope, id, windowSeconds }, now) {
+  const windowMs = windowSeconds * 1000;
+  const windowStart = Math.floor(now / windowMs) * windowMs;
+  const prefix = `${WINDOW_PREFIX}${scope}/${safeId(id)}/`;
+  return {
+    key: `${prefix}${windowStart}.json`,
+    previousKey: `${prefix}${windowStart - windowMs}.json`,
+    windowStart,
+    retryAfter: Math.ceil((windowStart + windowMs - now) / 1000),
+  };
+}
+
+async function readCount(store, key) {
+  try {
+    return Number(JSON.parse(await store.get(key))?.count) || 0;
+  } catch {
+    return 0;
+  }
+}
+
+/**
+ * hitAll(store, checks) -> { ok, scope, remaining, retryAfter }
+ * Every check is read first; counters are charged only when all of them
+ * have room, so a request one limit rejects costs nothing on the others.
+ * scope/remaining/retryAfter describe the first exhausted check when !ok;
+ * charged ([{ key, cost }]) is what refund() takes back.
+ */
+async function hitAll(store, checks) {
+  const now = Date.now();
+  const windows = [];
+  for (const check of checks) {
+    const cost = check.cost ?? 1;
+    const w = windowOf(check, now);
+    const count = await readCount(store, w.key);
+    if (count + cost > check.limit) {
+      return {
+        ok: false,
+        scope: check.scope,
+        remaining: Math.max(0, check.limit - count),
+        retryAfter: w.retryAfter,
+      };
+    }
+    windows.push({ ...w, count, cost, limit: check.limit });
+  }
+
+  let remaining = Infinity;
+  const charged = [];
+  for (const w of windows) {
+    // First hit of a new window: the previous one is no longer needed.
+    if (w.count === 0) await store.delete(w.previousKey);
+    await store.setJSON(w.key, {
+      count: w.count + w.cost,
+      windowStart: new Date(w.windowStart).toISOString(),
+    });
+    remaining = Math.min(remaining, w.limit - w.count - w.cost);
+    charged.push({ key: w.key, cost: w.cost });
+  }
+  return { ok: true, scope: null, remaining, retryAfter: 0, charged };
+}
+
+async function refund(store, charged) {
+  for (const { key, cost } of charged || []) {
+    const count = await readCount(store, key);
+    if (!count) continue;
+    const raw = JSON.parse(await store.get(key));
+    await store.setJSON(key, { ...raw, count: Math.max(0, count - cost) });
+  }
+}
+
+async function hit(store, check) {
+  const { ok, remaining, retryAfter } = await hitAll(store, [check]);
+  return { ok, remaining, retryAfter };
+}
+
+module.exports = { clientIp, hit, hitAll, refund };
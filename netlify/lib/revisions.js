@@ -0,0 +1,153 @@
+// netlify/lib/revisions.js
+// Revision history and trash for catalogue items.
+//
+// Layout in the store:
+//   items/{id}.json                 current version (public)
+//   history/{id}/{version}.json     every superseded version, version zero-padded
+//   trash/{id}.json                 soft-deleted item (carries deletedAt)
+//
+// Writers call saveRevision(previous) before overwriting or trashing an item.
+
+const HISTORY_PREFIX = "history/";
+const TRASH_PREFIX = "trash/";
+
+const DEFAULT_RETENTION_DAYS = 30;
+
+function parseJson(raw) {
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
+
+function historyKey(id, version) {
+  return `${HISTORY_PREFIX}${id}/${String(version).padStart(6, "0")}.json`;
+}
+
+function trashKey(id) {
+  return `${TRASH_PREFIX}${id}.json`;
+}
+
+function versionOf(item) {
+  return Number.isInteger(item?.version) && item.version > 0 ? item.version : 1;
+}
+
+/**
+ * History
+ */
+async function saveRevision(store, item) {
+  if (!item?.id) return;
+  const { _key, ...rest } = item;
+  await store.setJSON(historyKey(item.id, versionOf(item)), rest);
+}
+
+async function readRevision(store, id, version) {
+  return parseJson(await store.get(historyKey(id, version)));
+}
+
+// Newest first. Only metadata; fetch a revision for its content.
+async function listRevisions(store, id) {
+  const listed = await store.list({ prefix: `${HISTORY_PREFIX}${id}/` });
+  const revs = await Promise.all(
+    (listed?.blobs || []).map(async (b) => {
+      const rev = parseJson(await store.get(b.key));
+      if (!rev) return null;
+      return {
+        version: versionOf(rev),
+        title: rev.title || "",
+        updatedAt: rev.updatedAt || rev.createdAt || null,
+        deletedAt: rev.deletedAt || null,
+      };
+    })
+  );
+  return revs.filter(Boolean).sort((a, b) => b.version - a.version);
+}
+
+async function deleteHistory(store, id) {
+  const listed = await store.list({ prefix: `${HISTORY_PREFIX}${id}/` });
+  await Promise.all((listed?.blobs || []).map((b) => store.delete(b.key)));
+}
+
+/**
+ * Diff
+ * Compares top-level fields, and meta one level deep ("meta.birthYear").
+ * Bookkeeping fields (version, timestamps) are left out.
+ */
+const DIFF_IGNORE = new Set(["version", "createdAt", "updatedAt", "deletedAt", "_key"]);
+
+function flatten(item) {
+  const out = {};
+  for (const [k, v] of Object.entries(item || {})) {
+    if (DIFF_IGNORE.has(k)) continue;
+    if (k === "meta" && v && typeof v === "object" && !Array.isArray(v)) {
+      for (const [mk, mv] of Object.entries(v)) out[`meta.${mk}`] = mv;
+    } else {
+      out[k] = v;
+    }
+  }
+  return out;
+}
+
+function diffItems(from, to) {
+  const a = flatten(from);
+  const b = flatten(to);
+  const fields = [...new Set([...Object.keys(a), ...Object.keys(b)])].sort();
+
+  return fields
+    .filter((f) => JSON.stringify(a[f] ?? null) !== JSON.stringify(b[f] ?? null))
+    .map((f) => ({ field: f, from: a[f] ?? null, to: b[f] ?? null }));
+}
+
+/**
+ * Trash
+ */
+async function readTrashed(store, id) {
+  return parseJson(await store.get(trashKey(id)));
+}
+
+async function listTrash(store) {
+  const listed = await store.list({ prefix: TRASH_PREFIX });
+  const items = await Promise.all(
+    (listed?.blobs || []).map(async (b) => parseJson(await store.get(b.key)))
+  );
+  return items
+    .filter(Boolean)
+    .sort((a, b) => String(b.deletedAt || "").localeCompare(String(a.deletedAt || "")));
+}
+
+function retentionDays() {
+  const n = parseInt(process.env.TRASH_RETENTION_DAYS || "", 10);
+  return Number.isFinite(n) && n >= 0 ? n : DEFAULT_RETENTION_DAYS;
+}
+
+// Permanently removes trashed items (and their history) older than the
+// retention period. Returns the purged ids.
+async function purgeTrash(store, now = Date.now()) {
+  const cutoff = now - retentionDays() * 24 * 60 * 60 * 1000;
+  const purged = [];
+
+  for (const item of await listTrash(store)) {
+    const deletedAt = Date.parse(item.deletedAt || "");
+    if (!Number.isFinite(deletedAt) || deletedAt > cutoff) continue;
+
+    await deleteHistory(store, item.id);
+    await store.delete(trashKey(item.id));
+    purged.push(item.id);
+  }
+
+  return purged;
+}
+
+module.exports = {
+  diffItems,
+  listRevisions,
+  listTrash,
+  purgeTrash,
+  readRevision,
+  readTrashed,
+  retentionDays,
+  saveRevision,
+  trashKey,
+};
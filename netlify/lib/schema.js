@@ -0,0 +1,374 @@
+// netlify/lib/schema.js
+// Shared item schema: known types, per-type meta shape, validation.
+//
+// validateItem(item) -> { ok, errors: [{ field, message }] }
+// Field paths use dot notation ("meta.birthYear", "tags.2") so the editor
+// can map each error onto its input.
+
+const { STATUSES } = require("./workflow");
+
+/**
+ * Types
+ * Singular and plural spellings are both in use (editor vs. library chips).
+ */
+const TYPE_ALIASES = {
+  person: "person",
+  people: "person",
+  project: "project",
+  projects: "project",
+  org: "org",
+  orgs: "org",
+  topic: "topic",
+  topics: "topic",
+  concept: "concept",
+  concepts: "concept",
+  book: "book",
+  books: "book",
+  movie: "movie",
+  movies: "movie",
+};
+
+function canonicalType(type) {
+  return TYPE_ALIASES[String(type ?? "").trim().toLowerCase()] || null;
+}
+
+/**
+ * Field kinds
+ * Each checker returns an error message, or null when the value is fine.
+ */
+const MAX_YEAR = new Date().getUTCFullYear() + 50;
+
+// imageAttribution: credit for a third-party image (Wikimedia Commons).
+const ATTRIBUTION_FIELDS = ["file", "author", "license", "licenseUrl", "sourceUrl"];
+
+// Item ids as stored (UUIDs, or legacy ids from data/items.json).
+const ITEM_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+function isNonEmptyString(v) {
+  return typeof v === "string" && v.trim().length > 0;
+}
+
+function isHttpUrl(v) {
+  if (!isNonEmptyString(v)) return false;
+  try {
+    const u = new URL(v);
+    return u.protocol === "http:" || u.protocol === "https:";
+  } catch {
+    return false;
+  }
+}
+
+function isbnOk(raw) {
+  const s = String(raw).replace(/[\s-]/g, "").toUpperCase();
+  if (/^\d{9}[\dX]$/.test(s)) {
+    let sum = 0;
+    for (let i = 0; i < 10; i++) {
+      const d = s[i] === "X" ? 10 : Number(s[i]);
+      sum += d * (10 - i);
+    }
+    return sum % 11 === 0;
+  }
+  if (/^\d{13}$/.test(s)) {
+    let sum = 0;
+    for (let i = 0; i < 13; i++) sum += Number(s[i]) * (i % 2 ? 3 : 1);
+    return sum % 10 === 0;
+  }
+  return false;
+}
+
+const KINDS = {
+  string: (v) => (isNonEmptyString(v) ? null : "must be a non-empty string"),
+  text: (v) => (typeof v === "string" ? null : "must be a string"),
+  url: (v) => (isHttpUrl(v) ? null : "must be an http(s) URL"),
+  year: (v) =>
+    Number.isInteger(v) && v >= -10000 && v <= MAX_YEAR
+      ? null
+      : `must be a whole year up to ${MAX_YEAR}`,
+  stringList: (v) =>
+    Array.isArray(v) && v.every(isNonEmptyString)
+      ? null
+      : "must be a list of non-empty strings",
+  isbn: (v) => (isNonEmptyString(v) && isbnOk(v) ? null : "must be a valid ISBN-10 or ISBN-13"),
+  qid: (v) => (typeof v === "string" && /^Q\d+$/.test(v) ? null : "must be a Wikidata id like Q42"),
+  status: (v) => (STATUSES.includes(v) ? null : `must be one of ${STATUSES.join(", ")}`),
+  datetime: (v) =>
+    typeof v === "string" && Number.isFinite(Date.parse(v)) ? null : "must be an ISO date/time",
+  language: (v) =>
+    typeof v === "string" && /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/.test(v)
+      ? null
+      : "must be a language code like en or de",
+  attribution: (v) => {
+    if (!v || typeof v !== "object" || Array.isArray(v)) return "must be an object";
+    const unknown = Object.keys(v).filter((k) => !ATTRIBUTION_FIELDS.includes(k));
+    if (unknown.length) return `has unknown fields: ${unknown.join(", ")}`;
+    if (!isNonEmptyString(v.license)) return "needs a license";
+    if (!isHttpUrl(v.sourceUrl)) return "needs sourceUrl, the file's http(s) page";
+    if (v.licenseUrl != null && !isHttpUrl(v.licenseUrl)) return "licenseUrl must be an http(s) URL";
+    if (v.author != null && typeof v.author !== "string") return "author must be a string";
+    if (v.file != null && typeof v.file !== "string") return "file must be a string";
+    return null;
+  },
+};
+
+/**
+ * Top-level fields (type-independent)
+ * draftOptional: may be missing while status is "draft" (batch autofill
+ * drafts without a Wikipedia article); required again to leave draft.
+ */
+const ITEM_FIELDS = {
+  type: { kind: "string", required: true },
+  title: { kind: "string", required: true },
+  href: { kind: "url", required: true, draftOptional: true },
+  image: { kind: "text" },
+  imageUrl: { kind: "text" },
+  imageAttribution: { kind: "attribution" },
+  summary: { kind: "text", maxLength: 1000 },
+  tags: { kind: "stringList" },
+  sortYear: { kind: "year" },
+  status: { kind: "status" },
+  publishAt: { kind: "datetime" },
+  meta: { kind: "meta" },
+  translations: { kind: "translations" },
+  relations: { kind: "relations" },
+};
+
+/**
+ * Translations
+ * The top-level title/summary/tags/href are the English (default) content;
+ * translations.{locale} overrides any of them for another language, e.g.
+ * { de: { title, summary, tags, href } }. Missing fields fall back to English.
+ */
+const DEFAULT_LOCALE = "en";
+
+const TRANSLATION_FIELDS = {
+  title: { kind: "string" },
+  summary: { kind: "text", maxLength: 1000 },
+  tags: { kind: "stringList" },
+  href: { kind: "url" },
+};
+
+/**
+ * Relations
+ * Typed links to other items, read "<this item> <type> <target>":
+ * [{ type: "authored", target: "<id of The High Frontier>" }] on O'Neill.
+ * Only the shape is checked here; items.js checks that targets exist.
+ */
+const RELATION_TYPES = ["authored", "founded", "member_of", "inspired", "part_of"];
+
+/**
+ * Meta shape per canonical type
+ * `order` lists [earlier, later] pairs that must not be reversed.
+ */
+const COMMON_META = {
+  wikidataId: "qid",
+  wikipediaUrl: "url",
+};
+
+const META_SCHEMAS = {
+  person: {
+    fields: {
+      birthYear: "year",
+      deathYear: "year",
+      nationality: "stringList",
+      affiliations: "stringList",
+      fields: "stringList",
+      roles: "stringList",
+      activeStartYear: "year",
+      activeEndYear: "year",
+    },
+    order: [
+      ["birthYear", "deathYear"],
+      ["activeStartYear", "activeEndYear"],
+      ["birthYear", "activeStartYear"],
+    ],
+  },
+  project: {
+    fields: { startYear: "year", endYear: "year", operator: "string" },
+    order: [["startYear", "endYear"]],
+  },
+  org: {
+    fields: { foundedYear: "year", dissolvedYear: "year", headquarters: "string" },
+    order: [["foundedYear", "dissolvedYear"]],
+  },
+  topic: { fields: {}, order: [] },
+  concept: { fields: {}, order: [] },
+  book: {
+    fields: {
+      authors: "stringList",
+      publishedYear: "year",
+      publisher: "string",
+      isbn: "isbn",
+      language: "language",
+      openLibraryId: "string",
+    },
+    order: [],
+  },
+  movie: {
+    fields: { releaseYear: "year", directors: "stringList" },
+    order: [],
+  },
+};
+
+function validateMeta(type, meta, errors) {
+  if (meta == null) return;
+  if (typeof meta !== "object" || Array.isArray(meta)) {
+    errors.push({ field: "meta", message: "must be an object or null" });
+    return;
+  }
+
+  const schema = META_SCHEMAS[type];
+  if (!schema) return; // type error already reported
+  const fields = { ...COMMON_META, ...schema.fields };
+
+  for (const [key, value] of Object.entries(meta)) {
+    const kind = fields[key];
+    if (!kind) {
+      errors.push({ field: `meta.${key}`, message: `is not a known field for type ${type}` });
+      continue;
+    }
+    if (value == null) continue;
+    const msg = KINDS[kind](value);
+    if (msg) errors.push({ field: `meta.${key}`, message: msg });
+  }
+
+  for (const [a, b] of schema.order) {
+    const va = meta[a];
+    const vb = meta[b];
+    if (Number.isInteger(va) && Number.isInteger(vb) && va > vb) {
+      errors.push({ field: `meta.${b}`, message: `must not be before ${a} (${va})` });
+    }
+  }
+}
+
+function validateTranslations(translations, errors) {
+  if (translations == null) return;
+  if (typeof translations !== "object" || Array.isArray(translations)) {
+    errors.push({ field: "translations", message: "must be an object keyed by language code" });
+    return;
+  }
+
+  for (const [locale, fields] of Object.entries(translations)) {
+    const base = `translations.${locale}`;
+    if (KINDS.language(locale) || locale === DEFAULT_LOCALE) {
+      errors.push({
+        field: base,
+        message: `must be keyed by a language code other than ${DEFAULT_LOCALE}`,
+      });
+      continue;
+    }
+    if (!fields || typeof fields !== "object" || Array.isArray(fields)) {
+      errors.push({ field: base, message: "must be an object" });
+      continue;
+    }
+
+    for (const [key, value] of Object.entries(fields)) {
+      const spec = TRANSLATION_FIELDS[key];
+      if (!spec) {
+        errors.push({ field: `${base}.${key}`, message: "is not a translatable field" });
+        continue;
+      }
+      if (value == null || value === "") continue;
+      const msg = KINDS[spec.kind](value);
+      if (msg) {
+        errors.push({ field: `${base}.${key}`, message: msg });
+      } else if (spec.maxLength && value.length > spec.maxLength) {
+        errors.push({
+          field: `${base}.${key}`,
+          message: `must be at most ${spec.maxLength} characters`,
+        });
+      }
+    }
+  }
+}
+
+function validateRelations(relations, errors) {
+  if (relations == null) return;
+  if (!Array.isArray(relations)) {
+    errors.push({ field: "relations", message: "must be a list of { type, target }" });
+    return;
+  }
+
+  const seen = new Map(); // "type target" -> index
+  relations.forEach((r, i) => {
+    const base = `relations.${i}`;
+    if (!r || typeof r !== "object" || Array.isArray(r)) {
+      errors.push({ field: base, message: "must be an object with type and target" });
+      return;
+    }
+    const unknown = Object.keys(r).filter((k) => k !== "type" && k !== "target");
+    if (unknown.length) {
+      errors.push({ field: base, message: `has unknown fields: ${unknown.join(", ")}` });
+    }
+    if (!RELATION_TYPES.includes(r.type)) {
+      errors.push({ field: `${base}.type`, message: `must be one of ${RELATION_TYPES.join(", ")}` });
+    }
+    if (typeof r.target !== "string" || !ITEM_ID_PATTERN.test(r.target)) {
+      errors.push({ field: `${base}.target`, message: "must be an item id" });
+      return;
+    }
+
+    const key = `${r.type} ${r.target}`;
+    if (seen.has(key)) {
+      errors.push({ field: base, message: `repeats relations.${seen.get(key)}` });
+    } else {
+      seen.set(key, i);
+    }
+  });
+}
+
+function validateItem(item) {
+  const errors = [];
+
+  if (!item || typeof item !== "object" || Array.isArray(item)) {
+    return { ok: false, errors: [{ field: "", message: "item must be a JSON object" }] };
+  }
+
+  for (const [key, spec] of Object.entries(ITEM_FIELDS)) {
+    const value = item[key];
+    if (value == null || value === "") {
+      const required = spec.required && !(spec.draftOptional && item.status === "draft");
+      if (required) errors.push({ field: key, message: "is required" });
+      continue;
+    }
+    if (spec.kind === "meta" || spec.kind === "translations" || spec.kind === "relations") {
+      continue;
+    }
+
+    const msg = KINDS[spec.kind](value);
+    if (msg) {
+      errors.push({ field: key, message: msg });
+    } else if (spec.maxLength && value.length > spec.maxLength) {
+      errors.push({ field: key, message: `must be at most ${spec.maxLength} characters` });
+    }
+  }
+
+  for (const key of Object.keys(item)) {
+    if (!ITEM_FIELDS[key]) errors.push({ field: key, message: "is not a known field" });
+  }
+
+  const type = canonicalType(item.type);
+  if (isNonEmptyString(item.type) && !type) {
+    errors.push({
+      field: "type",
+      message: `must be one of ${Object.keys(TYPE_ALIASES).join(", ")}`,
+    });
+  }
+
+  validateMeta(type, item.meta, errors);
+  validateTranslations(item.translations, errors);
+  validateRelations(item.relations, errors);
+
+  return { ok: errors.length === 0, errors };
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  ITEM_ID_PATTERN,
+  RELATION_TYPES,
+  TRANSLATION_FIELDS,
+  TYPE_ALIASES,
+  META_SCHEMAS,
+  canonicalType,
+  isHttpUrl,
+  validateItem,
+};
@@ -0,0 +1,87 @@
+// netlify/lib/snapshot.js
+// Materialized index: one blob holding every item, so GET /items is a single
+// read instead of list + one get per item.
+//
+// Writers call upsertEntry/removeEntry after touching items/{id}.json.
+// Updates are read-modify-write, so concurrent writers can drift the snapshot;
+// rebuildSnapshot() regenerates it from the individual item blobs.
+
+const { createHash } = require("node:crypto");
+
+const SNAPSHOT_KEY = "index/items.json";
+const ITEM_PREFIX = "items/";
+
+function parseJson(raw) {
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
+
+async function readSnapshot(store) {
+  const snap = parseJson(await store.get(SNAPSHOT_KEY));
+  return snap && Array.isArray(snap.items) ? snap : null;
+}
+
+async function writeSnapshot(store, items) {
+  const snap = {
+    generatedAt: new Date().toISOString(),
+    count: items.length,
+    items,
+  };
+  await store.setJSON(SNAPSHOT_KEY, snap);
+  return snap;
+}
+
+async function rebuildSnapshot(store) {
+  const listed = await store.list({ prefix: ITEM_PREFIX });
+  const blobs = listed?.blobs || [];
+
+  const items = (
+    await Promise.all(
+      blobs.map(async (b) => {
+        const obj = parseJson(await store.get(b.key));
+        return obj ? { ...obj, _key: b.key } : null;
+      })
+    )
+  ).filter(Boolean);
+
+  return writeSnapshot(store, items);
+}
+
+// Missing snapshot (first run, or after a manual wipe) -> rebuild on demand.
+async function loadSnapshot(store) {
+  return (await readSnapshot(store)) || rebuildSnapshot(store);
+}
+
+async function upsertEntry(store, key, item) {
+  const snap = await loadSnapshot(store);
+  const entry = { ...item, _key: key };
+  const items = snap.items.filter((it) => it._key !== key);
+  items.push(entry);
+  return writeSnapshot(store, items);
+}
+
+async function removeEntry(store, key) {
+  const snap = await loadSnapshot(store);
+  return writeSnapshot(
+    store,
+    snap.items.filter((it) => it._key !== key)
+  );
+}
+
+// Strong validator for a response body (byte-exact).
+function strongEtag(body) {
+  return `"${createHash("sha256").update(body).digest("base64url").slice(0, 27)}"`;
+}
+
+module.exports = {
+  SNAPSHOT_KEY,
+  loadSnapshot,
+  rebuildSnapshot,
+  removeEntry,
+  strongEtag,
+  upsertEntry,
+};
@@ -0,0 +1,220 @@
+// netlify/lib/store.js
+// Storage backends for the items API. All three expose the same interface:
+//
+//   list({ prefix }) -> { blobs: [{ key }] }   sorted by key
+//   get(key)         -> string | null
+//   set(key, string)
+//   setJSON(key, value)
+//   delete(key)                                 no-op if missing
+//
+// openStore(name) picks the backend from ITEMS_STORE:
+//   blobs  (default)  Netlify Blobs, needs BLOBS_SITE_ID + BLOBS_TOKEN
+//   fs                JSON files under ITEMS_STORE_DIR (default .data/<name>)
+//   memory            process-local Map, for tests
+//
+// The fs backend can additionally read/write the repo's seed file
+// (ITEMS_SEED_FILE, default data/items.json) via readSeed()/writeSeed().
+
+const fs = require("node:fs/promises");
+const path = require("node:path");
+
+class StoreConfigError extends Error {
+  constructor(message, details) {
+    super(message);
+    this.name = "StoreConfigError";
+    this.details = details || {};
+  }
+}
+
+function byKey(a, b) {
+  return a.key < b.key ? -1 : a.key > b.key ? 1 : 0;
+}
+
+/**
+ * Netlify Blobs
+ */
+function createBlobsStore(name) {
+  if (!process.env.BLOBS_SITE_ID || !process.env.BLOBS_TOKEN) {
+    throw new StoreConfigError("Missing BLOBS_SITE_ID or BLOBS_TOKEN", {
+      hasSiteId: !!process.env.BLOBS_SITE_ID,
+      hasToken: !!process.env.BLOBS_TOKEN,
+    });
+  }
+
+  // Required lazily so the fs/memory backends work without the package.
+  const { getStore } = require("@netlify/blobs");
+  const blobs = getStore({
+    name,
+    siteID: process.env.BLOBS_SITE_ID,
+    token: process.env.BLOBS_TOKEN,
+  });
+
+  return {
+    kind: "blobs",
+    async list({ prefix = "" } = {}) {
+      const listed = await blobs.list({ prefix });
+      const keys = (listed?.blobs || []).map((b) => ({ key: b.key }));
+      return { blobs: keys.sort(byKey) };
+    },
+    async get(key) {
+      const raw = await blobs.get(key);
+      return raw == null ? null : raw;
+    },
+    async set(key, value) {
+      await blobs.set(key, String(value));
+    },
+    async setJSON(key, value) {
+      await blobs.setJSON(key, value);
+    },
+    async delete(key) {
+      await blobs.delete(key);
+    },
+  };
+}
+
+/**
+ * Local filesystem
+ * Keys map to relative paths; "." / ".." / empty segments are rejected.
+ */
+function keyToPath(dir, key) {
+  const parts = String(key).split("/");
+  if (parts.some((p) => !p || p === "." || p === "..")) {
+    throw new Error(`Invalid store key: ${key}`);
+  }
+  return path.join(dir, ...parts);
+}
+
+async function walk(dir, rel = "") {
+  let entries;
+  try {
+    entries = await fs.readdir(path.join(dir, rel), { withFileTypes: true });
+  } catch (e) {
+    if (e.code === "ENOENT") return [];
+    throw e;
+  }
+
+  const keys = [];
+  for (const e of entries) {
+    const key = rel ? `${rel}/${e.name}` : e.name;
+    if (e.isDirectory()) keys.push(...(await walk(dir, key)));
+    else if (e.isFile() && !e.name.endsWith(".tmp")) keys.push(key);
+  }
+  return keys;
+}
+
+async function writeFileAtomic(file, data) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, data, "utf8");
+  await fs.rename(tmp, file);
+}
+
+function createFsStore(name, options = {}) {
+  const dir = path.resolve(options.dir || path.join(".data", name));
+  const seedFile = path.resolve(options.seedFile || path.join("data", "items.json"));
+
+  return {
+    kind: "fs",
+    dir,
+    seedFile,
+    async list({ prefix = "" } = {}) {
+      const keys = (await walk(dir)).filter((k) => k.startsWith(prefix));
+      return { blobs: keys.map((key) => ({ key })).sort(byKey) };
+    },
+    async get(key) {
+      try {
+        return await fs.readFile(keyToPath(dir, key), "utf8");
+      } catch (e) {
+        if (e.code === "ENOENT") return null;
+        throw e;
+      }
+    },
+    async set(key, value) {
+      await writeFileAtomic(keyToPath(dir, key), String(value));
+    },
+    async setJSON(key, value) {
+      await writeFileAtomic(keyToPath(dir, key), JSON.stringify(value));
+    },
+    async delete(key) {
+      await fs.rm(keyToPath(dir, key), { force: true });
+    },
+
+    // Seed file: a plain JSON array, pretty-printed like the checked-in one.
+    async readSeed() {
+      try {
+        const parsed = JSON.parse(await fs.readFile(seedFile, "utf8"));
+        return Array.isArray(parsed) ? parsed : [];
+      } catch (e) {
+        if (e.code === "ENOENT") return [];
+        throw e;
+      }
+    },
+    async writeSeed(items) {
+      await writeFileAtomic(seedFile, JSON.stringify(items, null, 2) + "\n");
+    },
+  };
+}
+
+/**
+ * In-memory
+ * Stores with the same name share one Map for the life of the process.
+ */
+const memoryMaps = new Map();
+
+function createMemoryStore(name = "default") {
+  if (!memoryMaps.has(name)) memoryMaps.set(name, new Map());
+  const map = memoryMaps.get(name);
+
+  return {
+    kind: "memory",
+    async list({ prefix = "" } = {}) {
+      const keys = [...map.keys()].filter((k) => k.startsWith(prefix));
+      return { blobs: keys.map((key) => ({ key })).sort(byKey) };
+    },
+    async get(key) {
+      return map.has(key) ? map.get(key) : null;
+    },
+    async set(key, value) {
+      map.set(key, String(value));
+    },
+    async setJSON(key, value) {
+      map.set(key, JSON.stringify(value));
+    },
+    async delete(key) {
+      map.delete(key);
+    },
+  };
+}
+
+function resetMemoryStores() {
+  memoryMaps.clear();
+}
+
+/**
+ * Selection
+ */
+function openStore(name) {
+  const backend = String(process.env.ITEMS_STORE || "blobs").trim().toLowerCase();
+
+  if (backend === "blobs") return createBlobsStore(name);
+  if (backend === "memory") return createMemoryStore(name);
+  if (backend === "fs") {
+    return createFsStore(name, {
+      dir: process.env.ITEMS_STORE_DIR ? path.join(process.env.ITEMS_STORE_DIR, name) : undefined,
+      seedFile: process.env.ITEMS_SEED_FILE,
+    });
+  }
+
+  throw new StoreConfigError(`Unknown ITEMS_STORE backend: ${backend}`, {
+    backends: ["blobs", "fs", "memory"],
+  });
+}
+
+module.exports = {
+  StoreConfigError,
+  createBlobsStore,
+  createFsStore,
+  createMemoryStore,
+  openStore,
+  resetMemoryStores,
+};
@@ -0,0 +1,213 @@
+// netlify/lib/transfer.js
+// Bulk import/export of the catalogue.
+//
+// Import accepts a JSON array, { items: [...] }, a single object, or NDJSON.
+// Rows in the legacy data/items.json shape are migrated the same way
+// assets/js/app.js reads them (normalizeItem / getPeopleYears /
+// resolveImagePath):
+//   type "person"                -> "people" (plural is the current spelling)
+//   top-level birthYear/deathYear -> meta.birthYear / meta.deathYear
+//   image "x.jpg" / relative path -> imageUrl (assets/img/cards/<folder>/x.jpg)
+//   tags / meta / translations / imageAttribution / relations as JSON
+//   strings -> parsed
+//
+// Export renders items as json, ndjson or csv.
+
+const { createHash } = require("node:crypto");
+const { canonicalType } = require("./schema");
+
+/**
+ * Parsing
+ */
+function parseImportBody(body) {
+  const raw = String(body ?? "").trim();
+  if (!raw) return { rows: [], error: "Empty body" };
+
+  if (raw.startsWith("[") || raw.startsWith("{")) {
+    try {
+      const parsed = JSON.parse(raw);
+      if (Array.isArray(parsed)) return { rows: parsed };
+      if (parsed && Array.isArray(parsed.items)) return { rows: parsed.items };
+      if (parsed && typeof parsed === "object") return { rows: [parsed] };
+    } catch {
+      // not a single JSON document -> try NDJSON below
+    }
+  }
+
+  const rows = [];
+  const lines = raw.split(/\r?\n/);
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line) continue;
+    try {
+      rows.push(JSON.parse(line));
+    } catch {
+      return { rows: [], error: `Invalid NDJSON on line ${i + 1}` };
+    }
+  }
+  return { rows };
+}
+
+/**
+ * Legacy migration
+ */
+const PLURAL_TYPES = {
+  person: "people",
+  project: "projects",
+  org: "orgs",
+  topic: "topics",
+  concept: "concepts",
+  book: "books",
+  movie: "movies",
+};
+
+function normalizeTags(tags) {
+  if (Array.isArray(tags)) return tags.map((t) => String(t).trim()).filter(Boolean);
+  if (typeof tags === "string") {
+    const t = tags.trim();
+    if (!t) return [];
+    try {
+      const parsed = JSON.parse(t);
+      if (Array.isArray(parsed)) return parsed.map((x) => String(x).trim()).filter(Boolean);
+    } catch {}
+    return t.split(",").map((x) => x.trim()).filter(Boolean);
+  }
+  return [];
+}
+
+function parseMeta(meta) {
+  if (meta == null) return null;
+  if (typeof meta === "object") return meta;
+  if (typeof meta !== "string") return null;
+  try {
+    return JSON.parse(meta);
+  } catch {
+    return null;
+  }
+}
+
+function toInt(v) {
+  if (typeof v === "number") return Number.isInteger(v) ? v : null;
+  const n = parseInt(String(v ?? ""), 10);
+  return Number.isFinite(n) ? n : null;
+}
+
+function isLikelyUrlOrPath(s) {
+  const v = String(s || "").trim();
+  return !!v && (v.includes("/") || v.startsWith("http://") || v.startsWith("https://"));
+}
+
+function legacyImagePath(type, image) {
+  const img = String(image ?? "").trim();
+  if (!img) return "";
+  if (isLikelyUrlOrPath(img)) return img;
+  const folder = PLURAL_TYPES[canonicalType(type)];
+  return folder ? `assets/img/cards/${folder}/${img}` : `assets/img/cards/${img}`;
+}
+
+// Stable id for rows without one, so re-importing the seed updates in place.
+function legacyId(type, title) {
+  const h = createHash("sha1")
+    .update(`${canonicalType(type) || type}|${String(title ?? "").trim().toLowerCase()}`)
+    .digest("hex");
+  return `${h.slice(0, 8)}-${h.slice(8, 12)}-5${h.slice(13, 16)}-a${h.slice(17, 20)}-${h.slice(20, 32)}`;
+}
+
+function migrateLegacy(row) {
+  const it = { ...row };
+  const canonical = canonicalType(it.type);
+  if (canonical) it.type = PLURAL_TYPES[canonical];
+
+  it.tags = normalizeTags(it.tags);
+
+  let meta = parseMeta(it.meta);
+  if (canonical === "person") {
+    for (const f of ["birthYear", "deathYear"]) {
+      if (it[f] != null && meta?.[f] == null) {
+        const y = toInt(it[f]);
+        if (y != null) meta = { ...(meta || {}), [f]: y };
+      }
+    }
+  }
+  delete it.birthYear;
+  delete it.deathYear;
+  it.meta = meta && Object.keys(meta).length ? meta : null;
+
+  for (const f of ["translations", "imageAttribution", "relations"]) {
+    if (it[f] == null) continue;
+    const parsed = parseMeta(it[f]);
+    if (parsed && Object.keys(parsed).length) it[f] = parsed;
+    else delete it[f];
+  }
+
+  const imageUrl = typeof it.imageUrl === "string" ? it.imageUrl.trim() : "";
+  it.imageUrl = imageUrl || legacyImagePath(it.type, it.image);
+  delete it.image;
+
+  if (it.sortYear != null) {
+    const y = toInt(it.sortYear);
+    if (y == null) delete it.sortYear;
+    else it.sortYear = y;
+  }
+
+  if (typeof it.id !== "string" || !it.id.trim()) {
+    it.id = legacyId(it.type, it.title);
+  }
+
+  return it;
+}
+
+/**
+ * Export
+ */
+const CSV_COLUMNS = [
+  "id",
+  "type",
+  "title",
+  "href",
+  "imageUrl",
+  "imageAttribution",
+  "summary",
+  "tags",
+  "sortYear",
+  "meta",
+  "translations",
+  "relations",
+  "createdAt",
+  "updatedAt",
+];
+
+function csvCell(v) {
+  if (v == null) return "";
+  const s = typeof v === "object" ? JSON.stringify(v) : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(items) {
+  const lines = [CSV_COLUMNS.join(",")];
+  for (const it of items) {
+    lines.push(
+      CSV_COLUMNS.map((c) =>
+        csvCell(c === "tags" && Array.isArray(it.tags) ? it.tags.join("; ") : it[c])
+      ).join(",")
+    );
+  }
+  return lines.join("\r\n") + "\r\n";
+}
+
+function toNdjson(items) {
+  return items.map((it) => JSON.stringify(it)).join("\n") + (items.length ? "\n" : "");
+}
+
+const EXPORT_FORMATS = {
+  json: { contentType: "application/json; charset=utf-8", render: (items) => JSON.stringify(items, null, 2) },
+  ndjson: { contentType: "application/x-ndjson; charset=utf-8", render: toNdjson },
+  csv: { contentType: "text/csv; charset=utf-8", render: toCsv },
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  legacyImagePath,
+  migrateLegacy,
+  parseImportBody,
+};
@@ -0,0 +1,203 @@
+// netlify/lib/wikidata.js
+// Structured facts from Wikidata for autofill.
+//
+// extractFacts(qid, type) -> { meta, sortYear, facts, images } | null
+//   meta      fields from META_SCHEMAS for the type (plus wikidataId)
+//   sortYear  derived like GET /items does (query.js effectiveSortYear)
+//   facts     [{ field, value, qid, property, valueQid? }] — where each value
+//             came from, so curators can check it on wikidata.org
+//   images    Commons file names from the image property (P18), any type
+//
+// factsFromEntity() is the pure part; it takes the entity JSON and a
+// { QID: label } map for item-valued claims.
+
+const { canonicalType } = require("./schema");
+const { effectiveSortYear } = require("./query");
+
+const USER_AGENT = "spacesettlement-index/1.0";
+const LABEL_BATCH = 50;
+
+/**
+ * Fact specs per canonical type
+ * `properties` are tried in order; the first one with a usable claim wins.
+ *   year      time value -> whole year
+ *   item      entity value -> its label
+ *   itemList  all entity values -> labels
+ */
+const FACT_SPECS = {
+  person: [
+    { field: "birthYear", kind: "year", properties: ["P569"] },
+    { field: "deathYear", kind: "year", properties: ["P570"] },
+    { field: "nationality", kind: "itemList", properties: ["P27"] },
+    { field: "affiliations", kind: "itemList", properties: ["P108", "P1416"] },
+    { field: "roles", kind: "itemList", properties: ["P106"] },
+    { field: "fields", kind: "itemList", properties: ["P101"] },
+  ],
+  org: [
+    { field: "foundedYear", kind: "year", properties: ["P571"] },
+    { field: "dissolvedYear", kind: "year", properties: ["P576"] },
+    { field: "headquarters", kind: "item", properties: ["P159"] },
+  ],
+  project: [
+    { field: "startYear", kind: "year", properties: ["P580", "P571"] },
+    { field: "endYear", kind: "year", properties: ["P582", "P576"] },
+    { field: "operator", kind: "item", properties: ["P137"] },
+  ],
+  book: [
+    { field: "publishedYear", kind: "year", properties: ["P577"] },
+    { field: "authors", kind: "itemList", properties: ["P50"] },
+  ],
+  movie: [
+    { field: "releaseYear", kind: "year", properties: ["P577"] },
+    { field: "directors", kind: "itemList", properties: ["P57"] },
+  ],
+};
+
+// Upper bound for list fields; Wikidata lists dozens of employers for some people.
+const MAX_LIST = 8;
+
+const IMAGE_PROPERTY = "P18";
+const MAX_IMAGES = 3;
+
+/**
+ * Claim helpers
+ */
+function yearFromWikidataTime(t) {
+  if (typeof t !== "string") return null;
+  const m = t.match(/^([+-])(\d+)-/);
+  if (!m) return null;
+  const year = parseInt(m[2], 10);
+  return m[1] === "-" ? -year : year;
+}
+
+// Preferred statements first, deprecated ones dropped.
+function usableClaims(entity, property) {
+  const claims = entity?.claims?.[property];
+  if (!Array.isArray(claims)) return [];
+  const ok = claims.filter((c) => c?.rank !== "deprecated" && c?.mainsnak?.snaktype === "value");
+  const preferred = ok.filter((c) => c.rank === "preferred");
+  return preferred.length ? preferred : ok;
+}
+
+function claimValue(claim) {
+  return claim?.mainsnak?.datavalue?.value;
+}
+
+function itemIdsFor(entity, type) {
+  const ids = new Set();
+  for (const spec of FACT_SPECS[canonicalType(type)] || []) {
+    if (spec.kind === "year") continue;
+    for (const property of spec.properties) {
+      for (const claim of usableClaims(entity, property)) {
+        const id = claimValue(claim)?.id;
+        if (typeof id === "string") ids.add(id);
+      }
+    }
+  }
+  return [...ids];
+}
+
+/**
+ * factsFromEntity(entity, type, labels) -> { meta, sortYear, facts, images }
+ */
+function factsFromEntity(entity, type, labels = {}) {
+  const t = canonicalType(type);
+  const qid = entity?.id || null;
+  const meta = {};
+  const facts = [];
+
+  if (qid) meta.wikidataId = qid;
+
+  for (const spec of FACT_SPECS[t] || []) {
+    for (const property of spec.properties) {
+      const claims = usableClaims(entity, property);
+      if (!claims.length) continue;
+
+      if (spec.kind === "year") {
+        const year = yearFromWikidataTime(claimValue(claims[0])?.time);
+        if (year == null) continue;
+        meta[spec.field] = year;
+        facts.push({ field: spec.field, value: year, qid, property });
+        break;
+      }
+
+      const values = [];
+      for (const claim of claims) {
+        const valueQid = claimValue(claim)?.id;
+        const label = labels[valueQid];
+        if (!label || values.some((v) => v.value === label)) continue;
+        values.push({ value: label, valueQid });
+        if (spec.kind === "item" || values.length >= MAX_LIST) break;
+      }
+      if (!values.length) continue;
+
+      meta[spec.field] = spec.kind === "item" ? values[0].value : values.map((v) => v.value);
+      for (const v of values) {
+        facts.push({ field: spec.field, value: v.value, qid, property, valueQid: v.valueQid });
+      }
+      break;
+    }
+  }
+
+  const images = usableClaims(entity, IMAGE_PROPERTY)
+    .map(claimValue)
+    .filter((v) => typeof v === "string" && v)
+    .slice(0, MAX_IMAGES);
+
+  const sortYear = effectiveSortYear({ type: t, meta });
+  return { meta, sortYear, facts, images };
+}
+
+/**
+ * Network
+ */
+async function getJson(url) {
+  try {
+    const res = await fetch(url, {
+      headers: { "User-Agent": USER_AGENT, Accept: "application/json" },
+    });
+    if (!res.ok) return null;
+    return await res.json();
+  } catch {
+    return null;
+  }
+}
+
+async function fetchEntity(qid) {
+  if (!/^Q\d+$/.test(String(qid || ""))) return null;
+  const data = await getJson(`https://www.wikidata.org/wiki/Special:EntityData/${qid}.json`);
+  return data?.entities?.[qid] || null;
+}
+
+async function fetchLabels(ids, lang = "en") {
+  const labels = {};
+  for (let i = 0; i < ids.length; i += LABEL_BATCH) {
+    const batch = ids.slice(i, i + LABEL_BATCH);
+    const data = await getJson(
+      "https://www.wikidata.org/w/api.php" +
+        `?action=wbgetentities&format=json&props=labels&languages=${encodeURIComponent(lang)}` +
+        `&ids=${batch.map(encodeURIComponent).join("|")}`
+    );
+    for (const [id, entity] of Object.entries(data?.entities || {})) {
+      const label = entity?.labels?.[lang]?.value;
+      if (label) labels[id] = label;
+    }
+  }
+  return labels;
+}
+
+async function extractFacts(qid, type) {
+  const entity = await fetchEntity(qid);
+  if (!entity) return null;
+  const labels = await fetchLabels(itemIdsFor(entity, type));
+  return factsFromEntity(entity, type, labels);
+}
+
+module.exports = {
+  FACT_SPECS,
+  extractFacts,
+  factsFromEntity,
+  fetchEntity,
+  fetchLabels,
+  yearFromWikidataTime,
+};
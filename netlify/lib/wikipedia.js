@@ -0,0 +1,97 @@
+// netlify/lib/wikipedia.js
+// Wikipedia lookups for autofill.
+//
+// fetchSummary(title, lang = "en") -> { title, url, extract, qid, disambiguation, image } | null
+// Uses the REST summary endpoint, which follows redirects and carries the
+// page's Wikidata id, so one request gives link, lead text and QID.
+// image is the page image's Commons file name (null for local, non-free files).
+//
+// languageLink(title, lang) -> { title, url } | null
+// The same article in another language edition (interlanguage link).
+//
+// searchCandidates(query) -> [{ title, description, url, thumbnail, qid }]
+// Full-text search in Wikipedia's ranking order, disambiguation pages left out;
+// used when a title is ambiguous or not an exact page name.
+
+const { fileFromUploadUrl } = require("./commons");
+
+const USER_AGENT = "spacesettlement-index/1.0";
+
+async function getJson(url) {
+  try {
+    const res = await fetch(url, {
+      headers: { "User-Agent": USER_AGENT, Accept: "application/json" },
+    });
+    if (!res.ok) return null;
+    return await res.json();
+  } catch {
+    return null;
+  }
+}
+
+function apiHost(lang) {
+  const code = String(lang || "en").toLowerCase();
+  return /^[a-z]{2,3}(-[a-z]+)*$/.test(code) ? `https://${code}.wikipedia.org` : null;
+}
+
+async function fetchSummary(title, lang = "en") {
+  const encoded = encodeURIComponent(String(title).trim().replace(/\s+/g, "_"));
+  const host = apiHost(lang);
+  if (!encoded || !host) return null;
+
+  const data = await getJson(`${host}/api/rest_v1/page/summary/${encoded}`);
+  if (!data) return null;
+
+  return {
+    title: data.title || String(title),
+    url: data.content_urls?.desktop?.page || null,
+    extract: typeof data.extract === "string" ? data.extract : "",
+    qid: typeof data.wikibase_item === "string" ? data.wikibase_item : null,
+    disambiguation: data.type === "disambiguation",
+    image: fileFromUploadUrl(data.originalimage?.source),
+  };
+}
+
+async function languageLink(title, lang) {
+  const t = String(title || "").trim();
+  const code = String(lang || "").toLowerCase();
+  if (!t || !apiHost(code)) return null;
+
+  const data = await getJson(
+    "https://en.wikipedia.org/w/api.php" +
+      "?action=query&format=json&formatversion=2&redirects=1&prop=langlinks&llprop=url" +
+      `&lllang=${encodeURIComponent(code)}&titles=${encodeURIComponent(t)}`
+  );
+
+  const link = data?.query?.pages?.[0]?.langlinks?.[0];
+  if (!link?.title) return null;
+  return { title: link.title, url: link.url || null };
+}
+
+async function searchCandidates(query, limit = 8) {
+  const q = String(query || "").trim();
+  if (!q) return [];
+
+  const data = await getJson(
+    "https://en.wikipedia.org/w/api.php" +
+      "?action=query&format=json&redirects=1" +
+      `&generator=search&gsrsearch=${encodeURIComponent(q)}&gsrlimit=${limit + 2}` +
+      "&prop=pageprops|description|pageimages|info&ppprop=wikibase_item|disambiguation" +
+      "&piprop=thumbnail&pithumbsize=160&inprop=url"
+  );
+
+  const pages = Object.values(data?.query?.pages || {});
+  return pages
+    .filter((p) => p && !("disambiguation" in (p.pageprops || {})))
+    .sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+    .slice(0, limit)
+    .map((p) => ({
+      title: p.title,
+      description: p.description || "",
+      url: p.fullurl || `https://en.wikipedia.org/wiki/${encodeURIComponent(p.title.replace(/ /g, "_"))}`,
+      thumbnail: p.thumbnail?.source || null,
+      qid: p.pageprops?.wikibase_item || null,
+    }));
+}
+
+module.exports = { fetchSummary, languageLink, searchCandidates };
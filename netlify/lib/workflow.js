@@ -0,0 +1,45 @@
+// netlify/lib/workflow.js
+// Editorial status of an item: draft -> in_review -> published -> archived.
+//
+// Items stored before the workflow existed have no status and count as
+// published. A published item with a future publishAt is "scheduled": it
+// stays hidden from the public until that time, no job needed.
+
+const STATUSES = ["draft", "in_review", "published", "archived"];
+const LEGACY_STATUS = "published";
+
+// from -> to -> minimum role
+const TRANSITIONS = {
+  draft: { in_review: "contributor", published: "editor", archived: "editor" },
+  in_review: { draft: "contributor", published: "editor", archived: "editor" },
+  published: { draft: "editor", archived: "editor" },
+  archived: { draft: "editor", published: "editor" },
+};
+
+function statusOf(item) {
+  return STATUSES.includes(item?.status) ? item.status : LEGACY_STATUS;
+}
+
+function isScheduled(item, now = Date.now()) {
+  if (statusOf(item) !== "published" || !item.publishAt) return false;
+  const at = Date.parse(item.publishAt);
+  return Number.isFinite(at) && at > now;
+}
+
+// Visible on the public site right now?
+function isPublic(item, now = Date.now()) {
+  return statusOf(item) === "published" && !isScheduled(item, now);
+}
+
+// -> minimum role for the move, or null when it is not allowed at all
+function transitionRole(from, to) {
+  return TRANSITIONS[from]?.[to] || null;
+}
+
+module.exports = {
+  STATUSES,
+  isPublic,
+  isScheduled,
+  statusOf,
+  transitionRole,
+};
@@ -0,0 +1,91 @@
+// netlify/test/auth.test.js
+
+process.env.ITEMS_STORE = "memory";
+process.env.ADMIN_TOKEN = "root";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const auth = require("../lib/auth");
+const audit = require("../lib/audit");
+const users = require("../functions/users");
+const { openStore, resetMemoryStores } = require("../lib/store");
+
+test.beforeEach(() => resetMemoryStores());
+
+async function call(token, httpMethod, params = {}, body) {
+  const res = await users.handler({
+    httpMethod,
+    headers: token ? { "x-admin-token": token } : {},
+    queryStringParameters: params,
+    body: body == null ? undefined : JSON.stringify(body),
+  });
+  let json = null;
+  try {
+    json = JSON.parse(res.body);
+  } catch {
+    // text/plain responses
+  }
+  return { ...res, json };
+}
+
+const bearer = (token) => ({ headers: { Authorization: `Bearer ${token}` } });
+
+test("tokens are stored only as salted scrypt hashes", async () => {
+  const created = await call("root", "POST", {}, { username: "ada", role: "editor" });
+  assert.equal(created.statusCode, 200, created.body);
+  const { token } = created.json;
+  assert.match(token, /^ada\./);
+
+  const stored = JSON.parse(await openStore("kb-items").get("users/ada.json"));
+  assert.match(stored.tokenHash, /^scrypt\$[\w-]+\$[\w-]+$/);
+  assert.ok(!JSON.stringify(stored).includes(token.split(".")[1]));
+  assert.equal(created.json.user.tokenHash, undefined);
+
+  const store = openStore("kb-items");
+  assert.deepEqual(await auth.authenticate(store, bearer(token)), {
+    user: { username: "ada", role: "editor" },
+  });
+  assert.equal((await auth.authenticate(store, bearer(`${token}x`))).status, 401);
+  assert.equal((await auth.authenticate(store, bearer("nobody.secret"))).status, 401);
+  assert.equal((await auth.authenticate(store, {})).status, 401);
+});
+
+test("roles are ordered contributor < editor < admin", async () => {
+  assert.ok(auth.roleAtLeast("admin", "editor"));
+  assert.ok(auth.roleAtLeast("editor", "editor"));
+  assert.ok(!auth.roleAtLeast("contributor", "editor"));
+  assert.ok(!auth.roleAtLeast("admin", "owner"));
+
+  const { token } = (await call("root", "POST", {}, { username: "bob", role: "contributor" })).json;
+  const store = openStore("kb-items");
+  assert.equal((await auth.authorize(store, bearer(token), "contributor")).user.username, "bob");
+  assert.deepEqual(await auth.authorize(store, bearer(token), "editor"), {
+    status: 403,
+    error: "Requires role editor",
+  });
+  assert.equal((await call(token, "GET")).statusCode, 403);
+  assert.equal((await call(token, "GET", { action: "me" })).json.user.role, "contributor");
+});
+
+test("rotating or disabling a user invalidates the old token", async () => {
+  const { token } = (await call("root", "POST", {}, { username: "cy", role: "editor" })).json;
+  const rotated = await call(token, "POST", { action: "rotate", username: "cy" });
+  assert.equal(rotated.statusCode, 200);
+  assert.equal((await call(token, "GET", { action: "me" })).statusCode, 401);
+
+  await call("root", "PATCH", { username: "cy" }, { disabled: true });
+  assert.equal((await call(rotated.json.token, "GET", { action: "me" })).statusCode, 401);
+});
+
+test("user changes are audited", async () => {
+  await call("root", "POST", {}, { username: "dee", role: "editor" });
+  await call("root", "DELETE", { username: "dee" });
+
+  const store = openStore("kb-items");
+  const { entries } = await audit.query(store, { user: "root" });
+  // entries written in the same millisecond have no fixed order
+  assert.deepEqual(entries.map((e) => e.action).sort(), ["user.create", "user.delete"]);
+  assert.equal((await audit.query(store, { op: "user.create" })).entries.length, 1);
+  assert.equal((await audit.query(store, { from: "soon" })).error, "from/to must be ISO dates");
+});
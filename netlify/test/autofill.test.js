@@ -0,0 +1,38 @@
+// netlify/test/autofill.test.js
+// runAutofill with providers that ignore the JSON schema (chat, mock files).
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { runAutofill } = require("../lib/autofill");
+const { createMemoryStore, resetMemoryStores } = require("../lib/store");
+
+test.beforeEach(() => resetMemoryStores());
+
+function fakeProvider(answer) {
+  return { name: "fake", model: "fake", offline: true, complete: async () => answer };
+}
+
+test("a missing summary or tags falls back instead of throwing", async () => {
+  const { result: out } = await runAutofill(
+    { title: "Bernal sphere", type: "concept" },
+    { llm: fakeProvider({}), cacheStore: createMemoryStore("autofill-test") }
+  );
+  assert.equal(typeof out.summary, "string");
+  assert.ok(out.summary.length >= 20);
+  assert.deepEqual(out.tags, []);
+});
+
+test("tags are cleaned, deduplicated and capped at six", async () => {
+  const { result: out } = await runAutofill(
+    { title: "Bernal sphere", type: "concept" },
+    {
+      llm: fakeProvider({
+        summary: "A spherical space habitat proposed by J. D. Bernal in 1929.",
+        tags: ["Space Habitat", "space habitat", "Bernal!", "a", "b", "c", "d", "e"],
+      }),
+      cacheStore: createMemoryStore("autofill-test"),
+    }
+  );
+  assert.deepEqual(out.tags, ["space_habitat", "bernal", "a", "b", "c", "d"]);
+});
@@ -0,0 +1,55 @@
+// netlify/test/cache.test.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createCache } = require("../lib/cache");
+const { runAutofill } = require("../lib/autofill");
+const { createMemoryStore, resetMemoryStores } = require("../lib/store");
+
+test.beforeEach(() => resetMemoryStores());
+
+test("remember computes once per key and leaves failed lookups uncached", async () => {
+  const cache = createCache(createMemoryStore("cache-test"), "wikipedia/summary");
+  let calls = 0;
+  const lookup = async () => ({ n: ++calls });
+
+  const key = ["a/b", "concept"];
+  assert.deepEqual(await cache.remember(key, lookup), { value: { n: 1 }, hit: false });
+  assert.deepEqual(await cache.remember(key, lookup), { value: { n: 1 }, hit: true });
+  assert.deepEqual(await cache.remember(["a/b", "book"], lookup), { value: { n: 2 }, hit: false });
+
+  assert.deepEqual(await cache.remember(["gone"], async () => null), { value: null, hit: false });
+  assert.equal(await cache.get(["gone"]), undefined);
+});
+
+test("entries expire after ttlSeconds", async () => {
+  const store = createMemoryStore("cache-test");
+  await createCache(store, "llm", { ttlSeconds: 0 }).set(["x"], "old");
+  assert.equal(await createCache(store, "llm").get(["x"]), undefined);
+
+  await createCache(store, "llm", { ttlSeconds: 60 }).set(["x"], "new");
+  assert.equal(await createCache(store, "llm").get(["x"]), "new");
+});
+
+test("a repeated autofill answers from the cache unless refresh is set", async () => {
+  const cacheStore = createMemoryStore("autofill-test");
+  let calls = 0;
+  const llm = {
+    name: "fake",
+    model: "fake",
+    offline: true,
+    complete: async () => ({ summary: `Answer number ${++calls} about the Bernal sphere.` }),
+  };
+  const request = { type: "concept", title: "Bernal sphere" };
+
+  const first = await runAutofill(request, { llm, cacheStore });
+  const second = await runAutofill(request, { llm, cacheStore });
+  assert.equal(first.cache.llm, "miss");
+  assert.equal(second.cache.llm, "hit");
+  assert.equal(second.result.summary, first.result.summary);
+
+  const fresh = await runAutofill({ ...request, refresh: true }, { llm, cacheStore });
+  assert.equal(fresh.cache.llm, "miss");
+  assert.equal(calls, 2);
+});
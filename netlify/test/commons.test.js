@@ -0,0 +1,103 @@
+// netlify/test/commons.test.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { fileFromUploadUrl, imageCandidates, normalizeFileName } = require("../lib/commons");
+
+const realFetch = global.fetch;
+test.afterEach(() => {
+  global.fetch = realFetch;
+});
+
+function info(fields = {}, extmetadata = {}) {
+  return {
+    url: "https://upload.wikimedia.org/wikipedia/commons/a/ab/Torus.jpg",
+    thumburl: "https://upload.wikimedia.org/wikipedia/commons/thumb/a/ab/Torus.jpg/800px-Torus.jpg",
+    descriptionurl: "https://commons.wikimedia.org/wiki/File:Torus.jpg",
+    width: 2000,
+    height: 1500,
+    mime: "image/jpeg",
+    ...fields,
+    extmetadata: Object.fromEntries(
+      Object.entries(extmetadata).map(([k, value]) => [k, { value }])
+    ),
+  };
+}
+
+test("file names are normalised from page titles and upload URLs", () => {
+  assert.equal(normalizeFileName("File:Stanford_torus.jpg"), "Stanford torus.jpg");
+  const upload = "https://upload.wikimedia.org/wikipedia";
+  assert.equal(
+    fileFromUploadUrl(`${upload}/commons/thumb/a/ab/O%27Neill_cylinder.jpg/320px-O%27Neill_cylinder.jpg`),
+    "O'Neill cylinder.jpg"
+  );
+  // local uploads on a Wikipedia are not on Commons
+  assert.equal(fileFromUploadUrl(`${upload}/en/a/ab/Poster.jpg`), null);
+  assert.equal(fileFromUploadUrl("https://example.org/Torus.jpg"), null);
+});
+
+test("candidates carry licence and credit in the asked order; unusable files drop out", async () => {
+  let url;
+  global.fetch = async (u) => {
+    url = u;
+    const pages = [
+      { title: "File:Missing.jpg", missing: true },
+      {
+        title: "File:Torus.jpg",
+        imageinfo: [
+          info(
+            {},
+            {
+              Artist: '<a href="//commons.wikimedia.org/wiki/User:NA">NASA Ames</a> &amp; Rick Guidice',
+              LicenseShortName: "Public domain",
+              AttributionRequired: "false",
+            }
+          ),
+        ],
+      },
+      {
+        title: "File:Interior.jpg",
+        imageinfo: [
+          info(
+            { mime: "image/png", thumburl: undefined, url: "https://upload.wikimedia.org/i.png" },
+            {
+              Credit: "Own work",
+              LicenseShortName: "CC BY-SA 4.0",
+              LicenseUrl: "https://creativecommons.org/licenses/by-sa/4.0",
+            }
+          ),
+        ],
+      },
+      {
+        title: "File:Video.webm",
+        imageinfo: [info({ mime: "video/webm" }, { LicenseShortName: "CC0" })],
+      },
+      { title: "File:Unlicensed.jpg", imageinfo: [info()] },
+    ];
+    return { ok: true, json: async () => ({ query: { pages } }) };
+  };
+
+  const out = await imageCandidates([
+    { file: "Interior.jpg", from: "wikidata" },
+    { file: "File:Torus.jpg", from: "wikipedia" },
+    { file: "Interior.jpg", from: "wikipedia" },
+    { file: "Video.webm", from: "wikidata" },
+    { file: "Unlicensed.jpg", from: "wikidata" },
+    { file: "Missing.jpg", from: "wikidata" },
+  ]);
+
+  assert.match(url, /titles=File%3AInterior\.jpg\|File%3ATorus\.jpg\|File%3AVideo\.webm/);
+  assert.deepEqual(
+    out.map((c) => [c.file, c.from, c.license, c.author, c.attributionRequired]),
+    [
+      ["Interior.jpg", "wikidata", "CC BY-SA 4.0", "Own work", true],
+      ["Torus.jpg", "wikipedia", "Public domain", "NASA Ames & Rick Guidice", false],
+    ]
+  );
+  assert.equal(out[0].thumbUrl, "https://upload.wikimedia.org/i.png");
+  assert.equal(out[0].licenseUrl, "https://creativecommons.org/licenses/by-sa/4.0");
+  assert.equal(out[1].sourceUrl, "https://commons.wikimedia.org/wiki/File:Torus.jpg");
+
+  assert.deepEqual(await imageCandidates([{ file: " " }]), []);
+});
@@ -0,0 +1,68 @@
+// netlify/test/duplicates.test.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const duplicates = require("../lib/duplicates");
+
+const STORED = [
+  {
+    id: "dyson",
+    type: "people",
+    title: "Freeman Dyson",
+    href: "https://en.wikipedia.org/wiki/Freeman_Dyson",
+  },
+  { id: "sphere", type: "concept", title: "Dyson sphere", meta: { wikidataId: "Q188741" } },
+  { id: "colonies", type: "book", title: "Colonies in Space", meta: { isbn: "0-446-84121-8" } },
+];
+
+const reasonsFor = (candidate) =>
+  duplicates.findDuplicates(STORED, candidate).map(({ item, reasons }) => [item.id, reasons]);
+
+test("titles match within a type, ignoring case, accents and punctuation", () => {
+  assert.deepEqual(reasonsFor({ type: "person", title: "  freeman  DYSON. " }), [
+    ["dyson", ["title"]],
+  ]);
+  assert.deepEqual(reasonsFor({ type: "book", title: "Freeman Dyson" }), []);
+  assert.equal(duplicates.normalizeTitle("Gérard K. O’Neill"), "gerard k oneill");
+});
+
+test("links match regardless of scheme, www, trailing slash and fragment", () => {
+  const href = "http://www.en.wikipedia.org/wiki/Freeman Dyson/#Life";
+  assert.deepEqual(reasonsFor({ type: "book", title: "Disturbing the Universe", href }), [
+    ["dyson", ["href"]],
+  ]);
+  assert.equal(duplicates.normalizeHref("mailto:x@example.org"), null);
+});
+
+test("Wikidata ids and ISBN-10/ISBN-13 pairs match", () => {
+  const qid = { type: "topic", title: "Megastructures", meta: { wikidataId: "q188741" } };
+  assert.deepEqual(reasonsFor(qid), [["sphere", ["qid"]]]);
+  const isbn = { type: "book", title: "Colonies", meta: { isbn: "978-0446841214" } };
+  assert.deepEqual(reasonsFor(isbn), [["colonies", ["isbn"]]]);
+  assert.equal(duplicates.normalizeIsbn("0-446-84121-8"), "9780446841214");
+  assert.equal(duplicates.normalizeIsbn("12345"), null);
+});
+
+test("an item is not its own duplicate", () => {
+  assert.deepEqual(reasonsFor({ ...STORED[0] }), []);
+});
+
+test("newMatchKinds lists only keys the update adds", () => {
+  const before = STORED[2];
+  assert.deepEqual(duplicates.newMatchKinds(before, { ...before, summary: "new" }), []);
+  const renamed = { ...before, title: "Space Colonies", meta: { isbn: "0446841218" } };
+  assert.deepEqual(duplicates.newMatchKinds(before, renamed), ["title"]);
+});
+
+test("clusters join items connected through any shared key", () => {
+  const clusters = duplicates.duplicateClusters([
+    ...STORED,
+    { id: "a", type: "person", title: "Freeman Dyson" },
+    { id: "b", type: "person", title: "F. Dyson", href: "https://en.wikipedia.org/wiki/Freeman_Dyson" },
+  ]);
+  assert.deepEqual(
+    clusters.map((c) => [c.reasons, c.items.map((it) => it.id)]),
+    [[["href", "title"], ["dyson", "a", "b"]]]
+  );
+});
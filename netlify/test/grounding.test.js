@@ -0,0 +1,44 @@
+// netlify/test/grounding.test.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { checkSummary, splitSentences } = require("../lib/grounding");
+
+const LEAD =
+  "The Stanford torus is a proposed design for a space habitat capable of housing " +
+  "10,000 to 140,000 permanent residents. It was proposed during the 1975 NASA Ames " +
+  "summer study.";
+
+test("sentences split at end punctuation followed by a capital, not inside numbers", () => {
+  assert.deepEqual(splitSentences("It holds 10,000 people. Bernal  had\nan idea... ok? Yes!"), [
+    "It holds 10,000 people.",
+    "Bernal had an idea... ok?",
+    "Yes!",
+  ]);
+});
+
+test("sentences backed by the source pass; invented words and numbers are flagged", () => {
+  const { sentences, unsupported } = checkSummary(
+    "The Stanford torus is a proposed space habitat design. " +
+      "It could house 10,000 permanent residents. " +
+      "It was built in 1990. " +
+      "Elon Musk funded its orbital construction yard.",
+    LEAD
+  );
+  assert.equal(sentences, 4);
+  assert.deepEqual(unsupported, [
+    { sentence: "It was built in 1990.", reason: "numbers not in source: 1990" },
+    {
+      sentence: "Elon Musk funded its orbital construction yard.",
+      reason: "words not in source: elon, musk, funded, orbital, construction, yard",
+    },
+  ]);
+});
+
+test("without a source every sentence is unsupported", () => {
+  assert.deepEqual(checkSummary("A habitat. Another one.", "  ").unsupported, [
+    { sentence: "A habitat.", reason: "no source text" },
+    { sentence: "Another one.", reason: "no source text" },
+  ]);
+});
@@ -0,0 +1,290 @@
+// netlify/test/items.test.js
+// Items API against the fs store (keys become file paths there).
+
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+process.env.ITEMS_STORE = "fs";
+process.env.ITEMS_STORE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "items-test-"));
+process.env.ADMIN_TOKEN = "root";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const items = require("../functions/items");
+
+test.after(() => fs.rmSync(process.env.ITEMS_STORE_DIR, { recursive: true, force: true }));
+
+function call(httpMethod, params = {}, body, headers = {}) {
+  return items
+    .handler({
+      httpMethod,
+      headers: { "x-admin-token": "root", ...headers },
+      queryStringParameters: params,
+      body: body == null ? undefined : JSON.stringify(body),
+    })
+    .then((res) => {
+      let json = null;
+      try {
+        json = JSON.parse(res.body);
+      } catch {
+        // text/plain responses
+      }
+      return { ...res, json };
+    });
+}
+
+test("ids that are not item ids are rejected before touching the store", async () => {
+  for (const id of ["../items/x", "a/b", "..", "x y"]) {
+    for (const [method, params] of [
+      ["GET", { id }],
+      ["PUT", { id }],
+      ["PATCH", { id }],
+      ["DELETE", { id }],
+      ["GET", { action: "revisions", id }],
+      ["POST", { action: "untrash", id }],
+      ["POST", { action: "transition", id, to: "published" }],
+    ]) {
+      const res = await call(method, params, method === "GET" || method === "DELETE" ? null : {});
+      assert.equal(res.statusCode, 400, `${method} ${JSON.stringify(params)}`);
+      assert.equal(res.body, "Invalid id");
+    }
+  }
+});
+
+async function create(fields) {
+  const body = { status: "published", href: "https://example.org", ...fields };
+  const res = await call("POST", { force: "1" }, body);
+  assert.equal(res.statusCode, 200, res.body);
+  return res.json.id;
+}
+
+async function read(id) {
+  const res = await call("GET", { id });
+  return res.statusCode === 200 ? res.json.item : null;
+}
+
+test("relations must point at another stored item", async () => {
+  const club = await create({ type: "org", title: "Space Studies Institute" });
+  const targetErrors = (res) => {
+    assert.equal(res.statusCode, 422, res.body);
+    return res.json.errors.map((e) => [e.field, e.message]);
+  };
+
+  const missing = await call(
+    "POST",
+    { force: "1" },
+    {
+      type: "person",
+      title: "Freeman Dyson",
+      href: "https://example.org/dyson",
+      relations: [
+        { type: "member_of", target: club },
+        { type: "inspired", target: "no-such-item" },
+      ],
+    }
+  );
+  assert.deepEqual(targetErrors(missing), [
+    ["relations.1.target", "no item with id no-such-item"],
+  ]);
+
+  const etag = (await call("GET", { id: club })).headers.ETag;
+  const self = await call(
+    "PATCH",
+    { id: club },
+    { relations: [{ type: "part_of", target: club }] },
+    { "If-Match": etag }
+  );
+  assert.deepEqual(targetErrors(self), [["relations.0.target", "must not be the item itself"]]);
+});
+
+test("trashing a related item detaches inbound relations and untrash restores them", async () => {
+  const book = await create({ type: "book", title: "The High Frontier" });
+  const club = await create({ type: "org", title: "L5 Society" });
+  const person = await create({
+    type: "person",
+    title: "Gerard K. O'Neill",
+    relations: [
+      { type: "authored", target: book },
+      { type: "member_of", target: club },
+    ],
+  });
+
+  const trashed = await call("DELETE", { id: book });
+  assert.equal(trashed.statusCode, 200);
+  assert.deepEqual(trashed.json.detachedRelations, [{ source: person, type: "authored" }]);
+
+  const after = await read(person);
+  assert.deepEqual(after.relations, [{ type: "member_of", target: club }]);
+  const list = await call("GET", {});
+  const listed = list.json.items.find((it) => it.id === person);
+  assert.deepEqual(listed.relations, [{ type: "member_of", target: club }]);
+
+  // Edits of the source item still validate.
+  const etag = (await call("GET", { id: person })).headers.ETag;
+  const edited = await call("PATCH", { id: person }, { summary: "Physicist" }, { "If-Match": etag });
+  assert.equal(edited.statusCode, 200, edited.body);
+
+  const back = await call("POST", { action: "untrash", id: book });
+  assert.equal(back.statusCode, 200, back.body);
+  assert.deepEqual((await read(person)).relations, [
+    { type: "member_of", target: club },
+    { type: "authored", target: book },
+  ]);
+});
+
+test("untrash drops relations to items trashed in the meantime", async () => {
+  const a = await create({ type: "concept", title: "Mass driver" });
+  const b = await create({
+    type: "concept",
+    title: "Lunar mining",
+    relations: [{ type: "part_of", target: a }],
+  });
+
+  assert.equal((await call("DELETE", { id: b })).statusCode, 200);
+  assert.equal((await call("DELETE", { id: a })).statusCode, 200);
+
+  const back = await call("POST", { action: "untrash", id: b });
+  assert.equal(back.statusCode, 200, back.body);
+  assert.equal(back.json.item.relations, undefined);
+});
+
+test("import rejects relations to items that are neither stored nor imported", async () => {
+  const stored = await create({ type: "concept", title: "Bernal sphere" });
+  const row = (id, target) => ({
+    id,
+    type: "concept",
+    title: `Row ${id}`,
+    href: `https://example.org/${id}`,
+    relations: [{ type: "inspired", target }],
+  });
+  const res = await call("POST", { action: "import" }, [
+    row("row-a", "row-b"),
+    row("row-b", stored),
+    row("row-c", "gone"),
+  ]);
+  assert.equal(res.statusCode, 200, res.body);
+  assert.deepEqual(res.json.results.map((r) => r.status), ["created", "created", "invalid"]);
+  assert.deepEqual(res.json.results[2].errors, [
+    { field: "relations.0.target", message: "no item with id gone" },
+  ]);
+});
+
+test("list responses vary on credentials and are private for editors", async () => {
+  await create({ type: "concept", title: "O'Neill cylinder", status: "draft" });
+
+  const editor = await call("GET", {});
+  const anonymous = await items.handler({ httpMethod: "GET", headers: {}, queryStringParameters: {} });
+  for (const res of [editor, anonymous]) {
+    assert.equal(res.headers.Vary, "Authorization, x-admin-token");
+  }
+  assert.equal(editor.headers["Cache-Control"], "private, no-cache");
+  assert.equal(anonymous.headers["Cache-Control"], "no-cache");
+  assert.notEqual(editor.headers.ETag, anonymous.headers.ETag);
+
+  const notModified = await call("GET", {}, null, { "If-None-Match": editor.headers.ETag });
+  assert.equal(notModified.statusCode, 304);
+  assert.equal(notModified.headers.Vary, "Authorization, x-admin-token");
+});
+
+test("publishing a draft that duplicates a published item answers 409 unless forced", async () => {
+  const href = "https://en.wikipedia.org/wiki/Freeman_Dyson";
+  await create({ type: "person", title: "Freeman Dyson", href });
+  const draft = await create({ type: "person", title: "Freeman J. Dyson", status: "draft", href });
+
+  const blocked = await call("POST", { action: "transition", id: draft, to: "published" });
+  assert.equal(blocked.statusCode, 409);
+  assert.deepEqual(blocked.json.duplicates[0].reasons, ["href"]);
+
+  const review = await call("POST", { action: "transition", id: draft, to: "in_review" });
+  assert.equal(review.statusCode, 200, review.body);
+
+  const forced = await call("POST", { action: "transition", id: draft, to: "published", force: "1" });
+  assert.equal(forced.statusCode, 200, forced.body);
+});
+
+test("updates that change title or identifiers are checked against other items", async () => {
+  await create({ type: "book", title: "Colonies in Space", meta: { isbn: "0-446-84121-8" } });
+  const other = await create({ type: "book", title: "The Case for Mars", href: "https://example.org/mars" });
+  const etagOf = async (id) => (await call("GET", { id })).headers.ETag;
+
+  const patch = async (params, body) =>
+    call("PATCH", { id: other, ...params }, body, { "If-Match": await etagOf(other) });
+
+  const summaryOnly = await patch({}, { summary: "Zubrin" });
+  assert.equal(summaryOnly.statusCode, 200, summaryOnly.body);
+
+  const renamed = await patch({}, { title: "Colonies in space" });
+  assert.equal(renamed.statusCode, 409);
+  assert.deepEqual(renamed.json.duplicates[0].reasons, ["title"]);
+
+  const isbn = { meta: { isbn: "9780446841214" } };
+  const sameIsbn = await patch({}, isbn);
+  assert.equal(sameIsbn.statusCode, 409);
+  assert.deepEqual(sameIsbn.json.duplicates[0].reasons, ["isbn"]);
+
+  const forced = await patch({ force: "1" }, isbn);
+  assert.equal(forced.statusCode, 200, forced.body);
+});
+
+test("updates happen in place and need the current ETag", async () => {
+  const id = await create({ type: "concept", title: "Mass driver", summary: "Launches payloads." });
+  const first = await call("GET", { id });
+
+  const unconditional = await call("PATCH", { id }, { summary: "Electromagnetic launcher." });
+  assert.equal(unconditional.statusCode, 428);
+
+  const patched = await call(
+    "PATCH",
+    { id },
+    { summary: "Electromagnetic launcher." },
+    { "If-Match": first.headers.ETag }
+  );
+  assert.equal(patched.statusCode, 200, patched.body);
+  assert.equal(patched.json.id, id);
+  assert.equal(patched.json.version, first.json.item.version + 1);
+  assert.equal(patched.json.item.title, "Mass driver");
+  assert.equal(patched.json.item.createdAt, first.json.item.createdAt);
+  assert.notEqual(patched.headers.ETag, first.headers.ETag);
+
+  const stale = await call("PATCH", { id }, { title: "Coilgun" }, { "If-Match": first.headers.ETag });
+  assert.equal(stale.statusCode, 409);
+  assert.equal(stale.json.current.summary, "Electromagnetic launcher.");
+
+  // PUT replaces: fields left out are gone
+  const put = await call(
+    "PUT",
+    { id },
+    { type: "concept", title: "Mass driver", href: "https://example.org/md" },
+    { "If-Match": patched.headers.ETag }
+  );
+  assert.equal(put.statusCode, 200, put.body);
+  assert.equal((await read(id)).summary, undefined);
+});
+
+test("scheduled and unpublished items stay out of public reads", async () => {
+  const id = await create({
+    type: "topic",
+    title: "Lunar regolith",
+    status: "draft",
+    href: "https://example.org/regolith",
+  });
+  const later = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+
+  const invalid = await call("POST", { action: "transition", id, to: "published", publishAt: "soon" });
+  assert.equal(invalid.statusCode, 400);
+  const scheduled = await call("POST", { action: "transition", id, to: "published", publishAt: later });
+  assert.equal(scheduled.statusCode, 200, scheduled.body);
+  assert.equal(scheduled.json.item.publishAt, later);
+
+  const anonymous = { "x-admin-token": "" };
+  assert.equal((await call("GET", { id }, null, anonymous)).statusCode, 404);
+  const publicList = await call("GET", { q: "regolith" }, null, anonymous);
+  assert.deepEqual(publicList.json.items, []);
+  const editorList = await call("GET", { q: "regolith", status: "scheduled" });
+  assert.deepEqual(editorList.json.items.map((it) => it.id), [id]);
+
+  const invalidMove = await call("POST", { action: "transition", id, to: "in_review" });
+  assert.equal(invalidMove.statusCode, 409);
+});
@@ -0,0 +1,120 @@
+// netlify/test/jobs.test.js
+// Batch autofill with the offline mock provider, drafts mode.
+
+process.env.ITEMS_STORE = "memory";
+process.env.ADMIN_TOKEN = "root";
+process.env.LLM_PROVIDER = "mock";
+delete process.env.URL; // run jobs inline
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const jobsFn = require("../functions/autofill-jobs");
+const items = require("../functions/items");
+const { resetMemoryStores } = require("../lib/store");
+
+test.beforeEach(() => resetMemoryStores());
+
+const HEADERS = { "x-admin-token": "root" };
+
+function call(handler, httpMethod, params = {}, body) {
+  return handler({
+    httpMethod,
+    headers: HEADERS,
+    queryStringParameters: params,
+    body: body == null ? undefined : JSON.stringify(body),
+  }).then((res) => ({ ...res, json: res.body ? JSON.parse(res.body) : null }));
+}
+
+test("drafts mode creates a draft per row without a Wikipedia article", async () => {
+  const res = await call(jobsFn.handler, "POST", {}, {
+    mode: "drafts",
+    rows: [
+      { title: "Bernal sphere", type: "concept" },
+      { title: "Island Three", type: "concept", skipWikipedia: true },
+    ],
+  });
+  assert.equal(res.statusCode, 202);
+  assert.equal(res.json.ranIn, "inline");
+
+  const { json } = await call(jobsFn.handler, "GET", { id: res.json.job.id });
+  assert.equal(json.job.status, "done");
+  assert.equal(json.job.succeeded, 2);
+  assert.equal(json.job.failed, 0);
+
+  for (const row of json.job.rows) {
+    assert.equal(row.status, "ok", JSON.stringify(row.error));
+    const saved = await call(items.handler, "GET", { id: row.itemId });
+    assert.equal(saved.statusCode, 200);
+    assert.equal(saved.json.item.status, "draft");
+    assert.equal(saved.json.item.title, row.title);
+    assert.equal(saved.json.item.href, undefined);
+  }
+});
+
+test("a draft without href cannot leave draft", async () => {
+  const created = await call(items.handler, "POST", { force: "1" }, {
+    type: "concept",
+    title: "Stanford torus",
+    status: "draft",
+  });
+  assert.equal(created.statusCode, 200);
+
+  const moved = await call(items.handler, "POST", {
+    action: "transition",
+    id: created.json.id,
+    to: "in_review",
+  });
+  assert.equal(moved.statusCode, 422);
+  assert.deepEqual(moved.json.errors, [{ field: "href", message: "is required" }]);
+});
+
+test("rows are charged against the autofill rate limit", async (t) => {
+  process.env.AUTOFILL_RATE_USER = "3";
+  t.after(() => delete process.env.AUTOFILL_RATE_USER);
+  const rows = (n) => Array.from({ length: n }, (_, i) => ({ title: `Row ${i}`, type: "concept" }));
+
+  const first = await call(jobsFn.handler, "POST", {}, { mode: "drafts", rows: rows(2) });
+  assert.equal(first.statusCode, 202);
+
+  const over = await jobsFn.handler({
+    httpMethod: "POST",
+    headers: HEADERS,
+    body: JSON.stringify({ mode: "drafts", rows: rows(2) }),
+  });
+  assert.equal(over.statusCode, 429);
+  assert.ok(Number(over.headers["Retry-After"]) > 0);
+
+  const listed = await call(jobsFn.handler, "GET");
+  assert.equal(listed.json.jobs.length, 1);
+
+  const rest = await call(jobsFn.handler, "POST", {}, { mode: "drafts", rows: rows(1) });
+  assert.equal(rest.statusCode, 202);
+});
+
+test("a job the background function never got fails and refunds its rows", async (t) => {
+  process.env.AUTOFILL_RATE_USER = "3";
+  process.env.URL = "https://example.invalid";
+  const realFetch = global.fetch;
+  global.fetch = async () => {
+    throw new Error("connect ECONNREFUSED");
+  };
+  t.after(() => {
+    delete process.env.AUTOFILL_RATE_USER;
+    delete process.env.URL;
+    global.fetch = realFetch;
+  });
+  const rows = (n) => Array.from({ length: n }, (_, i) => ({ title: `Row ${i}`, type: "concept" }));
+
+  const res = await call(jobsFn.handler, "POST", {}, { mode: "drafts", rows: rows(2) });
+  assert.equal(res.statusCode, 502);
+  assert.equal(res.json.job.status, "failed");
+  assert.match(res.json.job.error, /ECONNREFUSED/);
+
+  const { json } = await call(jobsFn.handler, "GET", { id: res.json.job.id });
+  assert.equal(json.job.status, "failed");
+
+  // All three rows are still available: the failed job was refunded.
+  const again = await call(jobsFn.handler, "POST", {}, { mode: "drafts", rows: rows(3) });
+  assert.equal(again.statusCode, 502);
+});
@@ -0,0 +1,140 @@
+// netlify/test/linkcheck.test.js
+
+process.env.ITEMS_STORE = "memory";
+process.env.ADMIN_TOKEN = "root";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const linkcheck = require("../lib/linkcheck");
+const background = require("../functions/linkcheck-background");
+const scheduled = require("../functions/linkcheck-scheduled");
+const { openStore, resetMemoryStores } = require("../lib/store");
+
+const realFetch = global.fetch;
+test.beforeEach(() => resetMemoryStores());
+test.afterEach(() => {
+  global.fetch = realFetch;
+  delete process.env.LINKCHECK_SYSTEM_TOKEN;
+  delete process.env.URL;
+});
+
+function respond(status, headers = {}) {
+  return {
+    status,
+    ok: status >= 200 && status < 300,
+    headers: { get: (name) => headers[name.toLowerCase()] ?? null },
+  };
+}
+
+test("checkUrl follows redirects and reports permanent ones", async () => {
+  global.fetch = async (url) =>
+    url === "https://example.org/old"
+      ? respond(301, { location: "/new" })
+      : respond(200, { "content-type": "text/html" });
+
+  const r = await linkcheck.checkUrl("https://example.org/old");
+  assert.equal(r.ok, true);
+  assert.equal(r.redirectTo, "https://example.org/new");
+  assert.equal(r.permanent, true);
+});
+
+test("runLinkCheck reports each problem once per item and fetches shared URLs once", async () => {
+  const items = openStore("kb-items");
+  const seed = [
+    { id: "ok", title: "OK", type: "topic", href: "https://ok.example/", image: "ok.jpg" },
+    { id: "gone", title: "Gone", type: "topic", href: "https://gone.example/" },
+    { id: "bad", title: "Bad", type: "topic", href: "not a url" },
+    { id: "moved", title: "Moved", type: "topic", href: "https://old.example/" },
+    { id: "bots", title: "Bots", type: "topic", href: "https://bots.example/" },
+    {
+      id: "page",
+      title: "Page as image",
+      type: "topic",
+      href: "https://ok.example/",
+      imageUrl: "https://ok.example/",
+    },
+  ];
+  for (const it of seed) await items.setJSON(`items/${it.id}.json`, it);
+
+  const fetched = [];
+  global.fetch = async (url) => {
+    fetched.push(url);
+    if (url.startsWith("https://gone.example")) return respond(404);
+    if (url.startsWith("https://bots.example")) return respond(403);
+    if (url === "https://old.example/") return respond(308, { location: "https://new.example/" });
+    if (url.endsWith(".jpg")) return respond(200, { "content-type": "image/jpeg" });
+    return respond(200, { "content-type": "text/html" });
+  };
+
+  const report = await linkcheck.runLinkCheck(items, openStore("kb-health"), {
+    startedBy: "ada",
+    siteUrl: "https://site.example",
+  });
+
+  assert.equal(report.status, "done");
+  assert.equal(report.total, 6);
+  assert.deepEqual(report.counts, {
+    broken_link: 1,
+    invalid_link: 1,
+    redirect: 1,
+    missing_image: 1,
+  });
+  const problems = Object.fromEntries(
+    Object.values(report.items).map((r) => [r.id, r.problems])
+  );
+  assert.deepEqual(problems, {
+    ok: [],
+    gone: ["broken_link"],
+    bad: ["invalid_link"],
+    moved: ["redirect"],
+    bots: [],
+    page: ["missing_image"],
+  });
+  assert.equal(report.items.ok.image.url, "https://site.example/assets/img/cards/topics/ok.jpg");
+  assert.equal(fetched.filter((u) => u === "https://ok.example/").length, 1);
+  assert.deepEqual(await linkcheck.readReport(openStore("kb-health")), report);
+  assert.deepEqual(Object.keys(linkcheck.problemsOnly(report).items).sort(), [
+    "bad",
+    "gone",
+    "moved",
+    "page",
+  ]);
+});
+
+test("the scheduled run starts the background check with the system token only", async () => {
+  process.env.URL = "https://site.example";
+  process.env.LINKCHECK_SYSTEM_TOKEN = "s3cret";
+  const calls = [];
+  global.fetch = async (url, init) => {
+    calls.push({ url, headers: init.headers });
+    return respond(202);
+  };
+
+  await scheduled.handler();
+  assert.deepEqual(calls, [
+    {
+      url: "https://site.example/.netlify/functions/linkcheck-background",
+      headers: { "x-system-token": "s3cret" },
+    },
+  ]);
+});
+
+test("the background check accepts the system token as the system principal", async () => {
+  process.env.LINKCHECK_SYSTEM_TOKEN = "s3cret";
+  global.fetch = async () => respond(200);
+  const health = openStore("kb-health");
+
+  await background.handler({ httpMethod: "POST", headers: { "x-system-token": "wrong" } });
+  assert.equal(await linkcheck.readReport(health), null);
+
+  await background.handler({ httpMethod: "POST", headers: { "X-System-Token": "s3cret" } });
+  const report = await linkcheck.readReport(health);
+  assert.equal(report.status, "done");
+  assert.equal(report.startedBy, "system");
+});
+
+test("without LINKCHECK_SYSTEM_TOKEN the header is ignored", async () => {
+  await background.handler({ httpMethod: "POST", headers: { "x-system-token": "" } });
+  assert.equal(await linkcheck.readReport(openStore("kb-health")), null);
+});
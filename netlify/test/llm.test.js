@@ -0,0 +1,113 @@
+// netlify/test/llm.test.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+const {
+  LLMConfigError,
+  LLMResponseError,
+  extractResponsesJson,
+  openProvider,
+} = require("../lib/llm");
+
+const realFetch = global.fetch;
+test.afterEach(() => {
+  global.fetch = realFetch;
+});
+
+const SCHEMA = {
+  type: "object",
+  properties: {
+    type: { type: "string" },
+    title: { type: "string" },
+    summary: { type: "string" },
+    tags: { type: "array", items: { type: "string" } },
+    status: { type: "string", enum: ["active", "unknown"] },
+  },
+};
+
+const REQUEST = {
+  instructions: "Describe the entry.",
+  input: "type: concept\ntitle: Bernal sphere\n",
+  schema: SCHEMA,
+  schemaName: "entry",
+};
+
+test("LLM_PROVIDER picks the provider and rejects bad settings", () => {
+  assert.equal(openProvider({ LLM_PROVIDER: "mock" }).name, "mock");
+  assert.equal(openProvider({ LLM_PROVIDER: "chat" }).name, "chat");
+  assert.equal(openProvider({ OPENAI_API_KEY: "k", LLM_MODEL: "m" }).model, "m");
+
+  assert.throws(() => openProvider({}), LLMConfigError);
+  assert.throws(() => openProvider({ LLM_PROVIDER: "nope" }), LLMConfigError);
+  assert.throws(() => openProvider({ LLM_PROVIDER: "mock", LLM_TEMPERATURE: "3" }), LLMConfigError);
+  assert.throws(
+    () => openProvider({ LLM_PROVIDER: "chat", LLM_RESPONSE_FORMAT: "yaml" }),
+    LLMConfigError
+  );
+});
+
+test("the mock answers offline, the same way every time, with the mock file on top", async () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "llm-")), "mock.json");
+  fs.writeFileSync(file, JSON.stringify({ "Bernal sphere": { tags: ["habitats"] } }));
+
+  const plain = openProvider({ LLM_PROVIDER: "mock" });
+  assert.equal(plain.offline, true);
+  const out = await plain.complete(REQUEST);
+  assert.deepEqual(await plain.complete(REQUEST), out);
+  assert.equal(out.type, "concept");
+  assert.equal(out.title, "Bernal sphere");
+  assert.equal(out.status, "unknown");
+
+  const canned = openProvider({ LLM_PROVIDER: "mock", LLM_MOCK_FILE: file });
+  assert.deepEqual((await canned.complete(REQUEST)).tags, ["habitats"]);
+
+  assert.throws(
+    () => openProvider({ LLM_PROVIDER: "mock", LLM_MOCK_FILE: `${file}.missing` }),
+    LLMConfigError
+  );
+});
+
+test("structured JSON is found in Responses output, fenced or not", () => {
+  const output = (content) => ({ output: [{ content: [content] }] });
+  assert.deepEqual(extractResponsesJson(output({ type: "output_json", json: { a: 1 } })), { a: 1 });
+  assert.deepEqual(
+    extractResponsesJson(output({ type: "output_text", text: '```json\n{"a":2}\n```' })),
+    { a: 2 }
+  );
+  assert.deepEqual(extractResponsesJson({ output_text: '{"a":3}' }), { a: 3 });
+  assert.equal(extractResponsesJson({ output_text: "no json here" }), null);
+});
+
+test("the chat provider posts to chat/completions and reports upstream errors", async () => {
+  const calls = [];
+  global.fetch = async (url, init) => {
+    calls.push({ url, init, body: JSON.parse(init.body) });
+    return {
+      ok: true,
+      status: 200,
+      text: async () =>
+        JSON.stringify({ choices: [{ message: { content: '```json\n{"summary":"ok"}\n```' } }] }),
+    };
+  };
+
+  const chat = openProvider({
+    LLM_PROVIDER: "chat",
+    LLM_BASE_URL: "http://llm.local/v1/",
+    LLM_RESPONSE_FORMAT: "json_object",
+  });
+  assert.deepEqual(await chat.complete(REQUEST), { summary: "ok" });
+  assert.equal(calls[0].url, "http://llm.local/v1/chat/completions");
+  assert.equal(calls[0].init.headers.Authorization, undefined);
+  assert.deepEqual(calls[0].body.response_format, { type: "json_object" });
+  assert.match(calls[0].body.messages[0].content, /matching this schema/);
+
+  global.fetch = async () => ({ ok: false, status: 502, text: async () => "bad gateway" });
+  await assert.rejects(
+    chat.complete(REQUEST),
+    (e) => e instanceof LLMResponseError && e.details.status === 502
+  );
+});
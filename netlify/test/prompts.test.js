@@ -0,0 +1,44 @@
+// netlify/test/prompts.test.js
+// Per-type templates; scripts/check-prompts.js guards the exact wording.
+
+const fs = require("node:fs");
+const path = require("node:path");
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const prompts = require("../lib/prompts");
+
+const FIXTURE_DIR = path.join(__dirname, "../lib/fixtures/prompts");
+
+test("every template renders exactly as its fixture", () => {
+  for (const name of Object.keys(prompts.TEMPLATES)) {
+    const fixture = JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, `${name}.json`), "utf8"));
+    assert.deepEqual(prompts.renderPrompt(fixture.request), fixture.expected, name);
+  }
+});
+
+test("type aliases pick their template; unknown types fall back to topic", () => {
+  assert.equal(prompts.renderPrompt({ type: "people", title: "x" }).template, "person");
+  assert.equal(prompts.renderPrompt({ type: "books", title: "x" }).schemaName, "autofill_book_v3");
+  assert.equal(prompts.templateFor("planet").name, "topic");
+  assert.equal(prompts.fallbackSummary("planet"), prompts.TEMPLATES.topic.fallback);
+});
+
+test("locales add a translations schema and the language editions as sources", () => {
+  const rendered = prompts.renderPrompt({
+    type: "concept",
+    title: "O'Neill cylinder",
+    locales: ["DE", "en", "de", "xx-yy"],
+    localeSources: {
+      de: { url: "https://de.wikipedia.org/wiki/O%E2%80%99Neill-Zylinder", text: "Ein Zylinder." },
+    },
+  });
+  assert.deepEqual(prompts.normalizeLocales(["DE", "en", "de", "xx-yy"]), ["de"]);
+  assert.match(rendered.schemaName, /_de$/);
+  assert.deepEqual(rendered.schema.properties.translations.required, ["de"]);
+  assert.ok(rendered.schema.required.includes("translations"));
+  assert.match(rendered.instructions, /in German, keyed by language code/);
+  assert.match(rendered.input, /locales: de\n/);
+  assert.match(rendered.input, /source de \(https:\/\/de\.wikipedia\.org\/[^)]+\):\nEin Zylinder\./);
+});
@@ -0,0 +1,139 @@
+// netlify/test/query.test.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { parseQuery, runQuery } = require("../lib/query");
+
+const ITEMS = [
+  {
+    id: "oneill",
+    type: "person",
+    title: "Gerard K. O'Neill",
+    summary: "Physicist who proposed cylinder habitats.",
+    tags: ["Habitats", "physics"],
+    meta: { birthYear: 1927 },
+    translations: { de: { title: "Gerard K. O'Neill", summary: "Physiker.", tags: ["Habitate"] } },
+    relations: [{ type: "authored", target: "frontier" }],
+  },
+  {
+    id: "frontier",
+    type: "book",
+    title: "The High Frontier",
+    summary: "Human colonies in space.",
+    tags: ["habitats", "colonies"],
+    meta: { publishedYear: 1976 },
+  },
+  {
+    id: "torus",
+    type: "concept",
+    title: "Stanford torus",
+    summary: "A wheel-shaped habitat design.",
+    tags: ["habitats"],
+    sortYear: 1975,
+  },
+  { id: "mars", type: "topic", title: "Mars", summary: "The red planet.", tags: ["planets"] },
+];
+
+function run(params, items = ITEMS) {
+  const { query, errors } = parseQuery(params);
+  assert.deepEqual(errors, []);
+  return runQuery(items, query);
+}
+
+const ids = (result) => result.items.map((it) => it.id);
+
+test("type, tag and year filters combine; counts ignore only the type", () => {
+  const r = run({ type: "books", tag: "HABITATS", yearFrom: "1900", sort: "year" });
+  assert.deepEqual(ids(r), ["frontier"]);
+  assert.equal(r.total, 1);
+  assert.equal(r.counts.all, 3);
+  assert.equal(r.counts.person, 1);
+  assert.equal(r.counts.concept, 1);
+  assert.equal(r.counts.topic, 0);
+});
+
+test("several tags must all match, or any with match=any", () => {
+  assert.deepEqual(ids(run({ tag: "habitats,physics" })), ["oneill"]);
+  assert.deepEqual(ids(run({ tag: "physics,planets", match: "any", sort: "title" })), [
+    "oneill",
+    "mars",
+  ]);
+  // translated tags match too
+  assert.deepEqual(ids(run({ tag: "habitate" })), ["oneill"]);
+});
+
+test("q matches by prefix, with typos and in every language, best match first", () => {
+  // all three have the tag, so equal scores fall back to newest first
+  assert.deepEqual(ids(run({ q: "habitat", sort: "relevance" })), ["frontier", "torus", "oneill"]);
+  // every word has to match some field
+  assert.deepEqual(ids(run({ q: "stanford torus design" })), ["torus"]);
+  assert.deepEqual(ids(run({ q: "planet mars", sort: "relevance" })), ["mars"]);
+  assert.deepEqual(ids(run({ q: "fronteir", sort: "relevance" })), ["frontier"]);
+  assert.deepEqual(ids(run({ q: "physiker" })), ["oneill"]);
+  assert.deepEqual(ids(run({ q: "habitats -colonies type:person year:1900..1950" })), ["oneill"]);
+  assert.deepEqual(ids(run({ q: '"red planet"' })), ["mars"]);
+  assert.deepEqual(ids(run({ q: '"planet red"' })), []);
+});
+
+test("year sorts keep undated items last in both directions", () => {
+  assert.deepEqual(ids(run({ sort: "year" })), ["frontier", "torus", "oneill", "mars"]);
+  assert.deepEqual(ids(run({ sort: "-year" })), ["oneill", "torus", "frontier", "mars"]);
+  // without search words, relevance is newest first
+  assert.deepEqual(ids(run({ sort: "relevance" })), ids(run({ sort: "year" })));
+});
+
+test("cursors walk every item exactly once", () => {
+  const many = Array.from({ length: 23 }, (_, i) => ({
+    id: `c${i}`,
+    type: "concept",
+    title: `Concept ${i % 5}`,
+    summary: "Space.",
+    tags: [],
+    sortYear: i % 3 ? 1950 + (i % 4) : undefined,
+  }));
+
+  for (const sort of ["created", "title", "-title", "year", "-year", "relevance"]) {
+    const seen = [];
+    let cursor = null;
+    do {
+      const r = run({ sort, q: "space", limit: "4", cursor }, many);
+      seen.push(...ids(r));
+      cursor = r.nextCursor;
+    } while (cursor);
+    assert.deepEqual(seen, ids(run({ sort, q: "space" }, many)), sort);
+    assert.equal(new Set(seen).size, many.length, sort);
+  }
+});
+
+test("tagCounts count the results' tags in the requested language", () => {
+  const r = run({ q: "habitat", lang: "de" });
+  assert.deepEqual(r.tagCounts.slice(0, 2), [
+    { tag: "habitats", n: 2 },
+    { tag: "colonies", n: 1 },
+  ]);
+  assert.ok(r.tagCounts.some((t) => t.tag === "Habitate" && t.n === 1));
+
+  // with match=any, counts come from before the tag filter
+  const any = run({ tag: "planets,colonies", match: "any" });
+  assert.equal(any.tagCounts.find((t) => t.tag.toLowerCase() === "habitats").n, 3);
+});
+
+test("relatedTo finds the items linking to an id", () => {
+  assert.deepEqual(ids(run({ relatedTo: "frontier" })), ["oneill"]);
+});
+
+test("invalid parameters are reported per field", () => {
+  const { errors } = parseQuery({
+    type: "planet",
+    match: "some",
+    yearFrom: "1970.5",
+    sort: "-relevance",
+    limit: "0",
+    cursor: "nope",
+  });
+  assert.deepEqual(
+    errors.map((e) => e.field),
+    ["type", "match", "yearFrom", "sort", "limit", "cursor"]
+  );
+});
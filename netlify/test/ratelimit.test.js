@@ -0,0 +1,48 @@
+// netlify/test/ratelimit.test.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const ratelimit = require("../lib/ratelimit");
+const { createMemoryStore, resetMemoryStores } = require("../lib/store");
+
+test.beforeEach(() => resetMemoryStores());
+
+const user = (limit) => ({ scope: "autofill-user", id: "ada", limit, windowSeconds: 3600 });
+const ip = (limit) => ({ scope: "autofill-ip", id: "203.0.113.7", limit, windowSeconds: 3600 });
+
+test("hit counts up to the limit, then asks to retry later", async () => {
+  const store = createMemoryStore("rl");
+  assert.deepEqual(await ratelimit.hit(store, user(2)), { ok: true, remaining: 1, retryAfter: 0 });
+  assert.equal((await ratelimit.hit(store, user(2))).remaining, 0);
+  const over = await ratelimit.hit(store, user(2));
+  assert.equal(over.ok, false);
+  assert.ok(over.retryAfter > 0 && over.retryAfter <= 3600);
+});
+
+test("a cost is charged whole or not at all", async () => {
+  const store = createMemoryStore("rl");
+  assert.equal((await ratelimit.hit(store, { ...user(5), cost: 4 })).remaining, 1);
+  assert.equal((await ratelimit.hit(store, { ...user(5), cost: 2 })).ok, false);
+  assert.equal((await ratelimit.hit(store, { ...user(5), cost: 1 })).ok, true);
+});
+
+test("hitAll charges nothing when one limit is exhausted", async () => {
+  const store = createMemoryStore("rl");
+  await ratelimit.hit(store, ip(1));
+
+  const r = await ratelimit.hitAll(store, [user(3), ip(1)]);
+  assert.equal(r.ok, false);
+  assert.equal(r.scope, "autofill-ip");
+
+  // The user's quota is untouched by the rejected request.
+  assert.equal((await ratelimit.hit(store, user(3))).remaining, 2);
+});
+
+test("ids cannot become path segments of the key", async () => {
+  const store = createMemoryStore("rl");
+  await ratelimit.hit(store, { scope: "autofill-ip", id: "../..", limit: 1, windowSeconds: 60 });
+  const { blobs } = await store.list({ prefix: "ratelimit/" });
+  assert.equal(blobs.length, 1);
+  assert.ok(!blobs[0].key.split("/").includes(".."), blobs[0].key);
+});
@@ -0,0 +1,70 @@
+// netlify/test/revisions.test.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const revisions = require("../lib/revisions");
+const { createMemoryStore, resetMemoryStores } = require("../lib/store");
+
+test.beforeEach(() => {
+  resetMemoryStores();
+  delete process.env.TRASH_RETENTION_DAYS;
+});
+
+test("revisions are listed newest first, without their content", async () => {
+  const store = createMemoryStore("kb-items");
+  for (const version of [1, 2, 10]) {
+    await revisions.saveRevision(store, {
+      id: "a",
+      title: `A${version}`,
+      version,
+      updatedAt: `2026-01-${String(version).padStart(2, "0")}T00:00:00Z`,
+      _key: "items/a.json",
+    });
+  }
+
+  const list = await revisions.listRevisions(store, "a");
+  assert.deepEqual(list.map((r) => r.version), [10, 2, 1]);
+  assert.deepEqual(list[0], {
+    version: 10,
+    title: "A10",
+    updatedAt: "2026-01-10T00:00:00Z",
+    deletedAt: null,
+  });
+
+  const stored = await revisions.readRevision(store, "a", 2);
+  assert.equal(stored.title, "A2");
+  assert.equal(stored._key, undefined);
+});
+
+test("diffItems compares fields and meta one level deep, ignoring bookkeeping", () => {
+  const from = { title: "Dyson", version: 1, updatedAt: "x", tags: ["a"], meta: { birthYear: 1923 } };
+  const to = {
+    title: "Freeman Dyson",
+    version: 2,
+    updatedAt: "y",
+    tags: ["a"],
+    meta: { birthYear: 1923, deathYear: 2020 },
+  };
+  assert.deepEqual(revisions.diffItems(from, to), [
+    { field: "meta.deathYear", from: null, to: 2020 },
+    { field: "title", from: "Dyson", to: "Freeman Dyson" },
+  ]);
+});
+
+test("purgeTrash drops trashed items and their history after the retention period", async () => {
+  process.env.TRASH_RETENTION_DAYS = "7";
+  const store = createMemoryStore("kb-items");
+  const now = Date.parse("2026-03-20T00:00:00Z");
+
+  await store.setJSON(revisions.trashKey("old"), { id: "old", deletedAt: "2026-03-01T00:00:00Z" });
+  await store.setJSON(revisions.trashKey("new"), { id: "new", deletedAt: "2026-03-18T00:00:00Z" });
+  await revisions.saveRevision(store, { id: "old", version: 1 });
+  await revisions.saveRevision(store, { id: "new", version: 1 });
+
+  assert.deepEqual(await revisions.purgeTrash(store, now), ["old"]);
+  assert.equal(await revisions.readTrashed(store, "old"), null);
+  assert.deepEqual(await revisions.listRevisions(store, "old"), []);
+  assert.deepEqual((await revisions.listTrash(store)).map((it) => it.id), ["new"]);
+  assert.equal((await revisions.listRevisions(store, "new")).length, 1);
+});
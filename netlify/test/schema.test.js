@@ -0,0 +1,119 @@
+// netlify/test/schema.test.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { canonicalType, validateItem } = require("../lib/schema");
+
+const book = (fields = {}) => ({
+  type: "book",
+  title: "The High Frontier",
+  href: "https://en.wikipedia.org/wiki/The_High_Frontier",
+  ...fields,
+});
+
+const fieldsOf = (item) => validateItem(item).errors.map((e) => e.field);
+
+test("type aliases resolve to one canonical type", () => {
+  assert.equal(canonicalType("People"), "person");
+  assert.equal(canonicalType("books"), "book");
+  assert.equal(canonicalType("planet"), null);
+});
+
+test("a complete item is valid", () => {
+  const result = validateItem(
+    book({ tags: ["habitats"], meta: { authors: ["Gerard K. O'Neill"], publishedYear: 1976 } })
+  );
+  assert.deepEqual(result, { ok: true, errors: [] });
+});
+
+test("errors name the offending field in dot notation", () => {
+  assert.deepEqual(fieldsOf({ type: "planet", href: "ftp://x", tags: ["ok", ""], extra: 1 }), [
+    "title",
+    "href",
+    "tags",
+    "extra",
+    "type",
+  ]);
+  assert.deepEqual(fieldsOf(book({ meta: { isbn: "0-446-84121-X", pages: 300 } })), [
+    "meta.isbn",
+    "meta.pages",
+  ]);
+  assert.deepEqual(validateItem([]).errors, [{ field: "", message: "item must be a JSON object" }]);
+});
+
+test("meta years must keep their order", () => {
+  const errors = validateItem({
+    type: "person",
+    title: "Freeman Dyson",
+    href: "https://example.org",
+    meta: { birthYear: 1990, deathYear: 1923 },
+  }).errors;
+  assert.deepEqual(errors, [{ field: "meta.deathYear", message: "must not be before birthYear (1990)" }]);
+});
+
+test("href may be missing only while the item is a draft", () => {
+  assert.deepEqual(fieldsOf(book({ href: undefined, status: "draft" })), []);
+  assert.deepEqual(fieldsOf(book({ href: undefined, status: "in_review" })), ["href"]);
+  assert.deepEqual(fieldsOf(book({ href: undefined })), ["href"]);
+});
+
+test("translations override texts per language code other than en", () => {
+  const de = { title: "Die hohe Grenze", summary: "Kolonien im All.", tags: ["habitate"] };
+  assert.deepEqual(fieldsOf(book({ translations: { de } })), []);
+  assert.deepEqual(
+    fieldsOf(
+      book({
+        translations: {
+          en: { title: "Again" },
+          fr: { title: "", author: "x", summary: "x".repeat(1001) },
+          es: "La alta frontera",
+        },
+      })
+    ),
+    ["translations.en", "translations.fr.author", "translations.fr.summary", "translations.es"]
+  );
+  assert.deepEqual(fieldsOf(book({ translations: [de] })), ["translations"]);
+});
+
+test("image attribution needs a licence and the file's source page", () => {
+  const credit = {
+    file: "Stanford torus.jpg",
+    author: "NASA Ames",
+    license: "Public domain",
+    sourceUrl: "https://commons.wikimedia.org/wiki/File:Stanford_torus.jpg",
+  };
+  assert.deepEqual(fieldsOf(book({ imageAttribution: credit })), []);
+
+  const messages = (imageAttribution) =>
+    validateItem(book({ imageAttribution })).errors.map((e) => e.message);
+  assert.deepEqual(messages({ ...credit, license: "" }), ["needs a license"]);
+  assert.deepEqual(messages({ ...credit, sourceUrl: undefined }), [
+    "needs sourceUrl, the file's http(s) page",
+  ]);
+  assert.deepEqual(messages({ ...credit, licenseUrl: "cc-by" }), [
+    "licenseUrl must be an http(s) URL",
+  ]);
+  assert.deepEqual(messages({ ...credit, year: 1975 }), ["has unknown fields: year"]);
+});
+
+test("relations are typed links to item ids, each listed once", () => {
+  const rel = (type, target) => ({ type, target });
+  assert.deepEqual(fieldsOf(book({ relations: [rel("authored", "oneill")] })), []);
+  assert.deepEqual(
+    fieldsOf(
+      book({
+        relations: [
+          rel("authored", "oneill"),
+          rel("likes", "oneill"),
+          rel("part_of", "../x"),
+          { ...rel("inspired", "dyson"), note: "x" },
+          rel("authored", "oneill"),
+          "oneill",
+        ],
+      })
+    ),
+    ["relations.1.type", "relations.2.target", "relations.3", "relations.4", "relations.5"]
+  );
+  assert.deepEqual(fieldsOf(book({ relations: { authored: "oneill" } })), ["relations"]);
+});
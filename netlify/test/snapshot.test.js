@@ -0,0 +1,45 @@
+// netlify/test/snapshot.test.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const snapshot = require("../lib/snapshot");
+const { createMemoryStore, resetMemoryStores } = require("../lib/store");
+
+test.beforeEach(() => resetMemoryStores());
+
+const keys = (snap) => snap.items.map((it) => it._key).sort();
+
+test("a missing snapshot is rebuilt from the item blobs", async () => {
+  const store = createMemoryStore("kb-items");
+  await store.setJSON("items/a.json", { id: "a", title: "A" });
+  await store.setJSON("items/b.json", { id: "b", title: "B" });
+  await store.set("items/broken.json", "{not json");
+
+  const snap = await snapshot.loadSnapshot(store);
+  assert.deepEqual(keys(snap), ["items/a.json", "items/b.json"]);
+  assert.equal(snap.count, 2);
+  assert.ok(await store.get(snapshot.SNAPSHOT_KEY), "rebuilt snapshot is stored");
+});
+
+test("upsertEntry and removeEntry keep one entry per key", async () => {
+  const store = createMemoryStore("kb-items");
+  await snapshot.upsertEntry(store, "items/a.json", { id: "a", title: "A" });
+  await snapshot.upsertEntry(store, "items/a.json", { id: "a", title: "A2" });
+  await snapshot.upsertEntry(store, "items/b.json", { id: "b", title: "B" });
+
+  let snap = await snapshot.loadSnapshot(store);
+  assert.deepEqual(keys(snap), ["items/a.json", "items/b.json"]);
+  assert.equal(snap.items.find((it) => it.id === "a").title, "A2");
+
+  await snapshot.removeEntry(store, "items/a.json");
+  snap = await snapshot.loadSnapshot(store);
+  assert.deepEqual(keys(snap), ["items/b.json"]);
+});
+
+test("strongEtag depends on every byte of the body", () => {
+  const a = snapshot.strongEtag('{"ok":true}');
+  assert.match(a, /^"[A-Za-z0-9_-]{27}"$/);
+  assert.equal(a, snapshot.strongEtag('{"ok":true}'));
+  assert.notEqual(a, snapshot.strongEtag('{"ok":true }'));
+});
@@ -0,0 +1,75 @@
+// netlify/test/store.test.js
+// The fs and memory backends behave alike; blobs needs credentials.
+
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const store = require("../lib/store");
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "store-test-"));
+test.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+test.afterEach(() => {
+  delete process.env.ITEMS_STORE;
+  delete process.env.ITEMS_STORE_DIR;
+});
+
+const backends = {
+  memory: () => store.createMemoryStore(`t${Math.random()}`),
+  fs: () => store.createFsStore("t", { dir: fs.mkdtempSync(path.join(tmp, "fs-")) }),
+};
+
+for (const [kind, open] of Object.entries(backends)) {
+  test(`${kind}: get/set/list/delete`, async () => {
+    const s = open();
+    assert.equal(s.kind, kind);
+    assert.equal(await s.get("items/a.json"), null);
+
+    await s.setJSON("items/b.json", { id: "b" });
+    await s.set("items/a.json", "raw");
+    await s.set("index/items.json", "{}");
+
+    assert.equal(await s.get("items/a.json"), "raw");
+    assert.deepEqual(JSON.parse(await s.get("items/b.json")), { id: "b" });
+    assert.deepEqual(await s.list({ prefix: "items/" }), {
+      blobs: [{ key: "items/a.json" }, { key: "items/b.json" }],
+    });
+
+    await s.delete("items/a.json");
+    await s.delete("items/missing.json");
+    assert.deepEqual((await s.list()).blobs.map((b) => b.key), ["index/items.json", "items/b.json"]);
+  });
+}
+
+test("fs: keys cannot leave the store directory", async () => {
+  const s = backends.fs();
+  for (const key of ["../x.json", "items/../../x.json", "items//x.json"]) {
+    await assert.rejects(s.set(key, "x"), /Invalid store key/);
+  }
+});
+
+test("fs: the seed file round-trips as a JSON array", async () => {
+  const seedFile = path.join(tmp, "seed", "items.json");
+  const s = store.createFsStore("t", { dir: path.join(tmp, "seeded"), seedFile });
+  assert.deepEqual(await s.readSeed(), []);
+  await s.writeSeed([{ id: "a" }]);
+  assert.deepEqual(await s.readSeed(), [{ id: "a" }]);
+  assert.ok(fs.readFileSync(seedFile, "utf8").endsWith("\n"));
+});
+
+test("openStore picks the backend from ITEMS_STORE", () => {
+  process.env.ITEMS_STORE = "fs";
+  process.env.ITEMS_STORE_DIR = tmp;
+  const s = store.openStore("kb-items");
+  assert.equal(s.kind, "fs");
+  assert.equal(s.dir, path.join(tmp, "kb-items"));
+
+  process.env.ITEMS_STORE = "memory";
+  assert.equal(store.openStore("kb-items").kind, "memory");
+
+  process.env.ITEMS_STORE = "s3";
+  assert.throws(() => store.openStore("kb-items"), store.StoreConfigError);
+});
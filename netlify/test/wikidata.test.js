@@ -0,0 +1,90 @@
+// netlify/test/wikidata.test.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { extractFacts, factsFromEntity, yearFromWikidataTime } = require("../lib/wikidata");
+
+const realFetch = global.fetch;
+test.afterEach(() => {
+  global.fetch = realFetch;
+});
+
+const time = (t, rank = "normal") => ({
+  rank,
+  mainsnak: { snaktype: "value", datavalue: { value: { time: t } } },
+});
+const item = (id, rank = "normal") => ({
+  rank,
+  mainsnak: { snaktype: "value", datavalue: { value: { id } } },
+});
+const file = (name) => ({
+  rank: "normal",
+  mainsnak: { snaktype: "value", datavalue: { value: name } },
+});
+
+const ONEILL = {
+  id: "Q312816",
+  claims: {
+    P569: [time("+1927-02-06T00:00:00Z")],
+    P570: [time("+1992-04-27T00:00:00Z")],
+    P27: [item("Q30")],
+    P108: [item("Q21578", "deprecated"), item("Q21578"), item("Q49108")],
+    P106: [item("Q169470", "preferred"), item("Q205375")],
+    P18: [file("Gerard O'Neill.jpg")],
+  },
+};
+
+test("years come from Wikidata time values, BCE included", () => {
+  assert.equal(yearFromWikidataTime("+1927-02-06T00:00:00Z"), 1927);
+  assert.equal(yearFromWikidataTime("-0300-00-00T00:00:00Z"), -300);
+  assert.equal(yearFromWikidataTime("1927"), null);
+});
+
+test("facts follow the type's spec and say where each value came from", () => {
+  const labels = { Q30: "United States", Q21578: "Princeton University", Q169470: "physicist" };
+  const { meta, sortYear, facts, images } = factsFromEntity(ONEILL, "people", labels);
+
+  assert.deepEqual(meta, {
+    wikidataId: "Q312816",
+    birthYear: 1927,
+    deathYear: 1992,
+    nationality: ["United States"],
+    // unlabelled values are skipped, the deprecated duplicate adds nothing
+    affiliations: ["Princeton University"],
+    // preferred statements win over normal ones
+    roles: ["physicist"],
+  });
+  assert.equal(sortYear, 1927);
+  assert.deepEqual(images, ["Gerard O'Neill.jpg"]);
+  assert.deepEqual(facts[0], { field: "birthYear", value: 1927, qid: "Q312816", property: "P569" });
+  assert.deepEqual(facts.find((f) => f.field === "affiliations"), {
+    field: "affiliations",
+    value: "Princeton University",
+    qid: "Q312816",
+    property: "P108",
+    valueQid: "Q21578",
+  });
+
+  // types without a spec keep just the QID and the images
+  assert.deepEqual(factsFromEntity(ONEILL, "concept").meta, { wikidataId: "Q312816" });
+});
+
+test("extractFacts fetches the entity and the labels it needs", async () => {
+  const urls = [];
+  global.fetch = async (url) => {
+    urls.push(url);
+    const body = url.includes("Special:EntityData")
+      ? { entities: { Q312816: ONEILL } }
+      : { entities: { Q30: { labels: { en: { value: "United States" } } } } };
+    return { ok: true, json: async () => body };
+  };
+
+  const out = await extractFacts("Q312816", "person");
+  assert.deepEqual(out.meta.nationality, ["United States"]);
+  assert.equal(urls.length, 2);
+  assert.match(urls[1], /ids=Q30\|Q21578\|Q49108\|Q169470$/);
+
+  assert.equal(await extractFacts("not-a-qid", "person"), null);
+  assert.equal(urls.length, 2);
+});
@@ -0,0 +1,211 @@
+// netlify/test/wikipedia.test.js
+// Wikipedia lookups and the autofill steps built on them, with fetch stubbed.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { fetchSummary, searchCandidates } = require("../lib/wikipedia");
+const { runAutofill } = require("../lib/autofill");
+const { createMemoryStore, resetMemoryStores } = require("../lib/store");
+
+const realFetch = global.fetch;
+test.beforeEach(() => resetMemoryStores());
+test.afterEach(() => {
+  global.fetch = realFetch;
+});
+
+const TORUS = {
+  type: "standard",
+  title: "Stanford torus",
+  extract: "The Stanford torus is a proposed design for a space habitat.",
+  content_urls: { desktop: { page: "https://en.wikipedia.org/wiki/Stanford_torus" } },
+};
+
+// Answers by URL substring; anything else is a 404.
+function stubFetch(routes) {
+  const urls = [];
+  global.fetch = async (url) => {
+    urls.push(url);
+    const hit = Object.keys(routes).find((part) => url.includes(part));
+    return hit
+      ? { ok: true, status: 200, json: async () => routes[hit] }
+      : { ok: false, status: 404, json: async () => ({}) };
+  };
+  return urls;
+}
+
+function provider(answer) {
+  return { name: "fake", model: "fake", offline: false, complete: async () => answer };
+}
+
+test("fetchSummary returns link, lead and QID from the REST summary", async () => {
+  const urls = stubFetch({
+    "/page/summary/Stanford_torus": { ...TORUS, wikibase_item: "Q1192447" },
+  });
+
+  assert.deepEqual(await fetchSummary("Stanford  torus"), {
+    title: "Stanford torus",
+    url: "https://en.wikipedia.org/wiki/Stanford_torus",
+    extract: TORUS.extract,
+    qid: "Q1192447",
+    disambiguation: false,
+    image: null,
+  });
+  assert.equal(urls[0], "https://en.wikipedia.org/api/rest_v1/page/summary/Stanford_torus");
+
+  assert.equal(await fetchSummary("Nowhere"), null);
+  assert.equal(await fetchSummary("Stanford torus", "not a lang"), null);
+});
+
+test("autofill writes from the lead, lists it as a source and flags what it lacks", async () => {
+  stubFetch({ "/page/summary/Stanford_torus": TORUS });
+
+  const { result } = await runAutofill(
+    { type: "concept", title: "Stanford torus" },
+    {
+      llm: provider({
+        summary: "The Stanford torus is a proposed space habitat design. It spins at 1 rpm.",
+        tags: ["habitats"],
+      }),
+      cacheStore: createMemoryStore("autofill-test"),
+    }
+  );
+
+  assert.equal(result.href, TORUS.content_urls.desktop.page);
+  assert.deepEqual(result.sources, [
+    { kind: "wikipedia", url: TORUS.content_urls.desktop.page, title: "Stanford torus" },
+  ]);
+  assert.deepEqual(result.unsupported, [
+    { sentence: "It spins at 1 rpm.", reason: "numbers not in source: 1" },
+  ]);
+});
+
+const SEARCH = {
+  query: {
+    pages: {
+      11: {
+        title: "Torus (disambiguation)",
+        index: 1,
+        pageprops: { disambiguation: "" },
+      },
+      12: {
+        title: "Toroidal space station",
+        index: 3,
+        description: "Space station design",
+        fullurl: "https://en.wikipedia.org/wiki/Toroidal_space_station",
+      },
+      13: {
+        title: "Stanford torus",
+        index: 2,
+        description: "Space habitat design",
+        thumbnail: { source: "https://upload.wikimedia.org/torus.jpg" },
+        pageprops: { wikibase_item: "Q1192447" },
+      },
+    },
+  },
+};
+
+test("searchCandidates keeps Wikipedia's order and leaves out disambiguation pages", async () => {
+  stubFetch({ "generator=search": SEARCH });
+
+  assert.deepEqual(await searchCandidates("torus"), [
+    {
+      title: "Stanford torus",
+      description: "Space habitat design",
+      url: "https://en.wikipedia.org/wiki/Stanford_torus",
+      thumbnail: "https://upload.wikimedia.org/torus.jpg",
+      qid: "Q1192447",
+    },
+    {
+      title: "Toroidal space station",
+      description: "Space station design",
+      url: "https://en.wikipedia.org/wiki/Toroidal_space_station",
+      thumbnail: null,
+      qid: null,
+    },
+  ]);
+  assert.deepEqual(await searchCandidates("  "), []);
+});
+
+test("an ambiguous title returns candidates; the chosen page fills the entry", async () => {
+  const cacheStore = createMemoryStore("autofill-test");
+  const llm = provider({ summary: "The Stanford torus is a proposed design.", tags: [] });
+  stubFetch({
+    "/page/summary/Torus": { type: "disambiguation", title: "Torus", extract: "Torus may be:" },
+    "generator=search": SEARCH,
+  });
+
+  const first = await runAutofill({ type: "concept", title: "Torus" }, { llm, cacheStore });
+  assert.equal(first.ambiguous, true);
+  assert.deepEqual(
+    first.candidates.map((c) => c.title),
+    ["Stanford torus", "Toroidal space station"]
+  );
+
+  stubFetch({ "/page/summary/Stanford_torus": TORUS });
+  const { result } = await runAutofill(
+    { type: "concept", title: "Torus", page: "Stanford torus" },
+    { llm, cacheStore }
+  );
+  assert.equal(result.title, "Torus");
+  assert.equal(result.href, TORUS.content_urls.desktop.page);
+
+  // skipWikipedia fills the entry without a page and without asking
+  const urls = stubFetch({});
+  const skipped = await runAutofill(
+    { type: "concept", title: "Torus", skipWikipedia: true },
+    { llm, cacheStore }
+  );
+  assert.equal(skipped.result.href, null);
+  assert.deepEqual(urls, []);
+});
+
+test("locales add translations sourced from the same article in that language", async () => {
+  const deUrl = "https://de.wikipedia.org/wiki/Stanford-Torus";
+  stubFetch({
+    "en.wikipedia.org/api/rest_v1/page/summary/Stanford_torus": TORUS,
+    "prop=langlinks": { query: { pages: [{ langlinks: [{ title: "Stanford-Torus", url: deUrl }] }] } },
+    "de.wikipedia.org/api/rest_v1/page/summary/Stanford-Torus": {
+      title: "Stanford-Torus",
+      extract: "Der Stanford-Torus ist ein Entwurf für ein Weltraumhabitat.",
+      content_urls: { desktop: { page: deUrl } },
+    },
+  });
+
+  const { result } = await runAutofill(
+    { type: "concept", title: "Stanford torus", locales: ["de", "en"] },
+    {
+      llm: provider({
+        summary: "The Stanford torus is a proposed space habitat design.",
+        tags: [],
+        translations: {
+          de: {
+            title: "Stanford-Torus",
+            summary: "Der Stanford-Torus ist ein Entwurf für ein Weltraumhabitat mit 500 Speichen.",
+            tags: ["Weltraum Habitat"],
+          },
+        },
+      }),
+      cacheStore: createMemoryStore("autofill-test"),
+    }
+  );
+
+  assert.deepEqual(result.translations, {
+    de: {
+      title: "Stanford-Torus",
+      summary: "Der Stanford-Torus ist ein Entwurf für ein Weltraumhabitat mit 500 Speichen.",
+      tags: ["weltraum_habitat"],
+      href: deUrl,
+    },
+  });
+  assert.deepEqual(result.sources[1], {
+    kind: "wikipedia",
+    locale: "de",
+    url: deUrl,
+    title: "Stanford-Torus",
+  });
+  assert.deepEqual(
+    result.unsupported.map((u) => [u.locale, u.reason]),
+    [["de", "numbers not in source: 500"]]
+  );
+});
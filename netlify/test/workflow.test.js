@@ -0,0 +1,39 @@
+// netlify/test/workflow.test.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const workflow = require("../lib/workflow");
+
+test("items without a known status count as published", () => {
+  assert.equal(workflow.statusOf({}), "published");
+  assert.equal(workflow.statusOf({ status: "deleted" }), "published");
+  assert.equal(workflow.statusOf({ status: "in_review" }), "in_review");
+});
+
+test("the transition table names the minimum role per move", () => {
+  assert.equal(workflow.transitionRole("draft", "in_review"), "contributor");
+  assert.equal(workflow.transitionRole("in_review", "draft"), "contributor");
+  assert.equal(workflow.transitionRole("in_review", "published"), "editor");
+  assert.equal(workflow.transitionRole("published", "draft"), "editor");
+  assert.equal(workflow.transitionRole("archived", "published"), "editor");
+
+  assert.equal(workflow.transitionRole("published", "in_review"), null);
+  assert.equal(workflow.transitionRole("archived", "in_review"), null);
+  assert.equal(workflow.transitionRole("draft", "draft"), null);
+  assert.equal(workflow.transitionRole("draft", "deleted"), null);
+});
+
+test("a future publishAt keeps a published item scheduled until then", () => {
+  const now = Date.parse("2026-05-01T12:00:00Z");
+  const item = { status: "published", publishAt: "2026-05-02T00:00:00Z" };
+
+  assert.ok(workflow.isScheduled(item, now));
+  assert.ok(!workflow.isPublic(item, now));
+  assert.ok(workflow.isPublic(item, Date.parse("2026-05-02T00:00:01Z")));
+
+  assert.ok(!workflow.isScheduled({ ...item, status: "draft" }, now));
+  assert.ok(!workflow.isPublic({ ...item, status: "draft" }, now));
+  assert.ok(workflow.isPublic({ ...item, publishAt: "not a date" }, now));
+  assert.ok(workflow.isPublic({}, now));
+});
@@ -0,0 +1,78 @@
+// scripts/check-prompts.js
+// Compare every autofill prompt template against its saved fixture.
+//
+//   npm run check:prompts              fail on any difference
+//   npm run check:prompts -- --update  save renderings whose version was bumped
+//
+// A rendering that changed while its version stayed the same always fails:
+// bump the template's version in netlify/lib/prompts.js first.
+
+import { createRequire } from "node:module";
+import { existsSync, readFileSync, writeFileSync, mkdirSync } from "node:fs";
+import { dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+
+const require = createRequire(import.meta.url);
+const { TEMPLATES, renderPrompt } = require("../netlify/lib/prompts.js");
+
+const FIXTURE_DIR = join(dirname(fileURLToPath(import.meta.url)), "../netlify/lib/fixtures/prompts");
+
+// Request used when a template has no fixture yet.
+const DEFAULT_REQUESTS = {
+  person: {
+    type: "person",
+    title: "Gerard K. O'Neill",
+    current: {},
+    source: {
+      url: "https://en.wikipedia.org/wiki/Gerard_K._O%27Neill",
+      text:
+        "Gerard Kitchen O'Neill was an American physicist and space activist. As a faculty member " +
+        "of Princeton University, he invented a device called the particle storage ring. He is best " +
+        "known for proposing the O'Neill cylinder, a space habitat design.",
+    },
+  },
+  book: { type: "book", title: "The High Frontier", current: {} },
+  movie: { type: "movie", title: "The Martian", current: {} },
+  project: { type: "project", title: "Biosphere 2", current: {} },
+  org: { type: "org", title: "National Space Society", current: {} },
+  concept: { type: "concept", title: "O'Neill cylinder", current: {} },
+  topic: { type: "topic", title: "Space habitats", current: {} },
+};
+
+const update = process.argv.includes("--update");
+let failed = 0;
+
+mkdirSync(FIXTURE_DIR, { recursive: true });
+
+for (const name of Object.keys(TEMPLATES)) {
+  const file = join(FIXTURE_DIR, `${name}.json`);
+  const fixture = existsSync(file) ? JSON.parse(readFileSync(file, "utf8")) : null;
+  const request = fixture?.request || DEFAULT_REQUESTS[name] || { type: name, title: name, current: {} };
+  const actual = renderPrompt(request);
+
+  if (fixture && JSON.stringify(actual) === JSON.stringify(fixture.expected)) {
+    console.log(`ok    ${name} v${actual.version}`);
+    continue;
+  }
+
+  if (fixture && actual.version === fixture.expected?.version) {
+    console.log(`FAIL  ${name}: rendering changed but version is still ${actual.version}`);
+    failed++;
+    continue;
+  }
+
+  if (update) {
+    writeFileSync(file, JSON.stringify({ request, expected: actual }, null, 2) + "\n");
+    console.log(`saved ${name} v${actual.version}`);
+    continue;
+  }
+
+  console.log(
+    fixture
+      ? `FAIL  ${name}: v${fixture.expected?.version} -> v${actual.version}, run with --update to save`
+      : `FAIL  ${name}: no fixture, run with --update to create one`
+  );
+  failed++;
+}
+
+process.exit(failed ? 1 : 0);